@@ -1,22 +1,196 @@
 #!/usr/bin/env node
 
-// Enhanced Analytics for SlopWatch MCP Server
-// Sends data to Vercel-hosted analytics API
+// Opt-in Analytics for SlopWatch MCP Server
+// Events go to a pluggable sink - nowhere by default, a local JSONL file, or
+// an HTTP endpoint you run. Claim text and file names are hashed unless
+// configured otherwise. Never writes to stdout, which carries stdio MCP traffic.
 
 import crypto from 'crypto';
 import os from 'os';
+import { promises as fs } from 'fs';
+import { dirname, resolve } from 'path';
+import { VERSION } from './version.js';
+
+const DEFAULT_FILE_PATH = '.slopwatch/analytics.jsonl';
+const HTTP_TIMEOUT_MS = 5000;
+
+// Event fields that can identify a project or its code - error messages
+// quote paths and claim text, so only their name and code go out as-is
+const SENSITIVE_FIELDS = ['claim', 'files', 'file', 'projectPath', 'error', 'stack'];
+
+const REDACTION_MODES = ['hash', 'remove', 'none'];
+const SINK_TYPES = ['none', 'file', 'http'];
+
+/**
+ * Sink interface: send(event) and flush(), both returning promises
+ */
+class NoopSink {
+  async send() {}
+
+  async flush() {}
+}
+
+/**
+ * Appends one JSON event per line to a local file
+ */
+class FileSink {
+  constructor(path) {
+    this.path = path;
+    this.queue = Promise.resolve();
+  }
+
+  send(event) {
+    this.queue = this.queue
+      .then(async () => {
+        await fs.mkdir(dirname(this.path), { recursive: true });
+        await fs.appendFile(this.path, JSON.stringify(event) + '\n');
+      })
+      .catch(error => console.error(`SlopWatch analytics write failed: ${error.message}`));
+    return this.queue;
+  }
+
+  flush() {
+    return this.queue;
+  }
+}
+
+/**
+ * POSTs each event as JSON to an endpoint of your choosing
+ */
+class HttpSink {
+  constructor(url, headers = {}) {
+    this.url = url;
+    this.headers = headers;
+    this.pending = new Set();
+  }
+
+  send(event) {
+    const request = fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(event),
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+    })
+      .catch(() => {
+        // Silently fail - analytics shouldn't break functionality
+      })
+      .finally(() => this.pending.delete(request));
+
+    this.pending.add(request);
+    return request;
+  }
+
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+}
+
+/**
+ * Sink for validated analytics settings ({ sink, path, url, headers })
+ * File paths are relative to the workspace root
+ */
+function createSink(settings, root = process.cwd()) {
+  switch (settings.sink) {
+    case 'file':
+      return new FileSink(resolve(root, settings.path || DEFAULT_FILE_PATH));
+    case 'http':
+      return new HttpSink(settings.url, settings.headers);
+    default:
+      return new NoopSink();
+  }
+}
+
+/**
+ * Every problem with an `analytics` config section, as human-readable messages
+ */
+function validateAnalyticsSettings(settings) {
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['analytics must be an object, e.g. { "sink": "file" }'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(settings)) {
+    if (!['sink', 'path', 'url', 'headers', 'redact'].includes(key)) {
+      errors.push(`analytics.${key} is not a setting (expected: sink, path, url, headers, redact)`);
+    }
+  }
+
+  if (settings.sink !== undefined && !SINK_TYPES.includes(settings.sink)) {
+    errors.push(`analytics.sink must be one of: ${SINK_TYPES.join(', ')}`);
+  }
+  if (settings.redact !== undefined && !REDACTION_MODES.includes(settings.redact)) {
+    errors.push(`analytics.redact must be one of: ${REDACTION_MODES.join(', ')}`);
+  }
+  if (settings.path !== undefined && (typeof settings.path !== 'string' || settings.path.trim() === '')) {
+    errors.push('analytics.path must be a non-empty string');
+  }
+
+  if (settings.sink === 'http' && !isHttpUrl(settings.url)) {
+    errors.push('analytics.url must be an http(s) URL when analytics.sink is "http"');
+  } else if (settings.url !== undefined && !isHttpUrl(settings.url)) {
+    errors.push('analytics.url must be an http(s) URL');
+  }
+
+  if (settings.headers !== undefined) {
+    const headers = settings.headers;
+    if (headers === null || typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(value => typeof value !== 'string')) {
+      errors.push('analytics.headers must be an object of string header values');
+    }
+  }
+
+  return errors;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
 
 class SlopWatchAnalytics {
   constructor() {
-    this.apiUrl = process.env.ANALYTICS_API_URL || 'https://slopdetector-nu.vercel.app/api/analytics';
-    this.analyticsSecret = process.env.ANALYTICS_SECRET || 'b3ad9c84a61a0abd783c237584fb5dfa09f5dafca198bc950cb3e213a68b37c9';
     this.userId = this.generateUserId();
     this.sessionId = this.generateSessionId();
-    this.isEnabled = process.env.ANALYTICS_ENABLED !== 'false';
-    
-    if (this.isEnabled) {
-      console.log('📊 SlopWatch Analytics enabled');
+    this.sink = new NoopSink();
+    this.redact = 'hash';
+    this.settingsKey = null;
+    this.isEnabled = false;
+
+    this.configure();
+  }
+
+  // Opt-in from the environment, used when a project has no analytics settings
+  environmentSettings() {
+    return {
+      sink: process.env.SLOPWATCH_ANALYTICS || 'none',
+      url: process.env.SLOPWATCH_ANALYTICS_URL,
+      path: process.env.SLOPWATCH_ANALYTICS_PATH
+    };
+  }
+
+  /**
+   * Switch sinks - { sink: none|file|http, path, url, headers, redact: hash|remove|none }
+   * ANALYTICS_ENABLED=false turns analytics off regardless of configuration
+   */
+  configure(settings = null, root = process.cwd()) {
+    const effective = process.env.ANALYTICS_ENABLED === 'false' ? { sink: 'none' } : settings || this.environmentSettings();
+    const key = JSON.stringify([effective, root]);
+    if (key === this.settingsKey) return;
+
+    const errors = validateAnalyticsSettings(effective);
+    if (errors.length > 0) {
+      console.error(`SlopWatch analytics disabled: ${errors.join('; ')}`);
+      this.sink = new NoopSink();
+      this.isEnabled = false;
+    } else {
+      this.sink = createSink(effective, root);
+      this.isEnabled = !(this.sink instanceof NoopSink);
     }
+
+    this.redact = effective.redact || 'hash';
+    this.settingsKey = key;
   }
 
   generateUserId() {
@@ -29,38 +203,59 @@ class SlopWatchAnalytics {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
-  async sendEvent(event, data = {}) {
-    if (!this.isEnabled) return;
+  /**
+   * Hash or drop fields that could reveal what is being worked on
+   */
+  redactData(data) {
+    if (this.redact === 'none') return data;
+
+    const redacted = { ...data };
+    for (const field of SENSITIVE_FIELDS) {
+      if (redacted[field] === undefined || redacted[field] === null) continue;
+
+      if (this.redact === 'remove' || field === 'stack') {
+        delete redacted[field];
+      } else {
+        redacted[field] = Array.isArray(redacted[field]) ?
+          redacted[field].map(value => this.hash(value)) :
+          this.hash(redacted[field]);
+      }
+    }
+    return redacted;
+  }
+
+  // Salted with the anonymous user ID so common names cannot be looked up
+  hash(value) {
+    return crypto.createHash('sha256').update(`${this.userId}:${value}`).digest('hex').substring(0, 16);
+  }
+
+  sendEvent(event, data = {}) {
+    if (!this.isEnabled) return Promise.resolve();
 
     try {
-      const payload = {
+      return this.sink.send({
         event,
         data: {
-          ...data,
+          ...this.redactData(data),
           userId: this.userId,
           sessionId: this.sessionId,
           timestamp: Date.now(),
-          version: '2.2.0'
+          version: VERSION
         }
-      };
-
-      // Fire and forget - don't wait for response
-      fetch(this.apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Analytics-Secret': this.analyticsSecret
-        },
-        body: JSON.stringify(payload)
-      }).catch(() => {
-        // Silently fail - analytics shouldn't break functionality
       });
-
     } catch (error) {
       // Silently fail - analytics shouldn't break functionality
+      return Promise.resolve();
     }
   }
 
+  /**
+   * Wait for events already handed to the sink
+   */
+  flush() {
+    return this.sink.flush();
+  }
+
   // Server lifecycle events
   trackServerStart(version, transport, tools) {
     this.sendEvent('server_start', {
@@ -83,18 +278,17 @@ class SlopWatchAnalytics {
     this.sendEvent('tool_usage', {
       tool: toolName,
       success,
-      duration,
-      timestamp: Date.now()
+      duration
     });
   }
 
   // Claim events
-  trackClaim(claimId, claimType, filesCount) {
+  trackClaim(claimId, claim, files = []) {
     this.sendEvent('claim_registered', {
       claimId,
-      claimType,
-      filesCount,
-      timestamp: Date.now()
+      claim,
+      files,
+      filesCount: files.length
     });
   }
 
@@ -103,8 +297,7 @@ class SlopWatchAnalytics {
       claimId,
       success,
       confidence,
-      evidenceCount: evidence ? evidence.length : 0,
-      timestamp: Date.now()
+      evidenceCount: evidence ? evidence.length : 0
     });
   }
 
@@ -112,18 +305,18 @@ class SlopWatchAnalytics {
   trackRulesSetup(success, existingRules) {
     this.sendEvent('rules_setup', {
       success,
-      hadExistingRules: existingRules,
-      timestamp: Date.now()
+      hadExistingRules: existingRules
     });
   }
 
   // Error tracking
   trackError(error, context) {
     this.sendEvent('error', {
+      name: error.name,
+      code: error.code ?? null,
       error: error.message,
       context,
-      stack: error.stack ? error.stack.substring(0, 500) : null,
-      timestamp: Date.now()
+      stack: error.stack ? error.stack.substring(0, 500) : null
     });
   }
 
@@ -132,8 +325,7 @@ class SlopWatchAnalytics {
     this.sendEvent('performance', {
       operation,
       duration,
-      success,
-      timestamp: Date.now()
+      success
     });
   }
 }
@@ -143,4 +335,4 @@ const analytics = new SlopWatchAnalytics();
 
 // Export both the class and instance
 export default analytics;
-export { SlopWatchAnalytics }; 
\ No newline at end of file
+export { SlopWatchAnalytics, NoopSink, FileSink, HttpSink, createSink, validateAnalyticsSettings };
@@ -1,203 +1,279 @@
 #!/usr/bin/env node
 
-import { promises as fs } from 'fs';
-import { spawn } from 'child_process';
-import chokidar from 'chokidar';
+import { watch, realpathSync, promises as fs } from 'fs';
+import { join, relative, resolve, sep } from 'path';
+import { fileURLToPath } from 'url';
+import analytics from './analytics.js';
+import { GitRepository } from './git.js';
+import { StubDetector } from './stub-detector.js';
+import { SlopWatchServer } from './mcp-server.js';
 
+const DEFAULT_DEBOUNCE_MS = 5000;
+const DEFAULT_POLL_MS = 2000;
+
+// Commits verified per check - a large pull or rebase is not replayed in full
+const MAX_COMMITS_PER_CHECK = 20;
+
+// Directories whose changes are never AI edits worth reporting - never watched at all
+const IGNORED_DIRS = new Set(['.git', 'node_modules', '.slopwatch']);
+
+// One watcher per directory; past this, deeper directories go unwatched
+const MAX_WATCHED_DIRS = 5000;
+
+/**
+ * AutoSlopWatch - watch daemon for a git workspace. New commits are picked up
+ * as they land, the claims in each message are verified against that commit's
+ * diff and recorded in the claim store. Working-tree edits are debounced and
+ * checked for stubs left in the changed lines.
+ */
 class AutoSlopWatch {
-  constructor() {
-    this.lastCommitTime = 0;
-    this.aiClaimPatterns = [
-      /I (?:added|fixed|implemented|created|built|updated)/gi,
-      /(?:Added|Fixed|Implemented|Created|Built|Updated) .+/gi,
-      /✅.+/gi,
-      /Now .+ (?:works|supports|includes)/gi
-    ];
+  constructor(options = {}) {
+    this.root = resolve(options.workspaceRoot || process.env.SLOPWATCH_WORKSPACE || process.cwd());
+    this.server = options.server || new SlopWatchServer({ workspaceRoot: this.root });
+    this.repo = new GitRepository(this.root);
+    this.stubDetector = new StubDetector();
+    this.debounceMs = options.debounceMs ?? (Number(process.env.SLOPWATCH_WATCH_DEBOUNCE_MS) || DEFAULT_DEBOUNCE_MS);
+    this.pollMs = options.pollMs ?? DEFAULT_POLL_MS;
+    this.log = options.log || (message => console.log(message));
+
+    this.lastHead = null;
+    this.pendingEdits = new Set();
+    this.editTimer = null;
+    this.pollTimer = null;
+    this.watchers = new Map();
+    this.watchLimitReached = false;
+    this.stopped = false;
+
+    // Checks run one at a time, in the order they were triggered
+    this.queue = Promise.resolve();
   }
 
   async start() {
-    console.log('🔍 AutoSlopWatch starting...');
-    
-    // Watch for git commits
-    this.watchGitCommits();
-    
-    // Watch for file changes (indicates recent AI activity)
-    this.watchFileChanges();
-    
-    console.log('👀 Monitoring for AI claims automatically...');
-  }
-
-  watchGitCommits() {
-    // Monitor .git/logs/HEAD for new commits
-    const gitLogPath = '.git/logs/HEAD';
-    
-    if (require('fs').existsSync(gitLogPath)) {
-      chokidar.watch(gitLogPath).on('change', async () => {
-        await this.analyzeRecentCommits();
-      });
+    if (!await this.repo.isRepository()) {
+      throw new Error(`Not a git repository: ${this.root}`);
     }
+
+    await this.server.loadStore();
+    await this.server.getConfig().catch(error => this.log(`⚠️ SlopWatch config: ${error.message}`));
+
+    this.lastHead = await this.currentHead();
+    this.pollTimer = setInterval(() => this.enqueue(() => this.checkCommits()), this.pollMs);
+    await this.watchFileChanges();
+
+    this.log(`👀 Watching ${this.root} for commits and edits (Ctrl+C to stop)`);
   }
 
-  watchFileChanges() {
-    const watcher = chokidar.watch('.', {
-      ignored: [/node_modules/, /.git/, /\.DS_Store/],
-      ignoreInitial: true
-    });
+  /**
+   * Let the running check and queued store writes finish, then release timers and watchers
+   */
+  async stop() {
+    if (this.stopped) return;
+    this.stopped = true;
 
-    let changeBuffer = [];
-    let changeTimer = null;
+    clearInterval(this.pollTimer);
+    clearTimeout(this.editTimer);
+    for (const watcher of this.watchers.values()) watcher.close();
+    this.watchers.clear();
 
-    watcher.on('change', (path) => {
-      changeBuffer.push({ path, timestamp: Date.now() });
-      
-      // Debounce: analyze after 5 seconds of no changes
-      clearTimeout(changeTimer);
-      changeTimer = setTimeout(() => {
-        this.analyzeRecentChanges(changeBuffer);
-        changeBuffer = [];
-      }, 5000);
-    });
+    await this.queue;
+    await this.server.persistQueue;
+    await analytics.flush();
+    this.log('👋 AutoSlopWatch stopped');
   }
 
-  async analyzeRecentCommits() {
-    try {
-      // Get last 3 commits
-      const commits = await this.getRecentCommits(3);
-      
-      for (const commit of commits) {
-        const claims = this.extractClaimsFromText(commit.message);
-        
-        if (claims.length > 0) {
-          console.log(`\n🤖 Detected AI claims in commit: ${commit.hash.slice(0, 7)}`);
-          console.log(`📝 Message: "${commit.message}"`);
-          
-          for (const claim of claims) {
-            await this.verifyClaim(claim, commit.files);
-          }
-        }
+  /**
+   * Stop on SIGINT/SIGTERM and exit once everything is written
+   */
+  handleSignals() {
+    const shutdown = () => this.stop().then(() => process.exit(0), () => process.exit(1));
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  }
+
+  /**
+   * Watch the working tree one directory at a time: recursive fs.watch needs Node 20
+   * on Linux, and would watch node_modules and .git along with everything else
+   */
+  async watchFileChanges() {
+    await this.watchDirectory(this.root);
+  }
+
+  async watchDirectory(dir) {
+    if (this.stopped || this.watchers.has(dir)) return;
+    if (this.watchers.size >= MAX_WATCHED_DIRS) {
+      if (!this.watchLimitReached) {
+        this.watchLimitReached = true;
+        this.log(`⚠️ Watching the first ${MAX_WATCHED_DIRS} directories only`);
       }
+      return;
+    }
+
+    try {
+      const watcher = watch(dir, (event, filename) => this.handleFileEvent(dir, filename));
+      // A deleted directory's watcher errors out - drop it so a new directory there is watched again
+      watcher.on('error', () => this.unwatchDirectory(dir));
+      this.watchers.set(dir, watcher);
     } catch (error) {
-      // Silently fail if not a git repo
+      if (dir === this.root) {
+        this.log(`⚠️ Cannot watch edits here (${error.message}) - only commits are checked`);
+      }
+      return;
     }
+
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      if (entry.isDirectory() && !IGNORED_DIRS.has(entry.name)) {
+        await this.watchDirectory(join(dir, entry.name));
+      }
+    }
+  }
+
+  unwatchDirectory(dir) {
+    const watcher = this.watchers.get(dir);
+    if (!watcher) return;
+    watcher.close();
+    this.watchers.delete(dir);
   }
 
-  async analyzeRecentChanges(changes) {
-    // Look for rapid file changes (indicates AI coding session)
-    const rapidChanges = changes.filter(c => 
-      Date.now() - c.timestamp < 30000 // Within last 30 seconds
+  handleFileEvent(dir, filename) {
+    if (!filename || this.stopped) return;
+
+    const absolute = join(dir, filename.toString());
+    const path = relative(this.root, absolute).split(sep).join('/');
+    if (this.isIgnored(path)) return;
+
+    // New directories get watchers of their own, removed ones lose theirs
+    fs.stat(absolute).then(
+      stats => stats.isDirectory() && this.watchDirectory(absolute),
+      () => this.unwatchDirectory(absolute)
     );
 
-    if (rapidChanges.length >= 3) {
-      console.log(`\n⚡ Detected rapid changes (${rapidChanges.length} files) - possible AI activity`);
-      
-      // Check if there's a pattern suggesting AI claims
-      const recentCommits = await this.getRecentCommits(1);
-      if (recentCommits.length > 0) {
-        const claims = this.extractClaimsFromText(recentCommits[0].message);
-        
-        for (const claim of claims) {
-          await this.verifyClaim(claim, rapidChanges.map(c => c.path));
-        }
-      }
+    this.pendingEdits.add(path);
+
+    // Debounce: check once edits have been quiet for debounceMs
+    clearTimeout(this.editTimer);
+    this.editTimer = setTimeout(() => {
+      const paths = new Set(this.pendingEdits);
+      this.pendingEdits.clear();
+      this.enqueue(() => this.checkEdits(paths));
+    }, this.debounceMs);
+  }
+
+  // A directory created or moved in with files already inside is a single event,
+  // so a pending path also covers everything below it
+  isPendingEdit(path, paths) {
+    const segments = path.split('/');
+    return segments.some((segment, index) => paths.has(segments.slice(0, index + 1).join('/')));
+  }
+
+  isIgnored(filename) {
+    return filename.split(/[\\/]/).some(segment => IGNORED_DIRS.has(segment));
+  }
+
+  enqueue(check) {
+    this.queue = this.queue
+      .then(() => (this.stopped ? null : check()))
+      .catch(error => this.log(`❌ ${error.message}`));
+    return this.queue;
+  }
+
+  async currentHead() {
+    try {
+      return await this.repo.resolveRevision('HEAD');
+    } catch (error) {
+      return null; // No commits yet
     }
   }
 
-  extractClaimsFromText(text) {
-    const claims = [];
-    
-    for (const pattern of this.aiClaimPatterns) {
-      const matches = text.match(pattern);
-      if (matches) {
-        claims.push(...matches);
-      }
+  /**
+   * Verify every commit since the last check - after an amend or rebase, the
+   * commits that replaced the old HEAD
+   */
+  async checkCommits() {
+    const head = await this.currentHead();
+    if (!head || head === this.lastHead) return;
+
+    const range = await this.repo.resolveRange(this.lastHead ? `${this.lastHead}..${head}` : head);
+    const commits = await this.repo.listCommits(range);
+    if (commits.length > MAX_COMMITS_PER_CHECK) {
+      this.log(`⏭️ ${commits.length} new commits - verifying the last ${MAX_COMMITS_PER_CHECK}`);
     }
-    
-    // Filter out generic/unhelpful claims
-    return claims.filter(claim => 
-      claim.length > 10 && 
-      !claim.includes('typo') &&
-      !claim.includes('formatting')
-    );
+
+    for (const hash of commits.slice(-MAX_COMMITS_PER_CHECK)) {
+      await this.verifyCommit(hash);
+    }
+
+    // Only now: if a check fails, the next poll retries the same commits
+    this.lastHead = head;
   }
 
-  async verifyClaim(claim, affectedFiles = []) {
-    console.log(`\n🔍 Auto-verifying claim: "${claim}"`);
-    
-    // Use existing pattern detection logic
-    const { SlopWatchMCPServer } = await import('./server.js');
-    const detector = new SlopWatchMCPServer();
-    
-    try {
-      const result = await detector.performLieDetection(
-        claim,
-        process.cwd(),
-        ['.js', '.ts', '.jsx', '.tsx', '.css', '.py'],
-        50
-      );
-      
-      if (result.isLie) {
-        console.log(`🚨 AUTOMATIC LIE DETECTION: "${claim}"`);
-        console.log(`📊 Confidence: ${result.confidence}%`);
-        console.log(`📁 Files checked: ${result.filesAnalyzed}`);
-        
-        // Could send notification, log to file, etc.
-        await this.reportLie(claim, result);
-      } else {
-        console.log(`✅ Claim verified automatically: ${result.confidence}% confidence`);
+  /**
+   * Verify each claim in a commit message against the commit's own diff
+   * Resolves to [{ claim, result, claimRecord }]
+   */
+  async verifyCommit(hash) {
+    const short = hash.slice(0, 7);
+    const [message = ''] = await this.repo.getCommitMessages(await this.repo.resolveRange(hash));
+    const detected = this.server.claimDetector.detectCommitClaims(message);
+
+    if (detected.length === 0) {
+      this.log(`⚪ ${short} ${message.split('\n')[0]} - no implementation claims`);
+      return [];
+    }
+
+    this.log(`\n🤖 ${short} ${message.split('\n')[0]}`);
+
+    const verdicts = [];
+    for (const { claim } of detected) {
+      try {
+        const { result, claimRecord } = await this.server.verifyRevision({ revision: hash, claim, workspaceRoot: this.root, source: 'watch' });
+        this.log(`   ${result.isVerified ? '✅ PASSED' : '❌ FAILED'} (${result.confidence}%) ${claimRecord.id} ${claim}`);
+        verdicts.push({ claim, result, claimRecord });
+      } catch (error) {
+        this.log(`   ❌ Could not verify "${claim}": ${error.message}`);
       }
-    } catch (error) {
-      console.log(`❌ Failed to verify claim: ${error.message}`);
     }
+
+    return verdicts;
+  }
+
+  /**
+   * Report edited files that now differ from HEAD, with any stubs in their changed lines
+   * Resolves to the stubs found
+   */
+  async checkEdits(paths) {
+    const config = await this.server.getConfig().catch(() => null);
+    const { changes } = await this.repo.getWorkingTreeChanges('HEAD');
+    const edited = changes.filter(change => this.isPendingEdit(change.path, paths) && !(config && config.isIgnored(change.path)));
+    if (edited.length === 0) return [];
+
+    const stubs = edited.flatMap(change => this.stubDetector.detect(change.path, change.after, change.addedLines));
+
+    this.log(`\n✏️ ${edited.length} edited file${edited.length === 1 ? '' : 's'}: ${edited.map(change => change.path).join(', ')}`);
+    for (const stub of stubs) {
+      this.log(`   ⚠️ ${stub.file}:${stub.line} ${stub.description}: ${stub.text}`);
+    }
+
+    return stubs;
   }
+}
 
-  async reportLie(claim, result) {
-    // Log to file for dashboard
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      claim,
-      confidence: result.confidence,
-      evidence: result.contradictingEvidence.slice(0, 3)
-    };
-    
-    await fs.appendFile('.slopwatch-auto.log', JSON.stringify(logEntry) + '\n');
-    
-    // Could also:
-    // - Send desktop notification
-    // - Post to Slack/Discord
-    // - Update dashboard
-    console.log(`📝 Logged lie to .slopwatch-auto.log`);
-  }
-
-  async getRecentCommits(count = 5) {
-    return new Promise((resolve, reject) => {
-      const git = spawn('git', ['log', `--pretty=format:%H|%s|%an|%ad`, `-${count}`]);
-      let output = '';
-      
-      git.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-      
-      git.on('close', (code) => {
-        if (code !== 0) {
-          resolve([]);
-          return;
-        }
-        
-        const commits = output.trim().split('\n').map(line => {
-          const [hash, message, author, date] = line.split('|');
-          return { hash, message, author, date };
-        });
-        
-        resolve(commits);
-      });
-    });
+// Start when run directly (resolving the npm bin symlink), not when imported
+function isMainModule() {
+  try {
+    return realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+  } catch (error) {
+    return false;
   }
 }
 
-// Auto-start if run directly
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (isMainModule()) {
   const monitor = new AutoSlopWatch();
-  monitor.start();
+  monitor.handleSignals();
+  monitor.start().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
 }
 
-export { AutoSlopWatch }; 
\ No newline at end of file
+export { AutoSlopWatch };
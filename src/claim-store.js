@@ -0,0 +1,255 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+
+const STORE_DIR = '.slopwatch';
+const LOG_FILE = 'claims.jsonl';
+const LOCK_FILE = 'claims.lock';
+const LOG_VERSION = 1;
+
+const DEFAULT_RETENTION = 1000;
+const DEFAULT_RETENTION_MARGIN = 1.2;
+
+// A lock older than this was left by a crashed process
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 20;
+
+/**
+ * Claim Store - durable, per-workspace history of claims and verifications
+ * Append-only JSONL log under .slopwatch/, replayed on startup and compacted
+ * once the log grows well past the live state it describes.
+ * The MCP server, watch daemon, git hooks and CLI can share one log, so every
+ * write holds .slopwatch/claims.lock and compaction rewrites what is on disk.
+ */
+class ClaimStore {
+  constructor(workspaceRoot, options = {}) {
+    this.dir = join(workspaceRoot, STORE_DIR);
+    this.logPath = join(this.dir, LOG_FILE);
+    this.lockPath = join(this.dir, LOCK_FILE);
+    this.retention = options.retention ?? DEFAULT_RETENTION;
+    this.retentionMargin = options.retentionMargin ?? DEFAULT_RETENTION_MARGIN;
+    this.compactionRatio = options.compactionRatio ?? 2;
+
+    // Lines in the log and the records they describe, as of this process's last read and writes
+    this.lineCount = 0;
+    this.liveRecords = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Replay the log into claims and verification results
+   * Corrupt or partially written lines are skipped, not fatal
+   */
+  async load() {
+    const log = await this.readLog();
+    this.lineCount = log.lineCount;
+    this.liveRecords = log.claims.size + log.verificationResults.length;
+
+    if (log.skipped > 0 || this.needsCompaction(log.claims, log.verificationResults)) {
+      await this.compact();
+    }
+
+    return { ...this.applyRetention(log.claims, log.verificationResults), skipped: log.skipped };
+  }
+
+  async readLog() {
+    const claims = new Map();
+    const verificationResults = [];
+    let skipped = 0;
+
+    let raw = '';
+    try {
+      raw = await fs.readFile(this.logPath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const lines = raw.split('\n').filter(line => line.trim());
+
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        skipped++;
+        continue;
+      }
+
+      if (!entry || typeof entry !== 'object' || !entry.data) {
+        skipped++;
+        continue;
+      }
+
+      switch (entry.type) {
+        case 'claim':
+          claims.set(entry.data.id, entry.data);
+          break;
+        case 'update': {
+          const claimRecord = claims.get(entry.data.id);
+          if (claimRecord) Object.assign(claimRecord, entry.data);
+          break;
+        }
+        case 'result':
+          verificationResults.push(entry.data);
+          break;
+        default:
+          skipped++;
+      }
+    }
+
+    return { claims, verificationResults, skipped, lineCount: lines.length };
+  }
+
+  /**
+   * Whether the log is due for a rewrite: claims well past retention
+   * (not on every claim over it), or mostly superseded lines
+   */
+  needsCompaction(claims, verificationResults, lineCount = this.lineCount) {
+    const liveRecords = Math.max(claims.size + verificationResults.length, this.liveRecords);
+    return claims.size > this.retention * this.retentionMargin || lineCount > liveRecords * this.compactionRatio;
+  }
+
+  appendClaim(claimRecord) {
+    return this.append('claim', this.serializeClaim(claimRecord));
+  }
+
+  appendClaimUpdate(claimRecord) {
+    const { id, status, verifiedAt } = claimRecord;
+    return this.append('update', { id, status, verifiedAt });
+  }
+
+  appendResult(result) {
+    return this.append('result', result);
+  }
+
+  /**
+   * Rewrite the log, keeping only the newest claims. The log is re-read under the lock,
+   * so entries other processes appended are kept, and it is skipped if another process
+   * already compacted it. Written to a temp file and renamed so a crash never leaves a half log.
+   * Resolves to the IDs of the claims dropped
+   */
+  async compact() {
+    return this.enqueue(() => this.withLock(async () => {
+      const log = await this.readLog();
+      this.liveRecords = log.claims.size + log.verificationResults.length;
+      if (log.skipped === 0 && !this.needsCompaction(log.claims, log.verificationResults, log.lineCount)) {
+        this.lineCount = log.lineCount;
+        return { dropped: [] };
+      }
+
+      const retained = this.applyRetention(log.claims, log.verificationResults);
+      const lines = [
+        ...[...retained.claims.values()].map(claimRecord => this.formatEntry('claim', claimRecord)),
+        ...retained.verificationResults.map(result => this.formatEntry('result', result))
+      ];
+
+      const tmpPath = `${this.logPath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, lines.join(''));
+      await fs.rename(tmpPath, this.logPath);
+      this.lineCount = lines.length;
+      this.liveRecords = retained.claims.size + retained.verificationResults.length;
+
+      return { dropped: retained.dropped };
+    }));
+  }
+
+  applyRetention(claims, verificationResults) {
+    if (claims.size <= this.retention) {
+      return { claims, verificationResults, dropped: [] };
+    }
+
+    const ids = [...claims.keys()];
+    const kept = new Map([...claims.entries()].slice(-this.retention));
+    return {
+      claims: kept,
+      verificationResults: verificationResults.filter(result => kept.has(result.claimId)),
+      dropped: ids.slice(0, ids.length - this.retention)
+    };
+  }
+
+  // Only snapshot hashes are persisted - file contents stay in memory
+  serializeClaim(claimRecord) {
+    const fileSnapshots = {};
+    for (const [filename, snapshot] of Object.entries(claimRecord.fileSnapshots || {})) {
+      fileSnapshots[filename] = { hash: snapshot.hash, exists: snapshot.exists };
+    }
+
+    return { ...claimRecord, fileSnapshots };
+  }
+
+  formatEntry(type, data) {
+    return JSON.stringify({ v: LOG_VERSION, type, at: new Date().toISOString(), data }) + '\n';
+  }
+
+  append(type, data) {
+    const line = this.formatEntry(type, data);
+    return this.enqueue(() => this.withLock(async () => {
+      await fs.appendFile(this.logPath, line);
+      this.lineCount++;
+      if (type !== 'update') this.liveRecords++;
+    }));
+  }
+
+  /**
+   * Run an operation holding the store lock, which other processes' writes wait for
+   */
+  async withLock(operation) {
+    await this.ensureDir();
+
+    const started = Date.now();
+    let handle = null;
+    while (!handle) {
+      try {
+        handle = await fs.open(this.lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        if (await this.isStaleLock()) {
+          await fs.rm(this.lockPath, { force: true });
+        } else if (Date.now() - started > LOCK_TIMEOUT_MS) {
+          throw new Error(`Timed out waiting for ${this.lockPath}`);
+        } else {
+          await new Promise(resolvePromise => setTimeout(resolvePromise, LOCK_RETRY_MS));
+        }
+      }
+    }
+
+    try {
+      await handle.writeFile(String(process.pid));
+      return await operation();
+    } finally {
+      await handle.close();
+      await fs.rm(this.lockPath, { force: true });
+    }
+  }
+
+  async isStaleLock() {
+    try {
+      const { mtimeMs } = await fs.stat(this.lockPath);
+      return Date.now() - mtimeMs > LOCK_STALE_MS;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // Serialize writes so appends and compaction never interleave
+  enqueue(operation) {
+    const next = this.writeQueue.then(operation);
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+
+  async ensureDir() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    // Keep the store out of the user's commits
+    const ignorePath = join(this.dir, '.gitignore');
+    try {
+      await fs.writeFile(ignorePath, '*\n', { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+}
+
+export { ClaimStore };
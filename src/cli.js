@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+import { promises as fs, realpathSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { SlopWatchServer, main as serverMain } from './mcp-server.js';
+import { DEFAULT_FILE_TYPES, DEFAULT_MAX_FILES } from './evidence-analyzer.js';
+import { GitRepository } from './git.js';
+import { formatTextReport, formatJUnitReport } from './reports.js';
+import { formatSarifReport } from './sarif.js';
+import { VERSION } from './version.js';
+
+/**
+ * SlopWatch CLI - verification for CI and scripts. `verify` checks one claim
+ * against a commit or a branch, `scan` finds and checks the claims in a PR
+ * description or commit log, `status` prints accuracy from the claim store.
+ * Exits 1 when a claim fails and 2 on usage or setup errors.
+ */
+
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+const FORMATS = ['text', 'json', 'junit', 'sarif'];
+const VALUE_FLAGS = ['base', 'head', 'format', 'output', 'file', 'commits', 'window', 'workspace'];
+const BOOLEAN_FLAGS = ['stdin', 'no-evidence', 'help'];
+
+const USAGE = `SlopWatch v${VERSION}
+
+Usage:
+  slopwatch verify "<claim>" [--base <rev>] [--head <rev>]   Verify a claim against HEAD, or base...head
+  slopwatch scan --file <pr.md> | --stdin | "<text>" [--base <rev>]
+                                                            Verify every claim in a PR description
+  slopwatch scan --commits <range>                          Verify the claims in each commit message
+  slopwatch status [--window <n>]                           Accuracy from the claim store
+  slopwatch watch | hooks <install|uninstall> | serve [--http]
+
+Options:
+  --format text|json|junit|sarif
+                             Output format (default: text)
+  --output <file>            Write the report to a file and print the summary
+  --no-evidence              Skip the domain evidence check, keep the diff check
+  --workspace <dir>          Workspace root (default: current directory)
+
+Exit codes: 0 all claims verified, 1 a claim failed, 2 usage or setup error`;
+
+/**
+ * Usage mistakes, reported with the usage text and exit code 2
+ */
+class UsageError extends Error {}
+
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else if (VALUE_FLAGS.includes(name)) {
+      const value = inlineValue ?? args[++i];
+      if (value === undefined) {
+        throw new UsageError(`--${name} needs a value`);
+      }
+      flags[name] = value;
+    } else {
+      throw new UsageError(`Unknown option: --${name}`);
+    }
+  }
+
+  if (flags.format && !FORMATS.includes(flags.format)) {
+    throw new UsageError(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  return { positional, flags };
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+class SlopWatchCli {
+  constructor(options = {}) {
+    this.out = options.out || (text => process.stdout.write(text.endsWith('\n') ? text : `${text}\n`));
+    this.err = options.err || (text => console.error(text));
+    this.server = options.server || null;
+  }
+
+  /**
+   * Run a command line, resolving to the exit code (undefined when a delegated
+   * command such as serve or watch keeps running)
+   */
+  async run(args) {
+    const [command, ...rest] = args;
+
+    // Long-running and hook commands are the server's own
+    if (command === 'serve') return serverMain(rest);
+    if (command === 'watch' || command === 'hooks') return serverMain(args);
+
+    try {
+      const { positional, flags } = parseArgs(rest);
+      if (flags.help || !command || command === 'help') {
+        this.out(USAGE);
+        return 0;
+      }
+
+      switch (command) {
+        case 'verify':
+          return await this.report(await this.verify(positional, flags), flags);
+        case 'scan':
+          return await this.report(await this.scan(positional, flags), flags);
+        case 'status':
+          return await this.status(flags);
+        case 'version':
+          this.out(VERSION);
+          return 0;
+        default:
+          throw new UsageError(`Unknown command: ${command}`);
+      }
+    } catch (error) {
+      if (error instanceof UsageError) {
+        this.err(`❌ ${error.message}\n\n${USAGE}`);
+      } else {
+        this.err(`❌ ${error.message}`);
+      }
+      return EXIT_ERROR;
+    } finally {
+      if (this.server) await this.server.persistQueue;
+    }
+  }
+
+  async getServer(flags) {
+    if (!this.server) {
+      this.server = new SlopWatchServer({ workspaceRoot: resolve(flags.workspace || process.cwd()) });
+      await this.server.loadStore();
+      await this.server.getConfig();
+    }
+    return this.server;
+  }
+
+  // "base...head" for a branch, otherwise the single commit at head
+  revisionFor(flags) {
+    const head = flags.head || 'HEAD';
+    return flags.base ? `${flags.base}...${head}` : head;
+  }
+
+  async verify(positional, flags) {
+    const claim = positional.join(' ').trim();
+    if (!claim) {
+      throw new UsageError('verify needs a claim, e.g. slopwatch verify "Added retry logic" --base main');
+    }
+
+    const server = await this.getServer(flags);
+    const revision = this.revisionFor(flags);
+    return this.buildReport('verify', revision, [await this.checkClaim(server, claim, revision, flags)]);
+  }
+
+  async scan(positional, flags) {
+    const server = await this.getServer(flags);
+
+    if (flags.commits) {
+      const repo = new GitRepository(server.workspaceRoot);
+      const entries = [];
+      for (const hash of await repo.listCommits(await repo.resolveRange(flags.commits))) {
+        const [message = ''] = await repo.getCommitMessages(await repo.resolveRange(hash));
+        for (const { claim } of server.claimDetector.detectCommitClaims(message)) {
+          entries.push(await this.checkClaim(server, claim, hash, flags, hash));
+        }
+      }
+      return this.buildReport('scan', flags.commits, entries);
+    }
+
+    const text = flags.file ? await fs.readFile(resolve(flags.file), 'utf-8') :
+      flags.stdin ? await readStdin() :
+      positional.join(' ');
+    if (!text.trim()) {
+      throw new UsageError('scan needs text to look for claims in: --file, --stdin, a text argument or --commits');
+    }
+
+    const revision = this.revisionFor(flags);
+    const entries = [];
+    for (const { claim } of server.detectResponseClaims(text)) {
+      entries.push(await this.checkClaim(server, claim, revision, flags));
+    }
+    return this.buildReport('scan', revision, entries);
+  }
+
+  /**
+   * Verify one claim against a revision: the diff check (what slopwatch_verify_commit does)
+   * and, unless --no-evidence, the domain evidence check on the same changed lines
+   */
+  async checkClaim(server, claim, revision, flags, commit = null) {
+    try {
+      const { result, claimRecord, range } = await server.verifyRevision({ revision, claim, workspaceRoot: server.workspaceRoot, source: 'cli' });
+      const checks = [{
+        name: 'diff',
+        verdict: result.isVerified ? 'PASSED' : 'FAILED',
+        confidence: result.confidence,
+        threshold: result.threshold,
+        details: result.details,
+        result: server.verificationPayload(result, claimRecord)
+      }];
+
+      if (!flags['no-evidence']) {
+        const analysis = await server.evidenceAnalyzer.performLieDetection(claim, server.workspaceRoot, DEFAULT_FILE_TYPES, DEFAULT_MAX_FILES, {
+          baseRevision: range.base,
+          headRevision: range.head
+        });
+        const messages = (analysis.isLie ? analysis.contradictingEvidence : analysis.supportingEvidence).map(evidence => evidence.message);
+        checks.push({
+          name: 'evidence',
+          verdict: analysis.isLie ? 'FAILED' : 'PASSED',
+          confidence: analysis.confidence,
+          details: messages.slice(0, 3).join('; '),
+          evidence: {
+            filesAnalyzed: analysis.filesAnalyzed,
+            supporting: analysis.supportingEvidence.map(({ weight, ...evidence }) => evidence),
+            contradicting: analysis.contradictingEvidence.map(({ weight, ...evidence }) => evidence)
+          }
+        });
+      }
+
+      return {
+        claim,
+        claimId: claimRecord.id,
+        ...(commit && { commit }),
+        verdict: checks.every(check => check.verdict === 'PASSED') ? 'PASSED' : 'FAILED',
+        confidence: Math.min(...checks.map(check => check.confidence)),
+        checks
+      };
+    } catch (error) {
+      // A revision with no changes backs no claim; anything else (unknown revision,
+      // not a repository) is a setup error for run() to report with exit code 2
+      if (error.code !== 'NO_CHANGES') throw error;
+      return { claim, ...(commit && { commit }), verdict: 'FAILED', confidence: 0, checks: [], error: error.message, code: error.code };
+    }
+  }
+
+  buildReport(command, revision, claims) {
+    const failed = claims.filter(entry => entry.verdict !== 'PASSED').length;
+    return {
+      command,
+      revision,
+      verdict: claims.length === 0 ? 'NO_CLAIMS' : failed === 0 ? 'PASSED' : 'FAILED',
+      passed: claims.length - failed,
+      failed,
+      claims
+    };
+  }
+
+  /**
+   * Print (or write with --output) the report in the chosen format; exit 1 if any claim failed
+   */
+  async report(report, flags) {
+    const format = flags.format || 'text';
+    const output = format === 'json' ? JSON.stringify(report, null, 2) :
+      format === 'junit' ? formatJUnitReport(report) :
+      format === 'sarif' ? formatSarifReport(report, { root: this.server?.workspaceRoot }) :
+      formatTextReport(report);
+
+    if (flags.output) {
+      await fs.writeFile(resolve(flags.output), output.endsWith('\n') ? output : `${output}\n`);
+      this.out(formatTextReport(report));
+    } else {
+      this.out(output);
+    }
+
+    return report.failed > 0 ? EXIT_FAILED : 0;
+  }
+
+  async status(flags) {
+    const window = flags.window === undefined ? undefined : Number(flags.window);
+    if (window !== undefined && !(Number.isInteger(window) && window > 0)) {
+      throw new UsageError('--window must be a positive whole number');
+    }
+
+    const server = await this.getServer(flags);
+    const { content } = await server.handleStatus({ window, responseFormat: flags.format === 'json' ? 'json' : 'text' });
+    this.out(content[0].text);
+    return 0;
+  }
+}
+
+// Run when executed directly (resolving the npm bin symlink), not when imported
+function isMainModule() {
+  try {
+    return realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+  } catch (error) {
+    return false;
+  }
+}
+
+if (isMainModule()) {
+  new SlopWatchCli().run(process.argv.slice(2)).then(exitCode => {
+    if (exitCode !== undefined) process.exitCode = exitCode;
+  }, error => {
+    console.error(error);
+    process.exit(EXIT_ERROR);
+  });
+}
+
+export { SlopWatchCli, parseArgs };
@@ -0,0 +1,315 @@
+import { promises as fs } from 'fs';
+import { join, relative, isAbsolute, sep } from 'path';
+import { validateAnalyticsSettings } from './analytics.js';
+import { validateRulePacks } from './rule-packs.js';
+import { validateToolSets } from './tool-sets.js';
+import { validateHookSettings, DEFAULT_HOOK_SETTINGS } from './hooks.js';
+import { validateTestSettings, DEFAULT_TEST_SETTINGS } from './test-verifier.js';
+
+/**
+ * Project Configuration - scoring weights, pass thresholds, keyword rules,
+ * analytics settings, rule packs, enabled tool sets and git hook modes read from .slopwatch.json in the workspace
+ * root. The file is validated on load and re-read whenever it changes on disk.
+ */
+
+const CONFIG_FILE = '.slopwatch.json';
+
+// Claim words too generic to count as evidence
+// The claim's verb says what kind of change it is, not what the change is about
+const DEFAULT_STOPWORDS = [
+  'will', 'add', 'added', 'adds', 'create', 'created', 'creates', 'implement', 'implemented', 'implements',
+  'function', 'method', 'file', 'code'
+];
+
+// 60/40 files/keywords, 30/10/60 files/keywords/symbols when the claim names identifiers,
+// or 30/10/60 files/keywords/action for removals and renames
+const DEFAULT_WEIGHTS = {
+  default: { fileChanges: 60, keywords: 40 },
+  symbols: { fileChanges: 30, keywords: 10, symbols: 60 },
+  action: { fileChanges: 30, keywords: 10, action: 60 }
+};
+
+const DEFAULT_THRESHOLD = 50;
+
+const WEIGHT_KEYS = {
+  default: ['fileChanges', 'keywords'],
+  symbols: ['fileChanges', 'keywords', 'symbols'],
+  action: ['fileChanges', 'keywords', 'action']
+};
+
+const CONFIG_KEYS = ['threshold', 'thresholds', 'weights', 'stopwords', 'ignore', 'analytics', 'rulePacks', 'tools', 'hooks', 'tests'];
+
+/**
+ * Validated settings for one workspace
+ */
+class ProjectConfig {
+  constructor(root, raw = {}, path = null) {
+    this.root = root;
+    this.path = path;
+    this.threshold = raw.threshold ?? DEFAULT_THRESHOLD;
+    this.stopwords = new Set([...DEFAULT_STOPWORDS, ...(raw.stopwords || []).map(word => word.toLowerCase())]);
+    this.ignore = (raw.ignore || []).map(pattern => ({ pattern, regex: globToRegExp(pattern) }));
+    this.thresholds = Object.entries(raw.thresholds || {}).map(([pattern, threshold]) => ({ pattern, threshold, regex: globToRegExp(pattern) }));
+    this.analytics = raw.analytics || null;
+    this.rulePacks = raw.rulePacks || [];
+    this.tools = raw.tools || null;
+    this.hooks = { ...DEFAULT_HOOK_SETTINGS, ...raw.hooks };
+    this.tests = raw.tests ? { ...DEFAULT_TEST_SETTINGS, ...raw.tests } : null;
+
+    this.weights = {};
+    for (const profile of Object.keys(DEFAULT_WEIGHTS)) {
+      this.weights[profile] = {
+        fileChanges: 0,
+        keywords: 0,
+        symbols: 0,
+        action: 0,
+        ...DEFAULT_WEIGHTS[profile],
+        ...(raw.weights && raw.weights[profile])
+      };
+    }
+  }
+
+  /**
+   * Workspace-relative path with forward slashes, as globs are written
+   */
+  relativePath(file) {
+    const rel = isAbsolute(file) ? relative(this.root, file) : file;
+    return rel.split(sep).join('/').replace(/^\.\//, '');
+  }
+
+  isIgnored(file) {
+    const rel = this.relativePath(file);
+    return this.ignore.some(({ regex }) => regex.test(rel));
+  }
+
+  /**
+   * Pass threshold for a set of files - each file takes the last matching
+   * per-path threshold (or the project threshold) and the strictest file wins
+   */
+  thresholdFor(files) {
+    let threshold = null;
+
+    for (const file of files) {
+      const rel = this.relativePath(file);
+      const matches = this.thresholds.filter(({ regex }) => regex.test(rel));
+      const fileThreshold = matches.length > 0 ? matches[matches.length - 1].threshold : this.threshold;
+      threshold = threshold === null ? fileThreshold : Math.max(threshold, fileThreshold);
+    }
+
+    return threshold ?? this.threshold;
+  }
+}
+
+/**
+ * Loads .slopwatch.json for one workspace root, caching it until the file changes
+ */
+class ConfigLoader {
+  constructor(root) {
+    this.root = root;
+    this.path = join(root, CONFIG_FILE);
+    this.signature = null;
+    this.config = null;
+  }
+
+  async load() {
+    let stat = null;
+    try {
+      stat = await fs.stat(this.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const signature = stat ? `${stat.mtimeMs}:${stat.size}` : 'missing';
+    if (signature === this.signature) return this.config;
+
+    const config = stat ? parseConfig(this.root, await fs.readFile(this.path, 'utf-8'), this.path) : new ProjectConfig(this.root);
+
+    // Only cache a valid config, so a broken file keeps failing until it is fixed
+    this.signature = signature;
+    this.config = config;
+    return config;
+  }
+}
+
+function parseConfig(root, text, path) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${CONFIG_FILE} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateConfig(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${CONFIG_FILE}:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+
+  return new ProjectConfig(root, raw, path);
+}
+
+/**
+ * Every problem with a parsed config, as human-readable messages
+ */
+function validateConfig(raw) {
+  const errors = [];
+
+  if (!isPlainObject(raw)) {
+    return ['the file must contain a JSON object'];
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      errors.push(`unknown setting "${key}" (expected one of: ${CONFIG_KEYS.join(', ')})`);
+    }
+  }
+
+  if (raw.threshold !== undefined && !isPercentage(raw.threshold)) {
+    errors.push('threshold must be a number from 0 to 100');
+  }
+
+  if (raw.thresholds !== undefined) {
+    if (!isPlainObject(raw.thresholds)) {
+      errors.push('thresholds must be an object mapping path globs to numbers, e.g. { "src/payments/**": 80 }');
+    } else {
+      for (const [pattern, threshold] of Object.entries(raw.thresholds)) {
+        if (!isPercentage(threshold)) {
+          errors.push(`thresholds["${pattern}"] must be a number from 0 to 100`);
+        }
+      }
+    }
+  }
+
+  for (const key of ['stopwords', 'ignore']) {
+    if (raw[key] === undefined) continue;
+
+    if (!Array.isArray(raw[key])) {
+      errors.push(`${key} must be an array of strings`);
+      continue;
+    }
+    raw[key].forEach((value, index) => {
+      if (typeof value !== 'string' || value.trim() === '') {
+        errors.push(`${key}[${index}] must be a non-empty string`);
+      }
+    });
+  }
+
+  if (raw.weights !== undefined) {
+    if (!isPlainObject(raw.weights)) {
+      errors.push(`weights must be an object with any of: ${Object.keys(WEIGHT_KEYS).join(', ')}`);
+    } else {
+      for (const [profile, weights] of Object.entries(raw.weights)) {
+        errors.push(...validateWeights(profile, weights));
+      }
+    }
+  }
+
+  if (raw.analytics !== undefined) {
+    errors.push(...validateAnalyticsSettings(raw.analytics));
+  }
+
+  if (raw.rulePacks !== undefined) {
+    errors.push(...validateRulePacks(raw.rulePacks));
+  }
+
+  if (raw.tools !== undefined) {
+    errors.push(...validateToolSets(raw.tools));
+  }
+
+  if (raw.hooks !== undefined) {
+    errors.push(...validateHookSettings(raw.hooks));
+  }
+
+  if (raw.tests !== undefined) {
+    errors.push(...validateTestSettings(raw.tests));
+  }
+
+  return errors;
+}
+
+function validateWeights(profile, weights) {
+  const allowed = WEIGHT_KEYS[profile];
+  if (!allowed) {
+    return [`weights.${profile} is not a weight profile (expected one of: ${Object.keys(WEIGHT_KEYS).join(', ')})`];
+  }
+  if (!isPlainObject(weights)) {
+    return [`weights.${profile} must be an object with: ${allowed.join(', ')}`];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(weights)) {
+    if (!allowed.includes(key)) {
+      errors.push(`weights.${profile}.${key} is not used by this profile (expected: ${allowed.join(', ')})`);
+    } else if (!isPercentage(value)) {
+      errors.push(`weights.${profile}.${key} must be a number from 0 to 100`);
+    }
+  }
+
+  if (errors.length === 0) {
+    const merged = { ...DEFAULT_WEIGHTS[profile], ...weights };
+    const total = Object.values(merged).reduce((sum, value) => sum + value, 0);
+    if (total !== 100) {
+      errors.push(`weights.${profile} must add up to 100 (${allowed.map(key => `${key} ${merged[key]}`).join(' + ')} = ${total})`);
+    }
+  }
+
+  return errors;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPercentage(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
+/**
+ * Gitignore-style glob: `*` and `?` stay within a path segment, `**` spans
+ * segments, `{a,b}` alternates, and a pattern without a slash matches at any depth.
+ * A pattern also matches everything below a directory it names.
+ */
+function globToRegExp(pattern) {
+  let glob = pattern.trim().replace(/^\.\//, '').replace(/\/$/, '');
+  if (glob.startsWith('/')) {
+    glob = glob.slice(1);
+  } else if (!glob.includes('/')) {
+    glob = `**/${glob}`;
+  }
+
+  return new RegExp(`^${translateGlob(glob)}(?:/.*)?$`);
+}
+
+function translateGlob(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const close = glob.indexOf('}', i);
+      if (close === -1) {
+        source += '\\{';
+      } else {
+        source += `(?:${glob.slice(i + 1, close).split(',').map(translateGlob).join('|')})`;
+        i = close;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+export { ConfigLoader, ProjectConfig, validateConfig, globToRegExp, CONFIG_FILE, DEFAULT_STOPWORDS };
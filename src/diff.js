@@ -0,0 +1,289 @@
+/**
+ * Line Diff - Myers O(ND) line diff with unified-style hunks
+ * Used to find exactly which lines a change added, removed or modified
+ */
+
+const CONTEXT_LINES = 3;
+
+// Beyond this many edits the middle of the file is treated as replaced wholesale
+const MAX_EDIT_DISTANCE = 2000;
+
+function splitLines(content) {
+  if (!content) return [];
+
+  const lines = content.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Shortest edit script between two line arrays
+ * Returns ops of { type: 'equal' | 'insert' | 'delete', oldIndex, newIndex }
+ */
+function computeEdits(oldLines, newLines) {
+  const ops = [];
+
+  // Common prefix and suffix never need the O(ND) search
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    ops.push({ type: 'equal', oldIndex: start, newIndex: start });
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  const suffix = [];
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+    suffix.unshift({ type: 'equal', oldIndex: oldEnd, newIndex: newEnd });
+  }
+
+  ops.push(...myers(oldLines, newLines, start, oldEnd, start, newEnd));
+  ops.push(...suffix);
+  return ops;
+}
+
+function myers(a, b, aStart, aEnd, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+
+  if (n === 0 || m === 0) {
+    return replaceAll(aStart, aEnd, bStart, bEnd);
+  }
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Window of v for diagonals -d..d, as it stood before this round
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, d, n, m, aStart, bStart);
+      }
+    }
+  }
+
+  return replaceAll(aStart, aEnd, bStart, bEnd);
+}
+
+function backtrack(trace, distance, n, m, aStart, bStart) {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = distance; d >= 0; d--) {
+    if (d === 0) {
+      while (x > 0 && y > 0) {
+        x--;
+        y--;
+        ops.push({ type: 'equal', oldIndex: aStart + x, newIndex: bStart + y });
+      }
+      break;
+    }
+
+    const previous = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && previous[k - 1 + d] < previous[k + 1 + d])) ? k + 1 : k - 1;
+    const prevX = previous[prevK + d];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ type: 'equal', oldIndex: aStart + x, newIndex: bStart + y });
+    }
+
+    if (prevK === k + 1) {
+      ops.push({ type: 'insert', oldIndex: aStart + x, newIndex: bStart + prevY });
+    } else {
+      ops.push({ type: 'delete', oldIndex: aStart + prevX, newIndex: bStart + y });
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+function replaceAll(aStart, aEnd, bStart, bEnd) {
+  const ops = [];
+  for (let i = aStart; i < aEnd; i++) ops.push({ type: 'delete', oldIndex: i, newIndex: bStart });
+  for (let j = bStart; j < bEnd; j++) ops.push({ type: 'insert', oldIndex: aEnd, newIndex: j });
+  return ops;
+}
+
+/**
+ * Diff two file contents line by line
+ * Removed lines paired with added lines in the same change block count as modified
+ */
+function diffLines(oldContent, newContent, options = {}) {
+  const context = options.context ?? CONTEXT_LINES;
+  const oldLines = splitLines(oldContent);
+  const newLines = splitLines(newContent);
+  const ops = computeEdits(oldLines, newLines);
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  // Walk change blocks (runs of deletes/inserts between equal lines)
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].type === 'equal') {
+      i++;
+      continue;
+    }
+
+    const deletes = [];
+    const inserts = [];
+    while (i < ops.length && ops[i].type !== 'equal') {
+      (ops[i].type === 'delete' ? deletes : inserts).push(ops[i]);
+      i++;
+    }
+
+    const paired = Math.min(deletes.length, inserts.length);
+    for (let p = 0; p < paired; p++) {
+      modified.push({
+        oldLine: deletes[p].oldIndex + 1,
+        newLine: inserts[p].newIndex + 1,
+        before: oldLines[deletes[p].oldIndex],
+        after: newLines[inserts[p].newIndex]
+      });
+    }
+    for (const op of deletes.slice(paired)) {
+      removed.push({ line: op.oldIndex + 1, content: oldLines[op.oldIndex] });
+    }
+    for (const op of inserts.slice(paired)) {
+      added.push({ line: op.newIndex + 1, content: newLines[op.newIndex] });
+    }
+  }
+
+  return {
+    hunks: buildHunks(ops, oldLines, newLines, context),
+    added,
+    removed,
+    modified,
+    stats: {
+      added: added.length,
+      removed: removed.length,
+      modified: modified.length
+    }
+  };
+}
+
+function buildHunks(ops, oldLines, newLines, context) {
+  const changeIndexes = [];
+  ops.forEach((op, index) => {
+    if (op.type !== 'equal') changeIndexes.push(index);
+  });
+
+  if (changeIndexes.length === 0) return [];
+
+  // Merge changes whose context windows touch into one hunk
+  const ranges = [];
+  for (const index of changeIndexes) {
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+
+    if (last && from <= last.to + 1) {
+      last.to = Math.max(last.to, to);
+    } else {
+      ranges.push({ from, to });
+    }
+  }
+
+  return ranges.map(({ from, to }) => {
+    const lines = ops.slice(from, to + 1).map(op => {
+      switch (op.type) {
+        case 'insert':
+          return { type: 'add', content: newLines[op.newIndex], newLine: op.newIndex + 1 };
+        case 'delete':
+          return { type: 'remove', content: oldLines[op.oldIndex], oldLine: op.oldIndex + 1 };
+        default:
+          return { type: 'context', content: oldLines[op.oldIndex], oldLine: op.oldIndex + 1, newLine: op.newIndex + 1 };
+      }
+    });
+
+    const first = ops[from];
+    return {
+      oldStart: first.oldIndex + 1,
+      oldLines: lines.filter(line => line.type !== 'add').length,
+      newStart: first.newIndex + 1,
+      newLines: lines.filter(line => line.type !== 'remove').length,
+      lines
+    };
+  });
+}
+
+/**
+ * Lines introduced by a diff as { line, content }: added lines plus the new side of modified lines
+ */
+function getAddedLines(diff) {
+  return [
+    ...diff.added.map(entry => ({ line: entry.line, content: entry.content })),
+    ...diff.modified.map(entry => ({ line: entry.newLine, content: entry.after }))
+  ].sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Text introduced by a diff: added lines plus the new side of modified lines
+ */
+function getAddedText(diff) {
+  return getAddedLines(diff).map(entry => entry.content).join('\n');
+}
+
+/**
+ * 1-based line numbers in the new content that the diff added or modified
+ */
+function getAddedLineNumbers(diff) {
+  return new Set([
+    ...diff.added.map(entry => entry.line),
+    ...diff.modified.map(entry => entry.newLine)
+  ]);
+}
+
+/**
+ * Text taken away by a diff: removed lines plus the old side of modified lines
+ */
+function getRemovedText(diff) {
+  return [
+    ...diff.removed.map(entry => ({ line: entry.line, content: entry.content })),
+    ...diff.modified.map(entry => ({ line: entry.oldLine, content: entry.before }))
+  ]
+    .sort((a, b) => a.line - b.line)
+    .map(entry => entry.content)
+    .join('\n');
+}
+
+/**
+ * Compact form for verification details - counts and hunk ranges, no file content
+ */
+function summarizeDiff(diff) {
+  return {
+    ...diff.stats,
+    hunks: diff.hunks.map(({ oldStart, oldLines, newStart, newLines }) => ({ oldStart, oldLines, newStart, newLines }))
+  };
+}
+
+export { diffLines, getAddedLines, getAddedText, getAddedLineNumbers, getRemovedText, summarizeDiff, splitLines };
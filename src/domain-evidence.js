@@ -0,0 +1,228 @@
+/**
+ * Domain Evidence - what code looks like when a claim in a technical domain
+ * is really implemented. One checker per SmartClaimDetector domain (plus
+ * validation and React), each with positive patterns that support the claim
+ * and negative patterns that undercut it. Checked line by line.
+ */
+
+const DOMAIN_CHECKERS = {
+  errorHandling: {
+    label: 'error handling',
+    positive: [
+      [/\btry\s*\{|^\s*try\s*$/, 'try block'],
+      [/\bcatch\s*(?:\(|\{)/, 'catch clause'],
+      [/\.catch\s*\(/, 'promise .catch()'],
+      [/\bfinally\s*\{/, 'finally block'],
+      [/\bthrow\s+new\s+\w*Error\b/, 'throws an error'],
+      [/^\s*(?:try|except\b.*|finally)\s*:/, 'python try/except'],
+      [/\braise\s+\w+/, 'raises an exception'],
+      [/componentDidCatch|\bErrorBoundary\b/, 'error boundary'],
+      [/\bif\s*\(\s*(?:err|error)\b/, 'error check']
+    ],
+    negative: [
+      [/catch\s*(?:\([^)]*\))?\s*\{\s*\}/, 'empty catch block'],
+      [/catch\s*(?:\([^)]*\))?\s*\{\s*console\.log\([^)]*\);?\s*\}/, 'catch block that only logs'],
+      [/^\s*except\s*:\s*pass\b/, 'bare except: pass']
+    ]
+  },
+
+  async: {
+    label: 'async code',
+    positive: [
+      [/\basync\s+(?:function\b|\(|[\w$]+\s*=>|[\w$]+\s*\()/, 'async function'],
+      [/\bawait\b/, 'await'],
+      [/\.then\s*\(/, 'promise .then()'],
+      [/\bPromise\.(?:all|allSettled|race|any)\s*\(/, 'promise combinator'],
+      [/\bnew\s+Promise\s*\(/, 'promise constructor'],
+      [/\basyncio\.|\basync\s+def\b/, 'python asyncio']
+    ],
+    negative: [
+      [/\b\w+Sync\s*\(/, 'synchronous call']
+    ]
+  },
+
+  responsive: {
+    label: 'responsive layout',
+    positive: [
+      [/@media\b/, 'media query'],
+      [/@container\b/, 'container query'],
+      [/\bdisplay\s*:\s*(?:inline-)?(?:flex|grid)\b|\bflex-wrap\b|\bgrid-template/, 'flex/grid layout'],
+      [/\b(?:min|max|clamp)\s*\(/, 'fluid sizing'],
+      [/\d(?:vw|vh|dvh|svh)\b/, 'viewport units'],
+      [/\bsrcset=|\bsizes=/, 'responsive images'],
+      [/\b(?:sm|md|lg|xl|2xl):[\w-]/, 'breakpoint classes'],
+      [/\bmatchMedia\s*\(|\buseMediaQuery\b/, 'media query hook'],
+      [/name=["']viewport["']/, 'viewport meta tag']
+    ],
+    negative: []
+  },
+
+  performance: {
+    label: 'performance',
+    positive: [
+      [/\buse(?:Memo|Callback)\s*\(|\bReact\.memo\s*\(|\bmemo\s*\(/, 'memoization'],
+      [/\bmemoize\b|\bcache\b|\bCache\b|\blru\b|@lru_cache|@cache\b/i, 'caching'],
+      [/\bimport\s*\(/, 'lazy import'],
+      [/\blazy\s*\(|loading=["']lazy["']/, 'lazy loading'],
+      [/\b(?:debounce|throttle)\b/, 'debounce/throttle'],
+      [/\brequestAnimationFrame\b|\brequestIdleCallback\b/, 'deferred work'],
+      [/\bnew\s+(?:Map|Set|WeakMap)\s*\(/, 'indexed lookup'],
+      [/Cache-Control|\bETag\b|\bmax-age\b/, 'HTTP caching']
+    ],
+    negative: [
+      [/\bawait\b.*\bfor\b|\bfor\b.*\bawait\b/, 'sequential await in a loop']
+    ]
+  },
+
+  security: {
+    label: 'security',
+    positive: [
+      [/\bsanitiz\w*|\bDOMPurify\b|\bxss\b/i, 'sanitization'],
+      [/\bescape\w*\s*\(|\bencodeURIComponent\s*\(|\bhtmlspecialchars\b/, 'escaping'],
+      [/\bquery\s*\(\s*['"`][^'"`]*(?:\?|\$\d)[^'"`]*['"`]\s*,/, 'parameterized query'],
+      [/\bprepare\s*\(|\bexecute\s*\(\s*['"][^'"]*%s/, 'prepared statement'],
+      [/\b(?:bcrypt|argon2|scrypt|pbkdf2)\b/i, 'password hashing'],
+      [/\btimingSafeEqual\b|\bhmac\b/i, 'constant-time comparison'],
+      [/\bcsrf\b|\bhelmet\b|Content-Security-Policy|\bcors\s*\(/i, 'security middleware'],
+      [/\bjwt\.verify\s*\(|\bverify(?:Token|Signature)\s*\(/, 'token verification'],
+      [/\b(?:z\.\w+\s*\(|Joi\.\w+|yup\.\w+|validator\.\w+)/, 'input validation'],
+      [/\b(?:isAuthenticated|authorize|requireAuth|checkPermission)\w*\s*\(/, 'access check']
+    ],
+    negative: [
+      [/\beval\s*\(|\bnew\s+Function\s*\(/, 'dynamic code execution'],
+      [/\.innerHTML\s*=|dangerouslySetInnerHTML/, 'raw HTML injection'],
+      [/['"`]\s*(?:SELECT|INSERT|UPDATE|DELETE)\b[^'"`]*['"`]\s*\+|(?:SELECT|INSERT|UPDATE|DELETE)\b[^`]*\$\{/i, 'query built by string concatenation'],
+      [/\b(?:md5|sha1)\b/i, 'weak hash']
+    ]
+  },
+
+  accessibility: {
+    label: 'accessibility',
+    positive: [
+      [/\baria-[\w-]+\s*=/, 'aria attribute'],
+      [/\brole\s*=/, 'role attribute'],
+      [/\balt\s*=/, 'alt text'],
+      [/<label\b|\bhtmlFor\s*=|\bfor\s*=\s*["']/, 'form label'],
+      [/\btabIndex\s*=|\btabindex\s*=/, 'tab order'],
+      [/\bsr-only\b|\bvisually-hidden\b/, 'screen reader text'],
+      [/\bon(?:KeyDown|KeyUp|KeyPress)\b|\bkeydown\b/, 'keyboard handler'],
+      [/\.focus\s*\(|:focus(?:-visible)?\b|\bautoFocus\b/, 'focus management'],
+      [/<(?:nav|main|header|footer|section|article|button)\b/, 'semantic element']
+    ],
+    negative: [
+      [/<img\b(?![^>]*\balt\s*=)[^>]*>/, 'image without alt text'],
+      [/\btab[iI]ndex\s*=\s*["'{]?[1-9]/, 'positive tabindex'],
+      [/outline\s*:\s*(?:none|0)\b/, 'focus outline removed']
+    ]
+  },
+
+  testing: {
+    label: 'tests',
+    positive: [
+      [/\b(?:describe|context|suite)\s*\(/, 'describe block'],
+      [/\b(?:it|test)\s*\(\s*['"`]/, 'test case'],
+      [/\bexpect\s*\(|\bassert\w*[.(]/, 'assertion'],
+      [/^\s*def\s+test_\w+|^\s*class\s+Test\w+/, 'python test'],
+      [/@Test\b|#\[test\]|func\s+Test\w+\s*\(/, 'test annotation'],
+      [/\b(?:beforeEach|afterEach|beforeAll|afterAll|setUp)\s*\(/, 'test fixture']
+    ],
+    negative: [
+      [/\b(?:it|test|describe)\.(?:skip|todo)\s*\(|\bx(?:it|describe)\s*\(/, 'skipped test'],
+      [/\b(?:it|test|describe)\.only\s*\(/, 'focused test (.only)'],
+      [/\bexpect\s*\(\s*true\s*\)\.toBe\s*\(\s*true\s*\)|\bassert\s+True\b/, 'trivial assertion']
+    ]
+  },
+
+  styling: {
+    label: 'styling',
+    positive: [
+      [/^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/, 'CSS declaration'],
+      [/^\s*[.#]?[\w-][\w\s.#:>,-]*\{\s*$/, 'CSS rule'],
+      [/\bclassName\s*=|\bclass\s*=\s*["']/, 'class names'],
+      [/\bstyle\s*=\s*\{\{|\bstyled\.\w+|\bcss`/, 'inline or CSS-in-JS styles'],
+      [/\bvar\(--[\w-]+\)|^\s*--[\w-]+\s*:/, 'CSS custom property'],
+      [/#[0-9a-fA-F]{3,8}\b|\brgba?\s*\(|\bhsla?\s*\(/, 'color value']
+    ],
+    negative: [
+      [/!important\b/, '!important override']
+    ]
+  },
+
+  // Not SmartClaimDetector domains, but claims name them often enough to check
+  validation: {
+    label: 'validation',
+    triggers: [/\bvalidat/i],
+    positive: [
+      [/\b(?:z\.\w+\s*\(|Joi\.\w+|yup\.\w+|validator\.\w+|ajv\b)/, 'schema validation'],
+      [/\btypeof\s+[\w$.]+\s*[!=]==/, 'type check'],
+      [/\binstanceof\b/, 'instance check'],
+      [/\bNumber\.is(?:NaN|Finite|Integer)\s*\(|\bisNaN\s*\(/, 'number check'],
+      [/\.test\s*\(|\.match\s*\(/, 'pattern check'],
+      [/\bif\s*\(\s*!\s*[\w$.]+\s*\)|\bif\s*\([^)]*(?:===?\s*(?:null|undefined|''))/, 'presence check'],
+      [/\bthrow\s+new\s+\w*Error\b|\breturn\s+(?:false|\{\s*(?:valid|error)s?\b)/, 'rejects invalid input']
+    ],
+    negative: []
+  },
+
+  react: {
+    label: 'React',
+    // "component" alone is no sign of React - Vue, Svelte and plain UI code have components too
+    triggers: [/\breact\b/i, /\b[jt]sx\b/i, /\buse[A-Z]\w*/, /\b(?:custom|state|effect|context)\s+hooks?\b/i],
+    positive: [
+      [/\buse[A-Z]\w*\s*\(/, 'hook'],
+      [/\bimport\b.*\breact\b/i, 'React import'],
+      [/<[A-Z][\w.]*[\s/>]/, 'JSX component'],
+      [/\bextends\s+(?:React\.)?(?:Component|PureComponent)\b/, 'class component'],
+      [/\bprops\b/, 'props']
+    ],
+    negative: []
+  }
+};
+
+/**
+ * Domains a claim belongs to - the detector's word-level classification
+ * plus the trigger phrases of the extra checkers. A detector domain matched
+ * only by phrases an extra checker also claims gives way to that checker, so
+ * "input validation" is checked as validation rather than as security.
+ */
+function domainsForClaim(claim, detector) {
+  const triggered = Object.entries(DOMAIN_CHECKERS)
+    .filter(([, checker]) => checker.triggers && checker.triggers.some(trigger => trigger.test(claim)));
+  const coveredByTrigger = phrase => triggered.some(([, checker]) => checker.triggers.some(trigger => trigger.test(phrase)));
+
+  const domains = new Set();
+  for (const [domain, phrases] of Object.entries(detector ? detector.matchDomainPhrases(claim) : {})) {
+    if (!phrases.every(coveredByTrigger)) domains.add(domain);
+  }
+  for (const [domain] of triggered) {
+    domains.add(domain);
+  }
+
+  return [...domains].filter(domain => DOMAIN_CHECKERS[domain]);
+}
+
+/**
+ * Supporting and contradicting matches for one domain
+ * lines: [{ file, line, content }] - usually just the lines a change added
+ */
+function findDomainEvidence(domain, lines) {
+  const checker = DOMAIN_CHECKERS[domain];
+  const supporting = [];
+  const contradicting = [];
+
+  for (const { file, line, content } of lines) {
+    const positive = checker.positive.find(([pattern]) => pattern.test(content));
+    if (positive) {
+      supporting.push({ file, line, label: positive[1], text: content.trim() });
+    }
+
+    const negative = checker.negative.find(([pattern]) => pattern.test(content));
+    if (negative) {
+      contradicting.push({ file, line, label: negative[1], text: content.trim() });
+    }
+  }
+
+  return { domain, label: checker.label, supporting, contradicting };
+}
+
+export { DOMAIN_CHECKERS, domainsForClaim, findDomainEvidence };
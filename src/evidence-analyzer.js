@@ -0,0 +1,452 @@
+import { promises as fs } from 'fs';
+import { join, extname, relative, resolve, dirname } from 'path';
+import { SmartClaimDetector } from './smart-claim-detector.js';
+import { DOMAIN_CHECKERS, domainsForClaim, findDomainEvidence } from './domain-evidence.js';
+import { ConfigLoader } from './config.js';
+import { GitRepository, EMPTY_TREE } from './git.js';
+import { loadRulePacks, compileRulePack, importRulePack, ruleMatchesClaim, ruleAppliesToFile, findRuleEvidence } from './rule-packs.js';
+
+/**
+ * Evidence Analyzer - checks a claim against the code in a workspace rather
+ * than against a before/after snapshot: domain checkers and rule packs look
+ * for supporting and contradicting patterns in the lines changed since a git
+ * revision, or in every file. Backs the analyze_claim tool.
+ */
+
+const DEFAULT_FILE_TYPES = ['.js', '.ts', '.jsx', '.tsx', '.css', '.scss', '.html', '.py'];
+const DEFAULT_MAX_FILES = 100;
+
+// One indented "file:line label" line per match, the first few only
+function formatLocations(locations = [], limit = 3) {
+  let output = locations.slice(0, limit).map(match => `      ↳ ${match.file}:${match.line} ${match.label}\n`).join('');
+  if (locations.length > limit) {
+    output += `      ↳ ... and ${locations.length - limit} more\n`;
+  }
+  return output;
+}
+
+class EvidenceAnalyzer {
+  /**
+   * Options: claimDetector, getConfig(root) to share .slopwatch.json loading
+   * with the caller (each analyzer keeps its own loaders otherwise), and workspaceRoot,
+   * the only workspace whose config may load rule pack modules (default: the scanned one)
+   */
+  constructor(options = {}) {
+    this.claimDetector = options.claimDetector || new SmartClaimDetector();
+    this.workspaceRoot = options.workspaceRoot ? resolve(options.workspaceRoot) : null;
+
+    const configLoaders = new Map();
+    this.getConfig = options.getConfig || (async root => {
+      if (!configLoaders.has(root)) {
+        configLoaders.set(root, new ConfigLoader(root));
+      }
+      return configLoaders.get(root).load();
+    });
+  }
+
+  /**
+   * Options: scope 'changes' (default) looks only at lines changed since baseRevision
+   * (HEAD unless given) - in the working tree, or up to headRevision when given - and
+   * scope 'all' at every file. Outside a git repository without a baseRevision, every
+   * file is scanned.
+   */
+  async performLieDetection(claim, workspaceDir, fileTypes = DEFAULT_FILE_TYPES, maxFiles = DEFAULT_MAX_FILES, options = {}) {
+    const checks = this.getDetectionPatterns(claim, await this.loadRules(workspaceDir));
+    const scope = options.scope === 'all' ?
+      { mode: 'all' } :
+      await this.getChangedRegions(workspaceDir, fileTypes, maxFiles, options.baseRevision, options.headRevision);
+
+    let supportingEvidence = [];
+    let contradictingEvidence = [];
+    let filesAnalyzed = 0;
+
+    if (scope.mode === 'changes') {
+      const evidence = this.analyzeChanges(checks, scope.changes);
+      supportingEvidence = evidence.supporting;
+      contradictingEvidence = evidence.contradicting;
+      filesAnalyzed = scope.changes.length;
+
+      if (scope.changes.length === 0) {
+        contradictingEvidence.push({ kind: 'no_changes', message: `❌ No changes since ${scope.base} - nothing was implemented`, weight: 1, locations: [] });
+      }
+    } else {
+      const files = await this.scanFiles(workspaceDir, fileTypes, maxFiles);
+
+      for (const file of files) {
+        try {
+          const content = await fs.readFile(file, 'utf-8');
+          const evidence = this.analyzeFileContent(content, checks, file, relative(workspaceDir, file));
+
+          if (evidence.supporting.length > 0) {
+            supportingEvidence.push(...evidence.supporting);
+          }
+          if (evidence.contradicting.length > 0) {
+            contradictingEvidence.push(...evidence.contradicting);
+          }
+
+          filesAnalyzed++;
+        } catch (error) {
+          // Skip files that can't be read
+          continue;
+        }
+      }
+    }
+
+    const confidence = scope.mode === 'changes' && scope.changes.length === 0 ?
+      0 :
+      this.calculateConfidence(supportingEvidence, contradictingEvidence);
+    const isLie = confidence < 50;
+
+    return {
+      isLie,
+      confidence,
+      supportingEvidence,
+      contradictingEvidence,
+      filesAnalyzed,
+      claim,
+      scope: { mode: scope.mode, base: scope.base, note: scope.note },
+    };
+  }
+
+  /**
+   * Changed files (with the lines each one added) from git, filtered to the analyzed file types
+   */
+  async getChangedRegions(workspaceDir, fileTypes, maxFiles, baseRevision, headRevision) {
+    const repo = new GitRepository(resolve(workspaceDir));
+    if (!await repo.isRepository()) {
+      if (baseRevision || headRevision) {
+        throw new Error(`Not a git repository: ${repo.root}`);
+      }
+      return { mode: 'all', note: 'Not a git repository, so every file was scanned' };
+    }
+
+    const { label, changes } = headRevision ?
+      await this.getCommittedChanges(repo, baseRevision || 'HEAD', headRevision) :
+      await repo.getWorkingTreeChanges(baseRevision || 'HEAD', { maxFiles: Infinity });
+    return {
+      mode: 'changes',
+      base: label,
+      changes: changes
+        .filter(change => fileTypes.includes(extname(change.path)))
+        .slice(0, maxFiles)
+        .map(change => ({ file: change.path, content: change.after, addedLines: change.addedLines }))
+    };
+  }
+
+  /**
+   * Changes between two revisions in the shape getWorkingTreeChanges returns
+   */
+  async getCommittedChanges(repo, baseRevision, headRevision) {
+    // The base may be the empty tree, the parent of a root commit
+    const range = {
+      base: baseRevision === EMPTY_TREE ? EMPTY_TREE : await repo.resolveRevision(baseRevision),
+      head: await repo.resolveRevision(headRevision)
+    };
+    const changes = (await repo.getChanges(range, { maxFiles: Infinity }))
+      .filter(change => change.after !== null)
+      .map(change => ({
+        path: change.path,
+        status: change.status,
+        after: change.after,
+        addedLines: new Set(change.hunks.flatMap(hunk => hunk.lines.filter(line => line.type === 'add').map(line => line.newLine)))
+      }));
+
+    return { label: baseRevision, changes };
+  }
+
+  /**
+   * Rule packs for a scan: the trusted workspace's packs, plus inline packs from the scanned
+   * directory's own config. Module packs come only from the trusted workspace - importing
+   * a module runs its code in this process
+   */
+  async loadRules(workspaceDir) {
+    const root = resolve(workspaceDir);
+    const trustedRoot = this.workspaceRoot || root;
+    const rules = await loadRulePacks(await this.getConfig(trustedRoot));
+    if (root === trustedRoot) return rules;
+
+    return [...rules, ...await loadRulePacks(await this.getConfig(root), { modules: false })];
+  }
+
+  /**
+   * Evidence checks for the claim: a built-in checker for every domain it falls in,
+   * extended or replaced by rule pack rules on the same domain, plus rule pack rules
+   * of their own. Each check holds the finders whose evidence it combines.
+   */
+  getDetectionPatterns(claim, rules = []) {
+    const domains = domainsForClaim(claim, this.claimDetector);
+    const applicable = rules.filter(rule => ruleMatchesClaim(rule, claim, domains));
+    const overridden = new Set(applicable.filter(rule => rule.override).map(rule => rule.domain));
+    const checks = new Map();
+
+    for (const domain of domains.filter(domain => !overridden.has(domain))) {
+      checks.set(domain, {
+        type: domain,
+        label: DOMAIN_CHECKERS[domain].label,
+        finders: [{
+          weight: 1,
+          appliesTo: () => true,
+          find: (file, content) => findDomainEvidence(domain, content.split('\n').map((text, index) => ({ file, line: index + 1, content: text })))
+        }]
+      });
+    }
+
+    for (const rule of applicable) {
+      if (!checks.has(rule.type)) {
+        const label = rule.domain ? (DOMAIN_CHECKERS[rule.domain]?.label || rule.domain) : rule.name;
+        checks.set(rule.type, { type: rule.type, label, finders: [] });
+      }
+      checks.get(rule.type).finders.push({
+        weight: rule.weight,
+        appliesTo: relativePath => ruleAppliesToFile(rule, relativePath),
+        find: (file, content) => findRuleEvidence(rule, file, content)
+      });
+    }
+
+    return [...checks.values()];
+  }
+
+  /**
+   * Weighted evidence for each check in one file - a check passes when any of its
+   * finders supports the claim, and finders limited to other files are skipped
+   */
+  analyzeFileContent(content, checks, filePath, relativePath = filePath) {
+    const supporting = [];
+    const contradicting = [];
+
+    for (const check of checks) {
+      const evidence = this.collectEvidence(check, [{ file: filePath, relativePath, content, addedLines: null }]);
+      if (!evidence) continue;
+
+      if (evidence.found.length > 0) {
+        supporting.push({ kind: 'found', check: check.type, file: relativePath, message: `✅ Found ${check.label} evidence in ${filePath}: ${evidence.found.length} instances`, weight: evidence.foundWeight, locations: evidence.found });
+      } else {
+        contradicting.push({ kind: 'missing', check: check.type, file: relativePath, message: `❌ Expected ${check.label} but none found in ${filePath}`, weight: evidence.weight, locations: [] });
+      }
+
+      if (evidence.concerns.length > 0) {
+        contradicting.push({ kind: 'concern', check: check.type, file: relativePath, message: `⚠️ Found questionable ${check.label} patterns in ${filePath}`, weight: evidence.concernWeight, locations: evidence.concerns });
+      }
+    }
+
+    return { supporting, contradicting };
+  }
+
+  /**
+   * Weighted evidence for each check across everything that changed - one verdict per
+   * check for the whole change, counting only matches on added or modified lines
+   */
+  analyzeChanges(checks, changes) {
+    const supporting = [];
+    const contradicting = [];
+
+    for (const check of checks) {
+      const evidence = this.collectEvidence(check, changes.map(change => ({ ...change, relativePath: change.file })));
+      if (!evidence) continue;
+
+      if (evidence.found.length > 0) {
+        supporting.push({ kind: 'found', check: check.type, message: `✅ Found ${check.label} evidence in the changed code: ${evidence.found.length} instances`, weight: evidence.foundWeight, locations: evidence.found });
+      } else {
+        contradicting.push({ kind: 'missing', check: check.type, message: `❌ Expected ${check.label} in the changed code but none found`, weight: evidence.weight, locations: [] });
+      }
+
+      if (evidence.concerns.length > 0) {
+        contradicting.push({ kind: 'concern', check: check.type, message: `⚠️ Found questionable ${check.label} patterns in the changed code`, weight: evidence.concernWeight, locations: evidence.concerns });
+      }
+    }
+
+    return { supporting, contradicting };
+  }
+
+  /**
+   * Run a check's finders over some files, keeping matches on `addedLines` (all lines when null)
+   * Returns null when no finder applies to any of the files
+   */
+  collectEvidence(check, files) {
+    const evidence = { found: [], concerns: [], weight: 0, foundWeight: 0, concernWeight: 0 };
+    let applied = false;
+
+    for (const { file, relativePath, content, addedLines } of files) {
+      const inScope = match => !addedLines || addedLines.has(match.line);
+
+      for (const finder of check.finders.filter(finder => finder.appliesTo(relativePath.split('\\').join('/')))) {
+        applied = true;
+        evidence.weight = Math.max(evidence.weight, finder.weight);
+
+        const result = finder.find(file, content);
+        const found = result.supporting.filter(inScope);
+        const concerns = result.contradicting.filter(inScope);
+
+        if (found.length > 0) {
+          evidence.found.push(...found);
+          evidence.foundWeight = Math.max(evidence.foundWeight, finder.weight);
+        }
+        if (concerns.length > 0) {
+          evidence.concerns.push(...concerns);
+          evidence.concernWeight = Math.max(evidence.concernWeight, finder.weight);
+        }
+      }
+    }
+
+    return applied ? evidence : null;
+  }
+
+  calculateConfidence(supporting, contradicting) {
+    const supportWeight = supporting.reduce((sum, evidence) => sum + evidence.weight, 0);
+    const contradictWeight = contradicting.reduce((sum, evidence) => sum + evidence.weight, 0);
+    const total = supportWeight + contradictWeight;
+
+    if (total === 0) return 50; // Neutral when no evidence
+
+    return Math.round((supportWeight / total) * 100);
+  }
+
+  formatAnalysisResult(result) {
+    const { isLie, confidence, supportingEvidence, contradictingEvidence, filesAnalyzed, claim, scope } = result;
+    const scopeText = !scope ? null :
+      scope.mode === 'changes' ? `changes since ${scope.base}` :
+      scope.note || 'all files';
+
+    let output = `\n🔍 SlopWatch Analysis Results\n`;
+    output += `═══════════════════════════════\n\n`;
+
+    if (isLie) {
+      output += `🚨 LIE DETECTED: Found ${contradictingEvidence.length} contradicting and ${supportingEvidence.length} supporting evidence.\n`;
+      output += `The code does not support the AI's claim.\n\n`;
+    } else {
+      output += `✅ CLAIM VERIFIED: Found ${supportingEvidence.length} pieces of supporting evidence for '${claim}'. Confidence: ${confidence}%\n\n`;
+    }
+
+    output += `📊 Analysis Details:\n`;
+    if (scopeText) output += `├─ Scope: ${scopeText}\n`;
+    output += `├─ Files analyzed: ${filesAnalyzed}\n`;
+    output += `├─ Confidence score: ${confidence}%\n`;
+    output += `└─ Evidence found: ${supportingEvidence.length + contradictingEvidence.length} items\n\n`;
+
+    if (contradictingEvidence.length > 0) {
+      output += `🔍 Evidence:\n`;
+      contradictingEvidence.slice(0, 5).forEach((evidence, i) => {
+        output += `   ${i + 1}. ${evidence.message}\n`;
+        output += formatLocations(evidence.locations);
+      });
+      if (contradictingEvidence.length > 5) {
+        output += `   ... and ${contradictingEvidence.length - 5} more\n`;
+      }
+    }
+
+    if (supportingEvidence.length > 0 && !isLie) {
+      output += `\n✅ Supporting Evidence:\n`;
+      supportingEvidence.slice(0, 3).forEach((evidence, i) => {
+        output += `   ${i + 1}. ${evidence.message}\n`;
+        output += formatLocations(evidence.locations);
+      });
+    }
+
+    return output;
+  }
+
+  async scanFiles(directory, fileTypes, maxFiles) {
+    const files = [];
+
+    async function scanDir(dir) {
+      try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+
+        for (const entry of entries) {
+          if (files.length >= maxFiles) break;
+
+          const fullPath = join(dir, entry.name);
+
+          if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+            await scanDir(fullPath);
+          } else if (entry.isFile() && fileTypes.includes(extname(entry.name))) {
+            files.push(fullPath);
+          }
+        }
+      } catch (error) {
+        // Skip directories we can't read
+      }
+    }
+
+    await scanDir(directory);
+    return files;
+  }
+
+  /**
+   * Load a rule pack (ES module, pack JSON or .slopwatch.json) and show what each
+   * rule finds in the sample files, plus the verdict for a claim when one is given
+   */
+  async testRulePack(packPath, files, claim = null) {
+    const path = resolve(packPath);
+    let rules;
+    if (extname(path) === '.json') {
+      const raw = JSON.parse(await fs.readFile(path, 'utf-8'));
+      rules = raw.rulePacks ? await loadRulePacks({ root: dirname(path), rulePacks: raw.rulePacks }) : compileRulePack(raw, packPath);
+    } else {
+      rules = compileRulePack(await importRulePack(path), packPath);
+    }
+
+    const samples = [];
+    for (const file of files) {
+      samples.push({ file, relativePath: relative(process.cwd(), resolve(file)).split('\\').join('/'), content: await fs.readFile(file, 'utf-8') });
+    }
+
+    let output = `🧪 Rule pack ${packPath}: ${rules.length} rules, ${samples.length} sample files\n`;
+
+    for (const rule of rules) {
+      const scope = [
+        rule.domain && `${rule.override ? 'replaces' : 'extends'} ${rule.domain}`,
+        `weight ${rule.weight}`
+      ].filter(Boolean).join(', ');
+      output += `\n📋 ${rule.pack}/${rule.name} (${scope})\n`;
+
+      if (claim) {
+        const triggered = ruleMatchesClaim(rule, claim, domainsForClaim(claim, this.claimDetector));
+        output += `   ${triggered ? '🎯 Applies to the claim' : '⚪ Does not apply to the claim'}\n`;
+      }
+
+      for (const sample of samples) {
+        if (!ruleAppliesToFile(rule, sample.relativePath)) {
+          output += `   ⏭️ ${sample.file}: outside the rule's files\n`;
+          continue;
+        }
+
+        const evidence = findRuleEvidence(rule, sample.file, sample.content);
+        if (evidence.supporting.length === 0 && evidence.contradicting.length === 0) {
+          output += `   ⚪ ${sample.file}: no matches\n`;
+        }
+        for (const match of evidence.supporting) {
+          output += `   ✅ ${match.file}:${match.line} ${match.label}: ${match.text}\n`;
+        }
+        for (const match of evidence.contradicting) {
+          output += `   ⚠️ ${match.file}:${match.line} ${match.label}: ${match.text}\n`;
+        }
+      }
+    }
+
+    if (claim) {
+      const checks = this.getDetectionPatterns(claim, rules);
+      const supportingEvidence = [];
+      const contradictingEvidence = [];
+      for (const sample of samples) {
+        const evidence = this.analyzeFileContent(sample.content, checks, sample.file, sample.relativePath);
+        supportingEvidence.push(...evidence.supporting);
+        contradictingEvidence.push(...evidence.contradicting);
+      }
+
+      const confidence = this.calculateConfidence(supportingEvidence, contradictingEvidence);
+      output += this.formatAnalysisResult({
+        isLie: confidence < 50,
+        confidence,
+        supportingEvidence,
+        contradictingEvidence,
+        filesAnalyzed: samples.length,
+        claim
+      });
+    }
+
+    return output;
+  }
+}
+
+export { EvidenceAnalyzer, DEFAULT_FILE_TYPES, DEFAULT_MAX_FILES };
@@ -0,0 +1,332 @@
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+
+// Hash of git's empty tree - the "parent" of a root commit
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// The a/ and b/ prefixes parseUnifiedDiff expects, whatever diff.noprefix or diff.mnemonicPrefix say
+const DIFF_OPTIONS = ['--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/', '-M'];
+
+/**
+ * Run git in `cwd`, resolving with { code, stdout, stderr } instead of throwing
+ */
+function runGit(args, cwd, options = {}) {
+  return new Promise((resolvePromise) => {
+    const git = spawn('git', ['-c', 'core.quotePath=false', ...args], { cwd });
+    const stdout = [];
+    const stderr = [];
+
+    if (options.input !== undefined) {
+      git.stdin.end(options.input);
+    }
+
+    git.stdout.on('data', (data) => {
+      stdout.push(data);
+    });
+
+    git.stderr.on('data', (data) => {
+      stderr.push(data);
+    });
+
+    git.on('error', (error) => resolvePromise({ code: -1, stdout: '', stderr: error.message }));
+    git.on('close', (code) => resolvePromise({
+      code,
+      stdout: Buffer.concat(stdout).toString('utf-8'),
+      stderr: Buffer.concat(stderr).toString('utf-8')
+    }));
+  });
+}
+
+// The path in a "--- a/x" or "+++ b/x" line - git ends it with a TAB when the path contains a space
+function headerPath(line) {
+  return line.slice(4).replace(/\t$/, '');
+}
+
+/**
+ * Parse `git diff` output into one entry per file
+ * { oldPath, newPath, status: added|deleted|modified|renamed, binary, hunks }
+ */
+function parseUnifiedDiff(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      const paths = line.slice('diff --git '.length).match(/^a\/(.*) b\/(.*)$/);
+      file = {
+        oldPath: paths ? paths[1] : null,
+        newPath: paths ? paths[2] : null,
+        status: 'modified',
+        binary: false,
+        hunks: []
+      };
+      hunk = null;
+      files.push(file);
+      continue;
+    }
+
+    if (!file) continue;
+
+    // Hunk bodies are consumed by line count, so content like "--- x" is never mistaken for a header
+    if (hunk && line.startsWith('\\')) continue; // "\ No newline at end of file"
+    if (hunk && (hunk.remainingOld > 0 || hunk.remainingNew > 0)) {
+      const type = line[0] === '+' ? 'add' : line[0] === '-' ? 'remove' : 'context';
+      const entry = { type, content: line.slice(1) };
+      if (type !== 'add') {
+        entry.oldLine = hunk.oldStart + hunk.oldLines - hunk.remainingOld;
+        hunk.remainingOld--;
+      }
+      if (type !== 'remove') {
+        entry.newLine = hunk.newStart + hunk.newLines - hunk.remainingNew;
+        hunk.remainingNew--;
+      }
+      hunk.lines.push(entry);
+      continue;
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      hunk = {
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        lines: []
+      };
+      hunk.remainingOld = hunk.oldLines;
+      hunk.remainingNew = hunk.newLines;
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (line.startsWith('new file mode')) {
+      file.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      file.status = 'deleted';
+    } else if (line.startsWith('rename from ')) {
+      file.status = 'renamed';
+      file.oldPath = line.slice('rename from '.length);
+    } else if (line.startsWith('rename to ')) {
+      file.newPath = line.slice('rename to '.length);
+    } else if (line.startsWith('Binary files ')) {
+      file.binary = true;
+    } else if (line.startsWith('--- ')) {
+      const path = headerPath(line);
+      if (path !== '/dev/null') file.oldPath = path.replace(/^a\//, '');
+    } else if (line.startsWith('+++ ')) {
+      const path = headerPath(line);
+      if (path !== '/dev/null') file.newPath = path.replace(/^b\//, '');
+    }
+  }
+
+  for (const entry of files) {
+    for (const fileHunk of entry.hunks) {
+      delete fileHunk.remainingOld;
+      delete fileHunk.remainingNew;
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Git Repository - commit ranges, messages and changed file contents for
+ * verifying what a commit claims against what it actually changed
+ */
+class GitRepository {
+  constructor(root) {
+    this.root = root;
+  }
+
+  async run(args, options) {
+    const result = await runGit(args, this.root, options);
+    if (result.code !== 0) {
+      throw new Error(`git ${args[0]} failed: ${(result.stderr || result.stdout).trim() || `exit code ${result.code}`}`);
+    }
+    return result.stdout;
+  }
+
+  /**
+   * Whether the working tree differs from the index - unstaged edits or untracked files
+   */
+  async hasUnstagedChanges() {
+    const diff = await runGit(['diff', '--quiet', '--no-ext-diff'], this.root);
+    if (diff.code !== 0) return true;
+    return (await this.run(['ls-files', '--others', '--exclude-standard'])).trim() !== '';
+  }
+
+  async isRepository() {
+    const result = await runGit(['rev-parse', '--is-inside-work-tree'], this.root);
+    return result.code === 0 && result.stdout.trim() === 'true';
+  }
+
+  async resolveRevision(revision) {
+    const result = await runGit(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`], this.root);
+    if (result.code !== 0) {
+      throw new Error(`Unknown git revision: ${revision}`);
+    }
+    return result.stdout.trim();
+  }
+
+  /**
+   * Turn "abc123", "main..feature" or "main...feature" into { base, head, label }
+   * A single commit is compared against its first parent (or the empty tree for a root commit)
+   */
+  async resolveRange(revision) {
+    const symmetric = revision.match(/^(.*?)\.\.\.(.*)$/);
+    if (symmetric) {
+      const left = await this.resolveRevision(symmetric[1] || 'HEAD');
+      const head = await this.resolveRevision(symmetric[2] || 'HEAD');
+      const base = (await this.run(['merge-base', left, head])).trim();
+      return { base, head, label: revision, single: false };
+    }
+
+    const range = revision.match(/^(.*?)\.\.(.*)$/);
+    if (range) {
+      const base = await this.resolveRevision(range[1] || 'HEAD');
+      const head = await this.resolveRevision(range[2] || 'HEAD');
+      return { base, head, label: revision, single: false };
+    }
+
+    const head = await this.resolveRevision(revision);
+    const parent = await runGit(['rev-parse', '--verify', '--quiet', `${head}^`], this.root);
+    const base = parent.code === 0 ? parent.stdout.trim() : EMPTY_TREE;
+    return { base, head, label: revision, single: true };
+  }
+
+  /**
+   * Full commit messages in the range, oldest first
+   */
+  async getCommitMessages(range) {
+    const args = range.single ?
+      ['log', '-1', '--format=%B%x00', range.head] :
+      ['log', '--reverse', '--format=%B%x00', `${range.base}..${range.head}`];
+
+    const output = await this.run(args);
+    return output.split('\0').map(message => message.trim()).filter(Boolean);
+  }
+
+  /**
+   * Commit hashes in the range, oldest first
+   */
+  async listCommits(range) {
+    if (range.single) return [range.head];
+
+    const output = await this.run(['rev-list', '--reverse', `${range.base}..${range.head}`]);
+    return output.split('\n').filter(Boolean);
+  }
+
+  async getDiff(range) {
+    return this.run(['diff', ...DIFF_OPTIONS, range.base, range.head]);
+  }
+
+  async getChangedPaths(range) {
+    const output = await this.run(['diff', '--name-only', ...DIFF_OPTIONS, range.base, range.head]);
+    return output.split('\n').filter(Boolean);
+  }
+
+  async readFileAt(revision, path) {
+    if (revision === EMPTY_TREE) return null;
+
+    const result = await runGit(['show', `${revision}:${path}`], this.root);
+    return result.code === 0 ? result.stdout : null;
+  }
+
+  /**
+   * Changed text files in a range with their full before/after contents
+   */
+  async getChanges(range, options = {}) {
+    const maxFiles = options.maxFiles ?? 200;
+    const parsed = parseUnifiedDiff(await this.getDiff(range))
+      .filter(file => !file.binary)
+      .slice(0, maxFiles);
+
+    const changes = [];
+    for (const file of parsed) {
+      const path = file.status === 'deleted' ? file.oldPath : file.newPath;
+      changes.push({
+        path,
+        oldPath: file.oldPath,
+        status: file.status,
+        hunks: file.hunks,
+        before: file.status === 'added' ? null : await this.readFileAt(range.base, file.oldPath),
+        after: file.status === 'deleted' ? null : await this.readFileAt(range.head, file.newPath)
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Staged text files with their contents at HEAD and in the index - what the next commit will change
+   */
+  async getStagedChanges(options = {}) {
+    const maxFiles = options.maxFiles ?? 200;
+    const hasHead = (await runGit(['rev-parse', '--verify', '--quiet', 'HEAD^{commit}'], this.root)).code === 0;
+    const base = hasHead ? 'HEAD' : EMPTY_TREE;
+
+    const parsed = parseUnifiedDiff(await this.run(['diff', '--cached', ...DIFF_OPTIONS, base]))
+      .filter(file => !file.binary)
+      .slice(0, maxFiles);
+
+    const changes = [];
+    for (const file of parsed) {
+      const staged = file.status === 'deleted' ? null : await runGit(['show', `:${file.newPath}`], this.root);
+      changes.push({
+        path: file.status === 'deleted' ? file.oldPath : file.newPath,
+        oldPath: file.oldPath,
+        status: file.status,
+        hunks: file.hunks,
+        before: file.status === 'added' ? null : await this.readFileAt(base, file.oldPath),
+        after: staged && staged.code === 0 ? staged.stdout : null
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Uncommitted work - staged, unstaged and untracked text files - compared with `base`
+   * (HEAD by default). Limited to the directory the repository was opened at, with paths
+   * relative to it. Each change lists the 1-based lines it added or modified.
+   */
+  async getWorkingTreeChanges(base = 'HEAD', options = {}) {
+    const maxFiles = options.maxFiles ?? 200;
+    const hasHead = (await runGit(['rev-parse', '--verify', '--quiet', 'HEAD^{commit}'], this.root)).code === 0;
+    const baseRevision = base === 'HEAD' && !hasHead ? EMPTY_TREE : await this.resolveRevision(base);
+
+    const tracked = parseUnifiedDiff(await this.run(['diff', ...DIFF_OPTIONS, '--relative', baseRevision]))
+      .filter(file => !file.binary && file.status !== 'deleted')
+      .map(file => ({
+        path: file.newPath,
+        status: file.status,
+        addedLines: new Set(file.hunks.flatMap(hunk => hunk.lines.filter(line => line.type === 'add').map(line => line.newLine)))
+      }));
+
+    const untracked = (await this.run(['ls-files', '--others', '--exclude-standard', '-z']))
+      .split('\0')
+      .filter(Boolean)
+      .map(path => ({ path, status: 'untracked', addedLines: null }));
+
+    const changes = [];
+    for (const change of [...tracked, ...untracked].slice(0, maxFiles)) {
+      let after;
+      try {
+        after = await fs.readFile(join(this.root, change.path), 'utf-8');
+      } catch (error) {
+        continue;
+      }
+      if (after.includes('\0')) continue; // binary
+
+      // Every line of a new untracked file is an addition
+      const addedLines = change.addedLines || new Set(after.split('\n').map((line, index) => index + 1));
+      changes.push({ ...change, after, addedLines });
+    }
+
+    return { base: baseRevision, label: base, changes };
+  }
+}
+
+export { GitRepository, parseUnifiedDiff, runGit, EMPTY_TREE };
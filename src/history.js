@@ -0,0 +1,190 @@
+import { globToRegExp } from './config.js';
+
+/**
+ * Claim History - filtering and pagination over recorded claims, and a
+ * readable account of why a verification passed or failed
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const STATUS_EMOJI = { verified: '✅', failed: '❌', pending: '⏳', expired: '⌛' };
+
+/**
+ * Timestamp in ms for an ISO date or a duration back from now ("30m", "24h", "7d", "2w")
+ */
+function parseTime(value, now = Date.now()) {
+  const duration = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/i);
+  if (duration) {
+    return now - Number(duration[1]) * DURATION_UNITS[duration[2].toLowerCase()];
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time: ${value} (use an ISO date or a duration like 24h or 7d)`);
+  }
+  return time;
+}
+
+/**
+ * Latest verification result for each claim ID
+ */
+function latestResults(verificationResults) {
+  const results = new Map();
+  for (const result of verificationResults) {
+    results.set(result.claimId, result);
+  }
+  return results;
+}
+
+/**
+ * Claims matching the filters, newest first, one page at a time
+ * Filters: status, file (glob or path), since/until, search (claim text), offset, limit
+ */
+function queryClaims(claims, verificationResults, filters = {}) {
+  const { status, file, since, until, search } = filters;
+  const offset = Math.max(0, Math.floor(Number(filters.offset) || 0));
+  const limit = Math.min(Math.max(1, Math.floor(Number(filters.limit) || DEFAULT_PAGE_SIZE)), MAX_PAGE_SIZE);
+
+  const sinceTime = since ? parseTime(since) : null;
+  const untilTime = until ? parseTime(until) : null;
+  const fileMatcher = file ? globToRegExp(file) : null;
+  const query = search ? search.toLowerCase() : null;
+  const results = latestResults(verificationResults);
+
+  const matches = [...claims.values()].filter(claimRecord => {
+    const time = new Date(claimRecord.timestamp).getTime();
+
+    if (status && claimRecord.status !== status) return false;
+    if (sinceTime !== null && time < sinceTime) return false;
+    if (untilTime !== null && time > untilTime) return false;
+    if (query && !String(claimRecord.claim ?? '').toLowerCase().includes(query)) return false;
+    if (fileMatcher && !(claimRecord.files || []).some(name => fileMatcher.test(name.replace(/\\/g, '/').replace(/^\.\//, '')))) return false;
+    return true;
+  }).reverse();
+
+  return {
+    total: matches.length,
+    offset,
+    limit,
+    nextOffset: offset + limit < matches.length ? offset + limit : null,
+    claims: matches.slice(offset, offset + limit).map(claimRecord => summarizeClaim(claimRecord, results.get(claimRecord.id)))
+  };
+}
+
+function summarizeClaim(claimRecord, result) {
+  return {
+    id: claimRecord.id,
+    claim: claimRecord.claim,
+    status: claimRecord.status,
+    timestamp: claimRecord.timestamp,
+    ...(claimRecord.verifiedAt && { verifiedAt: claimRecord.verifiedAt }),
+    files: claimRecord.files || [],
+    ...(claimRecord.mode && { mode: claimRecord.mode }),
+    ...(claimRecord.revision && { revision: claimRecord.revision }),
+    confidence: result ? result.confidence : null
+  };
+}
+
+/**
+ * One line per claim for the text form of slopwatch_history
+ */
+function formatHistory(page) {
+  if (page.total === 0) {
+    return 'No matching claims';
+  }
+
+  const lines = page.claims.map(entry => {
+    const confidence = entry.confidence === null ? '' : ` (${entry.confidence}%)`;
+    const files = entry.files.length > 0 ? ` [${entry.files.join(', ')}]` : '';
+    return `${STATUS_EMOJI[entry.status] || '•'} ${entry.id} ${entry.timestamp}${confidence} ${entry.claim}${files}`;
+  });
+
+  const last = page.offset + page.claims.length;
+  lines.push('', `Showing ${page.claims.length === 0 ? 0 : page.offset + 1}-${last} of ${page.total}${page.nextOffset !== null ? ` (next: offset ${page.nextOffset})` : ''}`);
+  return lines.join('\n');
+}
+
+/**
+ * Why a result got its verdict: the score arithmetic and every failed requirement
+ */
+function explainVerdict(result) {
+  const scores = result.scores || {};
+  const threshold = result.threshold ?? 50;
+  const terms = [];
+
+  for (const [name, score] of Object.entries(scores)) {
+    if (score.weight !== undefined) {
+      terms.push(`${name} ${score.score}/${score.weight}`);
+    } else if (score.score) {
+      terms.push(`${name} ${score.score}`);
+    }
+  }
+
+  const reasons = [];
+  if (result.confidence < threshold) {
+    reasons.push(`Confidence ${result.confidence}% is below the ${threshold}% threshold`);
+  }
+  if (scores.stubs?.forcedFailure) {
+    reasons.push(`The claim says the work is complete but ${scores.stubs.count} placeholders were left in the code`);
+  }
+  if (result.action && result.action.passed === false) {
+    reasons.push(`The ${result.action.type} check (${result.action.strategy}) did not pass`);
+  }
+  for (const domain of result.domains || []) {
+    if (!domain.passed) {
+      reasons.push(`The claim is about ${domain.label} but no ${domain.label} code was added`);
+    }
+  }
+  if (result.missingEvidence) {
+    reasons.push('Nothing in the change matches this claim specifically (no keywords, symbols or action targets)');
+  }
+  if (result.tampering && result.tampering.length > 0) {
+    reasons.push(`${result.tampering.length} supplied files did not match the workspace`);
+  }
+  if (result.tests && !result.tests.skipped && !result.tests.passed) {
+    reasons.push(`Running the tests contradicts the claim: ${result.tests.notes.filter(note => note.startsWith('❌')).map(note => note.replace(/^\S+\s/u, '')).join('; ')}`);
+  }
+
+  // A claim only about test results is scored by the test run alone
+  return {
+    formula: result.tests?.decidesVerdict ? `test run = ${result.confidence}%` :
+      terms.length > 0 ? `${terms.join(' + ').replace(/\+ -/g, '- ')} = ${result.confidence}%` : `${result.confidence}%`,
+    reasons: result.isVerified ? [`Confidence ${result.confidence}% meets the ${threshold}% threshold`] : reasons
+  };
+}
+
+/**
+ * Full text explanation of a claim and its latest verification
+ */
+function formatExplanation(claimRecord, result) {
+  const lines = [`Claim ${claimRecord.id}: ${claimRecord.claim}`, `Status: ${claimRecord.status} (registered ${claimRecord.timestamp})`];
+
+  if (!result) {
+    lines.push('', claimRecord.status === 'pending' ? 'Not verified yet' : 'No verification result recorded');
+    return lines.join('\n');
+  }
+
+  const verdict = explainVerdict(result);
+  lines.push(
+    '',
+    `${result.isVerified ? '✅ PASSED' : '❌ FAILED'} (${result.confidence}%, threshold ${result.threshold ?? 50}%)`,
+    `Score: ${verdict.formula}`,
+    ...verdict.reasons.map(reason => `- ${reason}`)
+  );
+
+  if (result.keywords) {
+    lines.push('', `Keywords matched: ${result.keywords.matched.join(', ') || 'none'}`, `Keywords missing: ${result.keywords.missing.join(', ') || 'none'}`);
+  }
+
+  if (result.analysis) {
+    lines.push('', 'Files:', result.analysis);
+  }
+
+  lines.push('', result.details);
+  return lines.join('\n');
+}
+
+export { queryClaims, formatHistory, explainVerdict, formatExplanation, latestResults, parseTime };
@@ -0,0 +1,381 @@
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import analytics from './analytics.js';
+import { CONFIG_FILE } from './config.js';
+import { GitRepository } from './git.js';
+
+/**
+ * Git Hooks - commit-msg and pre-push hooks that verify the claims in commit
+ * messages against the staged or pushed changes. Existing hooks are kept and
+ * run first. Each hook blocks, warns or does nothing per `hooks` in .slopwatch.json;
+ * SLOPWATCH_SKIP_HOOKS=1 (or git's --no-verify) skips them.
+ */
+
+const HOOKS = ['commit-msg', 'pre-push'];
+const HOOK_MARKER = '# slopwatch-hook';
+const CHAINED_SUFFIX = '.pre-slopwatch';
+const HOOK_MODES = ['block', 'warn', 'off'];
+const DEFAULT_HOOK_SETTINGS = { commitMsg: 'block', prePush: 'block' };
+
+// Pushed commits verified per ref - older history is assumed to have been checked already
+const MAX_PUSHED_COMMITS = 50;
+
+const ZERO_SHA = /^0+$/;
+const SCISSORS = /^# -+ >8 -+$/m;
+
+const BYPASS_HINT = 'bypass once with SLOPWATCH_SKIP_HOOKS=1 or --no-verify';
+
+/**
+ * Problems with the `hooks` setting, as human-readable messages
+ */
+function validateHookSettings(raw) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    return [`hooks must be an object with any of: ${Object.keys(DEFAULT_HOOK_SETTINGS).join(', ')}`];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(raw)) {
+    if (!(key in DEFAULT_HOOK_SETTINGS)) {
+      errors.push(`hooks.${key} is not a hook setting (expected one of: ${Object.keys(DEFAULT_HOOK_SETTINGS).join(', ')})`);
+    } else if (!HOOK_MODES.includes(value)) {
+      errors.push(`hooks.${key} must be one of: ${HOOK_MODES.join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Hook script that runs the chained hook, then SlopWatch through this Node and entry point
+ * pre-push reads the pushed refs from stdin, so both hooks are given a copy
+ */
+function hookScript(hook) {
+  const node = shellQuote(process.execPath);
+  const entry = shellQuote(fileURLToPath(new URL('./mcp-server.js', import.meta.url)));
+  const readsStdin = hook === 'pre-push';
+  const pipe = readsStdin ? `printf '%s\\n' "$input" | ` : '';
+
+  return [
+    '#!/bin/sh',
+    `${HOOK_MARKER} - verifies commit message claims (slopwatch-mcp-server hooks install)`,
+    `# Bypass once with SLOPWATCH_SKIP_HOOKS=1 or --no-verify`,
+    readsStdin ? 'input=$(cat)' : null,
+    `chained="$0${CHAINED_SUFFIX}"`,
+    'if [ -x "$chained" ]; then',
+    `  ${pipe}"$chained" "$@" || exit $?`,
+    'fi',
+    '[ "$SLOPWATCH_SKIP_HOOKS" = "1" ] && exit 0',
+    `if [ ! -f ${entry} ]; then`,
+    `  echo "⚠️ SlopWatch ${hook} hook: ${entry.slice(1, -1)} not found - reinstall with hooks install" >&2`,
+    '  exit 0',
+    'fi',
+    `${pipe}${node} ${entry} hooks run ${hook} "$@"`,
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * The repository's hooks directory, honouring core.hooksPath
+ */
+async function hooksDir(repo) {
+  return resolve(repo.root, (await repo.run(['rev-parse', '--git-path', 'hooks'])).trim());
+}
+
+async function readHook(path) {
+  try {
+    return await fs.readFile(path, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function exists(path) {
+  return (await readHook(path)) !== null;
+}
+
+/**
+ * Write the hooks, moving any hook that is not ours aside to run first
+ * Resolves to [{ hook, path, status: installed|updated|chained }]
+ */
+async function installHooks(root) {
+  const repo = new GitRepository(root);
+  if (!await repo.isRepository()) {
+    throw new Error(`Not a git repository: ${root}`);
+  }
+
+  const dir = await hooksDir(repo);
+  const stat = await fs.stat(dir).catch(() => null);
+  if (stat && !stat.isDirectory()) {
+    throw new Error(`Hooks directory ${dir} is not a directory - check core.hooksPath`);
+  }
+  await fs.mkdir(dir, { recursive: true });
+
+  const results = [];
+  for (const hook of HOOKS) {
+    const path = join(dir, hook);
+    const existing = await readHook(path);
+    let status = 'installed';
+
+    if (existing !== null && existing.includes(HOOK_MARKER)) {
+      status = 'updated';
+    } else if (existing !== null) {
+      if (await exists(path + CHAINED_SUFFIX)) {
+        throw new Error(`Cannot chain ${path}: ${path}${CHAINED_SUFFIX} already exists`);
+      }
+      await fs.rename(path, path + CHAINED_SUFFIX);
+      status = 'chained';
+    }
+
+    await fs.writeFile(path, hookScript(hook), { mode: 0o755 });
+    await fs.chmod(path, 0o755);
+    results.push({ hook, path, status });
+  }
+
+  return results;
+}
+
+/**
+ * Remove our hooks and put any chained hooks back
+ * Resolves to [{ hook, path, status: removed|restored|absent }]
+ */
+async function uninstallHooks(root) {
+  const repo = new GitRepository(root);
+  const dir = await hooksDir(repo);
+
+  const results = [];
+  for (const hook of HOOKS) {
+    const path = join(dir, hook);
+    const existing = await readHook(path);
+
+    if (existing === null || !existing.includes(HOOK_MARKER)) {
+      results.push({ hook, path, status: 'absent' });
+      continue;
+    }
+
+    await fs.unlink(path);
+    if (await exists(path + CHAINED_SUFFIX)) {
+      await fs.rename(path + CHAINED_SUFFIX, path);
+      results.push({ hook, path, status: 'restored' });
+    } else {
+      results.push({ hook, path, status: 'removed' });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * The message as it will be committed - comments and anything below the scissors line dropped
+ */
+function cleanCommitMessage(text) {
+  return text
+    .split(SCISSORS)[0]
+    .split('\n')
+    .filter(line => !line.startsWith('#'))
+    .join('\n')
+    .trim();
+}
+
+function formatVerdict({ claim, result, claimRecord }) {
+  return `   ${result.isVerified ? '✅ PASSED' : '❌ FAILED'} (${result.confidence}%) ${claimRecord.id} ${claim}`;
+}
+
+/**
+ * Exit code for a hook run: 1 when a claim failed and the hook blocks
+ */
+function concludeHook(verdicts, mode, noun, log) {
+  const failed = verdicts.filter(({ result }) => !result.isVerified);
+  if (failed.length === 0) return 0;
+
+  const summary = `${failed.length} of ${verdicts.length} claims not supported by the ${noun}`;
+  if (mode === 'block') {
+    log(`🚫 SlopWatch blocked this: ${summary} - fix the message or the code, or ${BYPASS_HINT}`);
+    return 1;
+  }
+
+  log(`⚠️ SlopWatch: ${summary}`);
+  return 0;
+}
+
+/**
+ * commit-msg: verify the claims in the message against the staged changes
+ * Resolves to the hook's exit code
+ */
+async function runCommitMsgHook(server, messageFile, log = message => console.error(message)) {
+  const config = await server.getConfig();
+  const mode = config.hooks.commitMsg;
+  if (mode === 'off') return 0;
+
+  const message = cleanCommitMessage(await fs.readFile(resolve(server.workspaceRoot, messageFile), 'utf-8'));
+  const detected = server.claimDetector.detectCommitClaims(message);
+  if (detected.length === 0) return 0;
+
+  const repo = new GitRepository(server.workspaceRoot);
+  const changes = await repo.getStagedChanges();
+  if (changes.length === 0) {
+    log('⚪ SlopWatch: nothing staged to verify the commit message against');
+    return 0;
+  }
+
+  log(`🎯 SlopWatch: ${detected.length} claim${detected.length === 1 ? '' : 's'} in the commit message`);
+
+  const verdicts = [];
+  for (const { claim } of detected) {
+    const { result, claimRecord } = await server.verifyChanges(claim, changes, {
+      workspaceRoot: repo.root,
+      revision: 'staged',
+      source: 'commit-msg'
+    });
+    verdicts.push({ claim, result, claimRecord });
+    log(formatVerdict({ claim, result, claimRecord }));
+  }
+
+  return concludeHook(verdicts, mode, 'staged changes', log);
+}
+
+/**
+ * pre-push: verify the claims in each pushed commit against that commit's diff
+ * `input` is the hook's stdin: one "<local ref> <local sha> <remote ref> <remote sha>" line per ref
+ */
+async function runPrePushHook(server, input, log = message => console.error(message)) {
+  const config = await server.getConfig();
+  const mode = config.hooks.prePush;
+  if (mode === 'off') return 0;
+
+  const repo = new GitRepository(server.workspaceRoot);
+  const commits = new Set();
+
+  for (const line of input.split('\n').filter(line => line.trim())) {
+    const [, localSha, , remoteSha] = line.trim().split(/\s+/);
+    if (!localSha || ZERO_SHA.test(localSha)) continue; // Deleting a remote ref
+
+    // A new remote branch pushes whatever no remote has yet
+    const args = remoteSha && !ZERO_SHA.test(remoteSha) ?
+      ['rev-list', '--reverse', `${remoteSha}..${localSha}`] :
+      ['rev-list', '--reverse', localSha, '--not', '--remotes'];
+    const hashes = (await repo.run(args)).split('\n').filter(Boolean);
+    hashes.slice(-MAX_PUSHED_COMMITS).forEach(hash => commits.add(hash));
+  }
+
+  const verdicts = [];
+  for (const hash of commits) {
+    const [message = ''] = await repo.getCommitMessages(await repo.resolveRange(hash));
+    const detected = server.claimDetector.detectCommitClaims(message);
+    if (detected.length === 0) continue;
+
+    log(`🎯 ${hash.slice(0, 7)} ${message.split('\n')[0]}`);
+    for (const { claim } of detected) {
+      try {
+        const { result, claimRecord } = await server.verifyRevision({ revision: hash, claim, workspaceRoot: server.workspaceRoot, source: 'pre-push' });
+        verdicts.push({ claim, result, claimRecord });
+        log(formatVerdict({ claim, result, claimRecord }));
+      } catch (error) {
+        log(`   ⚪ ${claim}: ${error.message}`);
+      }
+    }
+  }
+
+  return concludeHook(verdicts, mode, 'pushed commits', log);
+}
+
+async function readStdin() {
+  if (process.stdin.isTTY) return '';
+
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * `hooks install`, `hooks uninstall`, or `hooks run <hook> [args]` as called by the hook scripts
+ * Resolves to the process exit code
+ */
+async function runHooksCommand(args, server) {
+  try {
+    return await dispatchHooksCommand(args, server);
+  } catch (error) {
+    const [command, hook] = args;
+    if (command === 'run' && HOOKS.includes(hook) && await hookMode(server, hook) !== 'block') {
+      console.error(`⚠️ SlopWatch ${hook} hook could not check this: ${error.message}`);
+      return 0;
+    }
+
+    console.error(`❌ SlopWatch: ${error.message}`);
+    if (command === 'run') console.error(`   To commit anyway, ${BYPASS_HINT}`);
+    return 1;
+  }
+}
+
+/**
+ * The configured mode of a hook, even when .slopwatch.json is invalid elsewhere:
+ * the validated setting, else the raw one if it is a mode, else the default
+ */
+async function hookMode(server, hook) {
+  const key = hook === 'commit-msg' ? 'commitMsg' : 'prePush';
+  try {
+    return (await server.getConfig()).hooks[key];
+  } catch (error) {
+    // Fall through to the raw file
+  }
+
+  try {
+    const raw = JSON.parse(await fs.readFile(join(server.workspaceRoot, CONFIG_FILE), 'utf-8'));
+    if (HOOK_MODES.includes(raw?.hooks?.[key])) return raw.hooks[key];
+  } catch (error) {
+    // Unreadable or not JSON
+  }
+  return DEFAULT_HOOK_SETTINGS[key];
+}
+
+async function dispatchHooksCommand(args, server) {
+  const [command, hook, ...hookArgs] = args;
+
+  if (command === 'install' || command === 'uninstall') {
+    const results = command === 'install' ? await installHooks(server.workspaceRoot) : await uninstallHooks(server.workspaceRoot);
+    const labels = {
+      installed: '✅ installed',
+      updated: '✅ updated',
+      chained: '✅ installed (the existing hook runs first)',
+      removed: '🗑️ removed',
+      restored: '🗑️ removed (the previous hook is back)',
+      absent: '⚪ not installed'
+    };
+    for (const { hook: name, status } of results) {
+      console.log(`${name}: ${labels[status]}`);
+    }
+    return 0;
+  }
+
+  if (command === 'run' && HOOKS.includes(hook)) {
+    if (process.env.SLOPWATCH_SKIP_HOOKS === '1') return 0;
+
+    await server.loadStore();
+    const exitCode = hook === 'commit-msg' ?
+      await runCommitMsgHook(server, hookArgs[0] || '.git/COMMIT_EDITMSG') :
+      await runPrePushHook(server, await readStdin());
+    await server.persistQueue;
+    await analytics.flush();
+    return exitCode;
+  }
+
+  console.error('Usage: slopwatch-mcp-server hooks install | uninstall | run <commit-msg|pre-push> [args...]');
+  return 1;
+}
+
+export {
+  installHooks,
+  uninstallHooks,
+  runCommitMsgHook,
+  runPrePushHook,
+  runHooksCommand,
+  validateHookSettings,
+  cleanCommitMessage,
+  DEFAULT_HOOK_SETTINGS
+};
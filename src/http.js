@@ -0,0 +1,381 @@
+import { createServer } from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { VERSION } from './version.js';
+import { queryClaims } from './history.js';
+import { computeStats } from './stats.js';
+import { createSarifLog, verificationFindings } from './sarif.js';
+
+/**
+ * HTTP API - serves a SlopWatchServer over MCP Streamable HTTP (/mcp), the older
+ * HTTP+SSE transport (/sse and /messages) and a small REST API for claims.
+ * CORS is off unless origins are configured; a bearer token, when set, guards
+ * everything except /health, and is required to listen beyond loopback.
+ */
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_SESSIONS = 100;
+const DEFAULT_SESSION_IDLE_MINUTES = 30;
+
+/**
+ * An error with the HTTP status it should be reported as
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^(::ffff:)?127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+/**
+ * HTTP settings from the environment, overridden by any given options
+ * (SLOPWATCH_HTTP_PORT or PORT, SLOPWATCH_HTTP_HOST, SLOPWATCH_HTTP_TOKEN, SLOPWATCH_CORS_ORIGINS,
+ * SLOPWATCH_HTTP_MAX_SESSIONS, SLOPWATCH_HTTP_SESSION_IDLE_MINUTES)
+ */
+function httpSettings(options = {}) {
+  const origins = options.corsOrigins ?? (process.env.SLOPWATCH_CORS_ORIGINS || '').split(',');
+
+  return {
+    port: Number(options.port ?? process.env.SLOPWATCH_HTTP_PORT ?? process.env.PORT ?? DEFAULT_PORT),
+    host: options.host ?? process.env.SLOPWATCH_HTTP_HOST ?? DEFAULT_HOST,
+    token: options.token ?? process.env.SLOPWATCH_HTTP_TOKEN ?? null,
+    corsOrigins: origins.map(origin => origin.trim()).filter(Boolean),
+    maxSessions: Number(options.maxSessions ?? process.env.SLOPWATCH_HTTP_MAX_SESSIONS ?? DEFAULT_MAX_SESSIONS),
+    sessionIdleMinutes: Number(options.sessionIdleMinutes ?? process.env.SLOPWATCH_HTTP_SESSION_IDLE_MINUTES ?? DEFAULT_SESSION_IDLE_MINUTES)
+  };
+}
+
+class SlopWatchHttpServer {
+  constructor(slopwatch, options = {}) {
+    this.slopwatch = slopwatch;
+    this.settings = httpSettings(options);
+
+    // Live MCP sessions by session ID, and when each last saw a request
+    this.streamableSessions = new Map();
+    this.sseSessions = new Map();
+    this.sessionActivity = new Map();
+    this.sweepTimer = null;
+
+    this.server = createServer((req, res) => {
+      this.handle(req, res).catch(error => this.sendError(res, error));
+    });
+  }
+
+  listen() {
+    const { port, host, token } = this.settings;
+    // Anyone who can reach the port could register claims and run the configured tests
+    if (!token && !isLoopback(host)) {
+      return Promise.reject(new Error(`Refusing to listen on ${host} without SLOPWATCH_HTTP_TOKEN - set a token or bind to 127.0.0.1`));
+    }
+
+    return new Promise((resolvePromise, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        this.sweepTimer = setInterval(() => this.closeIdleSessions(), 60 * 1000).unref();
+        resolvePromise(this.server.address());
+      });
+    });
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    const transports = [...this.streamableSessions.values(), ...this.sseSessions.values()];
+    await Promise.all(transports.map(transport => transport.close().catch(() => {})));
+    this.server.closeAllConnections?.();
+    await new Promise(resolvePromise => this.server.close(() => resolvePromise()));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    this.applyCors(req, res);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    if (url.pathname === '/health' && req.method === 'GET') {
+      this.sendJson(res, 200, {
+        status: 'healthy',
+        version: VERSION,
+        uptime: process.uptime(),
+        claims: this.slopwatch.claims.size
+      });
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="slopwatch"');
+      throw httpError(401, 'Missing or invalid bearer token');
+    }
+
+    if (url.pathname === '/mcp') {
+      await this.handleStreamable(req, res);
+      return;
+    }
+    if (url.pathname === '/sse' && req.method === 'GET') {
+      await this.handleSseConnect(res);
+      return;
+    }
+    if (url.pathname === '/messages' && req.method === 'POST') {
+      await this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+      return;
+    }
+
+    await this.handleRest(req, res, url);
+  }
+
+  /**
+   * Echo allowed origins (or "*"), and let browsers send and read the MCP session headers
+   */
+  applyCors(req, res) {
+    const { corsOrigins } = this.settings;
+    const origin = req.headers.origin;
+    if (corsOrigins.length === 0) return;
+
+    if (corsOrigins.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && corsOrigins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+    } else {
+      return;
+    }
+
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+    res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+  }
+
+  isAuthorized(req) {
+    const { token } = this.settings;
+    if (!token) return true;
+
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(token);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Streamable HTTP: an initialize request opens a session with its own MCP server,
+   * later requests carry the Mcp-Session-Id header
+   */
+  async handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await this.readJson(req) : undefined;
+
+    if (sessionId) {
+      const transport = this.streamableSessions.get(sessionId);
+      if (!transport) {
+        throw httpError(404, `Unknown MCP session: ${sessionId}`);
+      }
+      this.sessionActivity.set(sessionId, Date.now());
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      throw httpError(400, 'Send an initialize request without Mcp-Session-Id to start a session');
+    }
+    this.assertSessionCapacity();
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: id => {
+        this.streamableSessions.set(id, transport);
+        this.sessionActivity.set(id, Date.now());
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) this.forgetSession(this.streamableSessions, transport.sessionId);
+    };
+
+    await this.slopwatch.createMcpServer().connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async handleSseConnect(res) {
+    this.assertSessionCapacity();
+
+    const transport = new SSEServerTransport('/messages', res);
+    this.sseSessions.set(transport.sessionId, transport);
+    this.sessionActivity.set(transport.sessionId, Date.now());
+    transport.onclose = () => this.forgetSession(this.sseSessions, transport.sessionId);
+
+    await this.slopwatch.createMcpServer().connect(transport);
+  }
+
+  async handleSseMessage(req, res, sessionId) {
+    const transport = this.sseSessions.get(sessionId);
+    if (!transport) {
+      throw httpError(404, `Unknown SSE session: ${sessionId}`);
+    }
+    this.sessionActivity.set(sessionId, Date.now());
+    await transport.handlePostMessage(req, res, await this.readJson(req));
+  }
+
+  /**
+   * Each session holds an MCP server, so idle ones are closed and new ones are
+   * refused once maxSessions are open
+   */
+  assertSessionCapacity() {
+    this.closeIdleSessions();
+    if (this.streamableSessions.size + this.sseSessions.size >= this.settings.maxSessions) {
+      throw httpError(503, `Too many open MCP sessions (${this.settings.maxSessions}) - close one or retry later`);
+    }
+  }
+
+  closeIdleSessions() {
+    const cutoff = Date.now() - this.settings.sessionIdleMinutes * 60 * 1000;
+
+    for (const sessions of [this.streamableSessions, this.sseSessions]) {
+      for (const [sessionId, transport] of sessions) {
+        if ((this.sessionActivity.get(sessionId) ?? 0) > cutoff) continue;
+
+        this.forgetSession(sessions, sessionId);
+        transport.close().catch(() => {});
+      }
+    }
+  }
+
+  forgetSession(sessions, sessionId) {
+    sessions.delete(sessionId);
+    this.sessionActivity.delete(sessionId);
+  }
+
+  /**
+   * POST /claims, POST /claims/:id/verify[?format=sarif], GET /claims, GET /status
+   */
+  async handleRest(req, res, url) {
+    const { slopwatch } = this;
+    const verifyMatch = url.pathname.match(/^\/claims\/([^/]+)\/verify$/);
+
+    if (url.pathname === '/claims' && req.method === 'POST') {
+      const body = this.asObject(await this.readJson(req));
+      const claimRecord = await this.badRequestOnError(() => slopwatch.createClaim(body));
+      this.sendJson(res, 201, {
+        claimId: claimRecord.id,
+        claim: claimRecord.claim,
+        status: claimRecord.status,
+        files: claimRecord.files,
+        ...(claimRecord.mode && { mode: claimRecord.mode })
+      });
+      return;
+    }
+
+    if (verifyMatch && req.method === 'POST') {
+      const claimId = decodeURIComponent(verifyMatch[1]);
+      const body = this.asObject(await this.readJson(req));
+
+      slopwatch.expireStaleClaims();
+      const claimRecord = slopwatch.claims.get(claimId);
+      if (!claimRecord) {
+        throw httpError(404, `Unknown claim ID: ${claimId}`);
+      }
+      if (claimRecord.status !== 'pending') {
+        throw httpError(409, `Claim ${claimId} is ${claimRecord.status}, not pending`);
+      }
+
+      const { result } = await this.badRequestOnError(() => slopwatch.verifyClaim(claimId, body.updatedFileContents));
+      const payload = slopwatch.verificationPayload(result, claimRecord);
+      this.sendJson(res, 200, url.searchParams.get('format') === 'sarif' ?
+        createSarifLog(verificationFindings(payload, { root: slopwatch.workspaceRoot })) :
+        payload);
+      return;
+    }
+
+    if (url.pathname === '/claims' && req.method === 'GET') {
+      slopwatch.expireStaleClaims();
+      const filters = Object.fromEntries(url.searchParams);
+      const page = await this.badRequestOnError(() => queryClaims(slopwatch.claims, slopwatch.verificationResults, filters));
+      this.sendJson(res, 200, page);
+      return;
+    }
+
+    if (url.pathname === '/status' && req.method === 'GET') {
+      slopwatch.expireStaleClaims();
+      this.sendJson(res, 200, computeStats(slopwatch.claims, slopwatch.verificationResults, {
+        window: url.searchParams.get('window') ?? undefined,
+        detector: slopwatch.claimDetector
+      }));
+      return;
+    }
+
+    throw httpError(404, `Not found: ${req.method} ${url.pathname}`);
+  }
+
+  // Errors from the claim logic are the caller's input being wrong
+  async badRequestOnError(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      throw error.status ? error : httpError(400, error.message);
+    }
+  }
+
+  asObject(body) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw httpError(400, 'Request body must be a JSON object');
+    }
+    return body;
+  }
+
+  async readJson(req) {
+    // Browsers send form and text/plain bodies cross-site without a preflight
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+      throw httpError(415, 'Request body must be sent as Content-Type: application/json');
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        throw httpError(413, `Request body exceeds ${MAX_BODY_BYTES / (1024 * 1024)} MB`);
+      }
+      chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString('utf-8');
+    if (text.trim() === '') return {};
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw httpError(400, `Invalid JSON body: ${error.message}`);
+    }
+  }
+
+  sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload, null, 2));
+  }
+
+  sendError(res, error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      console.error(`SlopWatch HTTP error: ${error.stack || error.message}`);
+    }
+
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    this.sendJson(res, status, { error: error.message });
+  }
+}
+
+export { SlopWatchHttpServer, httpSettings };
@@ -7,19 +7,90 @@ import {
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import crypto from 'crypto';
+import { promises as fs, realpathSync } from 'fs';
+import { resolve, relative, isAbsolute, sep } from 'path';
+import { fileURLToPath } from 'url';
 import analytics from './analytics.js';
+import { VERSION } from './version.js';
+import { ClaimStore } from './claim-store.js';
+import { SlopWatchHttpServer } from './http.js';
+import { diffLines, getAddedLines, getAddedText, getAddedLineNumbers, getRemovedText, summarizeDiff } from './diff.js';
+import { isParsableFile, diffSymbols, findClaimIdentifiers, symbolMatches } from './symbols.js';
+import { StubDetector } from './stub-detector.js';
+import { SmartClaimDetector } from './smart-claim-detector.js';
+import { Workspace } from './workspace.js';
+import { GitRepository } from './git.js';
+import { generateRules, writeRulesFile, RULE_TARGETS } from './rules.js';
+import { ConfigLoader, CONFIG_FILE, DEFAULT_STOPWORDS } from './config.js';
+import { computeStats, formatStats } from './stats.js';
+import { domainsForClaim, findDomainEvidence } from './domain-evidence.js';
+import { queryClaims, formatHistory, explainVerdict, formatExplanation, latestResults } from './history.js';
+import { EvidenceAnalyzer, DEFAULT_FILE_TYPES, DEFAULT_MAX_FILES } from './evidence-analyzer.js';
+import { resolveToolSets, toolSetOf } from './tool-sets.js';
+import { createSarifLog, verificationFindings, analysisFindings } from './sarif.js';
+import { TestVerifier, parseTestClaim } from './test-verifier.js';
+
+// Pending claims older than this are expired instead of verified
+const DEFAULT_CLAIM_TTL_MS = 30 * 60 * 1000;
+
+// Points lost for each claimed domain with no evidence in the added code (max 40)
+const DOMAIN_PENALTY = 20;
+const MAX_DOMAIN_PENALTY = 40;
+const MAX_DOMAIN_MATCHES = 10;
 
 /**
  * SlopWatch MCP Server - AI Accountability System
- * Tracks what AI claims vs what it actually implements
- * Works with MCP resources instead of direct file system access
+ * Tracks what AI claims vs what it actually implements, from the file
+ * contents an agent sends (verification tools) or from the workspace's own
+ * changes (evidence tools)
  */
 class SlopWatchServer {
-  constructor() {
-    this.server = new Server(
+  constructor(options = {}) {
+    this.claims = new Map();
+    this.verificationResults = [];
+    this.stubDetector = new StubDetector();
+    this.testVerifier = new TestVerifier();
+    this.claimDetector = new SmartClaimDetector();
+    this.claimTtlMs = options.claimTtlMs ?? DEFAULT_CLAIM_TTL_MS;
+    this.responseFormat = options.responseFormat || process.env.SLOPWATCH_RESPONSE_FORMAT || 'minimal';
+    this.persistQueue = Promise.resolve();
+
+    // 'content' trusts agent-supplied file contents, 'workspace' always reads them from disk
+    this.verificationMode = options.verificationMode || process.env.SLOPWATCH_VERIFICATION_MODE || 'content';
+    this.workspaceRoot = options.workspaceRoot || process.env.SLOPWATCH_WORKSPACE || process.cwd();
+
+    // .slopwatch.json loaders by workspace root
+    this.configLoaders = new Map();
+
+    // Tool sets to expose; .slopwatch.json `tools` applies when neither is set
+    this.toolSets = options.tools ?? process.env.SLOPWATCH_TOOLS;
+    resolveToolSets(this.toolSets);
+
+    this.evidenceAnalyzer = new EvidenceAnalyzer({
+      claimDetector: this.claimDetector,
+      workspaceRoot: this.workspaceRoot,
+      getConfig: root => this.getConfig(root)
+    });
+
+    // Durable claim history, unless disabled with SLOPWATCH_STORE=false
+    this.store = options.store !== undefined ? options.store :
+      process.env.SLOPWATCH_STORE === 'false' ? null :
+      new ClaimStore(this.workspaceRoot, {
+        retention: Number(process.env.SLOPWATCH_RETENTION) || undefined
+      });
+    
+    this.server = this.createMcpServer();
+  }
+
+  /**
+   * An MCP server bound to this instance's claims - one for stdio,
+   * one per session over HTTP
+   */
+  createMcpServer() {
+    const server = new Server(
       {
         name: 'slopwatch-server',
-        version: '2.7.0',
+        version: VERSION,
       },
       {
         capabilities: {
@@ -28,105 +99,866 @@ class SlopWatchServer {
       }
     );
 
-    this.claims = new Map();
-    this.verificationResults = [];
-    
-    this.setupToolHandlers();
+    this.setupToolHandlers(server);
+    return server;
   }
 
-  setupToolHandlers() {
+  setupToolHandlers(server) {
     // Register tools list handler
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
-        tools: [
-          {
-            name: 'slopwatch_claim_and_verify',
-            description: 'Register claim and verify implementation in one call - reduces from 2 tool calls to 1',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                claim: {
-                  type: 'string',
-                  description: 'What you implemented'
-                },
-                originalFileContents: {
-                  type: 'object',
-                  description: 'Original content of files before implementation (filename -> content)',
-                  additionalProperties: { type: 'string' }
-                },
-                updatedFileContents: {
-                  type: 'object',
-                  description: 'Updated content of files after implementation (filename -> content)',
-                  additionalProperties: { type: 'string' }
-                }
-              },
-              required: ['claim', 'originalFileContents', 'updatedFileContents']
-            }
-          },
-          {
-            name: 'slopwatch_status',
-            description: 'Get current slop score and statistics',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                random_string: {
-                  type: 'string',
-                  description: 'Dummy parameter for no-parameter tools'
-                }
-              },
-              required: ['random_string']
-            }
-          },
-          {
-            name: 'slopwatch_setup_rules',
-            description: 'Generate .cursorrules file with AI accountability enforcement',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                project_path: {
-                  type: 'string',
-                  description: 'Path to project directory where .cursorrules should be created'
-                },
-                overwrite: {
-                  type: 'boolean',
-                  description: 'Whether to overwrite existing .cursorrules file',
-                  default: false
-                }
-              },
-              required: ['project_path']
-            }
-          }
-        ]
+        tools: await this.getEnabledToolDefinitions()
       };
     });
 
     // Register tool call handler
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
 
+      // Pick up .slopwatch.json changes, including analytics settings, before the call is tracked
+      // (an invalid file is reported by the tools that rely on it)
+      await this.getConfig().catch(() => {});
+
+      const toolSet = toolSetOf(name);
+      if (toolSet && !(await this.getEnabledToolSets()).includes(toolSet)) {
+        throw new Error(`Tool ${name} is disabled (enable the "${toolSet}" tool set)`);
+      }
+
       switch (name) {
         case 'slopwatch_claim_and_verify':
           return await this.handleClaimAndVerify(args);
+        case 'slopwatch_scan_response':
+          return await this.handleScanResponse(args);
+        case 'slopwatch_claim':
+          return await this.handleClaim(args);
+        case 'slopwatch_verify':
+          return await this.handleVerify(args);
+        case 'slopwatch_verify_commit':
+          return await this.handleVerifyCommit(args);
+        case 'slopwatch_history':
+          return await this.handleHistory(args);
+        case 'slopwatch_explain':
+          return await this.handleExplain(args);
         case 'slopwatch_status':
           return await this.handleStatus(args);
         case 'slopwatch_setup_rules':
           return await this.handleSetupRules(args);
+        case 'analyze_claim':
+          return await this.handleAnalyzeClaim(args);
+        case 'get_status':
+          return await this.handleGetStatus(args);
         default:
           throw new Error(`Unknown tool: ${name}`);
       }
     });
   }
 
+  getToolDefinitions() {
+    return [
+      {
+        name: 'slopwatch_claim_and_verify',
+        description: 'Register claim and verify implementation in one call - reduces from 2 tool calls to 1',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            claim: {
+              type: 'string',
+              description: 'What you implemented'
+            },
+            files: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Workspace mode: paths of the changed files, compared between git HEAD and disk instead of trusting supplied contents'
+            },
+            workspaceRoot: {
+              type: 'string',
+              description: 'Workspace mode: root directory the file paths are relative to, inside the server workspace (defaults to the server workspace)'
+            },
+            originalFileContents: {
+              type: 'object',
+              description: 'Original content of files before implementation (filename -> content)',
+              additionalProperties: { type: 'string' }
+            },
+            updatedFileContents: {
+              type: 'object',
+              description: 'Updated content of files after implementation (filename -> content)',
+              additionalProperties: { type: 'string' }
+            },
+            responseFormat: {
+              type: 'string',
+              enum: ['minimal', 'json', 'sarif'],
+              description: 'Response format: "minimal" (default), "json" for a machine-readable breakdown or "sarif" for SARIF 2.1.0 findings'
+            }
+          },
+          required: ['claim']
+        }
+      },
+      {
+        name: 'slopwatch_scan_response',
+        description: 'Find every implementation claim in your response text and verify each one against the file changes',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            response: {
+              type: 'string',
+              description: 'Your response to the user, describing what you did'
+            },
+            files: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Workspace mode: paths of the changed files, compared between git HEAD and disk instead of trusting supplied contents'
+            },
+            workspaceRoot: {
+              type: 'string',
+              description: 'Workspace mode: root directory the file paths are relative to, inside the server workspace (defaults to the server workspace)'
+            },
+            originalFileContents: {
+              type: 'object',
+              description: 'Original content of files before implementation (filename -> content)',
+              additionalProperties: { type: 'string' }
+            },
+            updatedFileContents: {
+              type: 'object',
+              description: 'Updated content of files after implementation (filename -> content)',
+              additionalProperties: { type: 'string' }
+            },
+            responseFormat: {
+              type: 'string',
+              enum: ['minimal', 'json', 'sarif'],
+              description: 'Response format: "minimal" (default), "json" for a machine-readable breakdown or "sarif" for SARIF 2.1.0 findings'
+            }
+          },
+          required: ['response']
+        }
+      },
+      {
+        name: 'slopwatch_claim',
+        description: 'Register what you are about to implement against a snapshot of the current files - returns a claim ID for slopwatch_verify',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            claim: {
+              type: 'string',
+              description: 'What you are about to implement'
+            },
+            files: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Workspace mode: paths of the files you will modify, snapshotted from disk'
+            },
+            workspaceRoot: {
+              type: 'string',
+              description: 'Workspace mode: root directory the file paths are relative to, inside the server workspace (defaults to the server workspace)'
+            },
+            fileContents: {
+              type: 'object',
+              description: 'Current content of files you will modify (filename -> content)',
+              additionalProperties: { type: 'string' }
+            }
+          },
+          required: ['claim']
+        }
+      },
+      {
+        name: 'slopwatch_verify',
+        description: 'Verify a previously registered claim against the updated files',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            claimId: {
+              type: 'string',
+              description: 'The claim ID returned from slopwatch_claim'
+            },
+            updatedFileContents: {
+              type: 'object',
+              description: 'Updated content of files after implementation (filename -> content)',
+              additionalProperties: { type: 'string' }
+            },
+            responseFormat: {
+              type: 'string',
+              enum: ['minimal', 'json', 'sarif'],
+              description: 'Response format: "minimal" (default), "json" for a machine-readable breakdown or "sarif" for SARIF 2.1.0 findings'
+            }
+          },
+          required: ['claimId']
+        }
+      },
+      {
+        name: 'slopwatch_verify_commit',
+        description: 'Verify what a commit message claims against what the commit (or commit range) actually changed',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            revision: {
+              type: 'string',
+              description: 'Commit ("HEAD", "abc123") or range ("main..feature", "main...feature")'
+            },
+            claim: {
+              type: 'string',
+              description: 'Claim to verify (defaults to the commit messages in the range)'
+            },
+            workspaceRoot: {
+              type: 'string',
+              description: 'Repository directory inside the server workspace (defaults to the server workspace)'
+            },
+            responseFormat: {
+              type: 'string',
+              enum: ['minimal', 'json', 'sarif'],
+              description: 'Response format: "minimal" (default), "json" for a machine-readable breakdown or "sarif" for SARIF 2.1.0 findings'
+            }
+          },
+          required: ['revision']
+        }
+      },
+      {
+        name: 'slopwatch_history',
+        description: 'List past claims, newest first, filtered by status, file, time range or text',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['pending', 'verified', 'failed', 'expired'],
+              description: 'Only claims with this status'
+            },
+            file: {
+              type: 'string',
+              description: 'Only claims touching files matching this path or glob (e.g. "src/payments/**")'
+            },
+            since: {
+              type: 'string',
+              description: 'Only claims registered after this ISO date or duration ago (e.g. "24h", "7d")'
+            },
+            until: {
+              type: 'string',
+              description: 'Only claims registered before this ISO date or duration ago'
+            },
+            search: {
+              type: 'string',
+              description: 'Only claims whose text contains this (case-insensitive)'
+            },
+            limit: {
+              type: 'number',
+              description: 'Claims per page (default 20, max 100)'
+            },
+            offset: {
+              type: 'number',
+              description: 'Number of matching claims to skip'
+            },
+            responseFormat: {
+              type: 'string',
+              enum: ['minimal', 'json'],
+              description: 'Response format: "minimal" (default) or "json"'
+            }
+          }
+        }
+      },
+      {
+        name: 'slopwatch_explain',
+        description: 'Explain a claim\'s verdict - per-file analysis, matched/missing keywords, diff summary and score breakdown',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            claimId: {
+              type: 'string',
+              description: 'Claim ID from slopwatch_claim, slopwatch_history or a JSON verification result'
+            },
+            responseFormat: {
+              type: 'string',
+              enum: ['minimal', 'json'],
+              description: 'Response format: "minimal" (default) for a text explanation or "json" for the full stored result'
+            }
+          },
+          required: ['claimId']
+        }
+      },
+      {
+        name: 'slopwatch_status',
+        description: 'Get accuracy over recent windows, breakdowns by file, action and domain, failure streaks and trend',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            window: {
+              type: 'number',
+              description: 'Number of most recent verdicts for the "last N" window and the trend (default 20)'
+            },
+            responseFormat: {
+              type: 'string',
+              enum: ['minimal', 'json'],
+              description: 'Response format: "minimal" (default) or "json" for the full statistics'
+            },
+            random_string: {
+              type: 'string',
+              description: 'Ignored - accepted for clients that cannot call tools without arguments'
+            }
+          }
+        }
+      },
+      {
+        name: 'slopwatch_setup_rules',
+        description: 'Write AI accountability rules into .cursorrules and other AI editor rule files',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_path: {
+              type: 'string',
+              description: 'Path to project directory where the rule files should be written, inside the workspace root (relative paths resolve against it)'
+            },
+            targets: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(RULE_TARGETS) },
+              description: 'Editors to write rules for: cursor (.cursorrules), claude (CLAUDE.md), windsurf (.windsurfrules), copilot (.github/copilot-instructions.md)',
+              default: ['cursor']
+            },
+            overwrite: {
+              type: 'boolean',
+              description: 'Replace each rule file entirely instead of merging the SlopWatch block into it',
+              default: false
+            }
+          },
+          required: ['project_path']
+        }
+      },
+      {
+        name: 'analyze_claim',
+        description: 'Analyze an AI claim against the code changed in the workspace to detect lies',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            claim: {
+              type: 'string',
+              description: 'The AI claim to analyze'
+            },
+            workspaceDir: {
+              type: 'string',
+              description: 'Directory to analyze, inside the workspace root (default: the workspace root)'
+            },
+            fileTypes: {
+              type: 'array',
+              items: { type: 'string' },
+              description: `File extensions to analyze (default: ${DEFAULT_FILE_TYPES.join(', ')})`
+            },
+            maxFiles: {
+              type: 'number',
+              description: `Maximum files to analyze (default: ${DEFAULT_MAX_FILES})`
+            },
+            baseRevision: {
+              type: 'string',
+              description: 'Git revision to compare against, e.g. main (default: HEAD, i.e. uncommitted changes)'
+            },
+            scope: {
+              type: 'string',
+              enum: ['changes', 'all'],
+              description: 'Look for evidence only in lines changed since baseRevision (default) or in every file'
+            },
+            responseFormat: {
+              type: 'string',
+              enum: ['text', 'sarif'],
+              description: 'Response format: "text" (default) or "sarif" for SARIF 2.1.0 findings'
+            }
+          },
+          required: ['claim']
+        }
+      },
+      {
+        name: 'get_status',
+        description: 'Get SlopWatch server status: version, enabled tools and uptime',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            detailed: {
+              type: 'boolean',
+              description: 'Show detailed statistics'
+            }
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Enabled tool set names - the constructor option or SLOPWATCH_TOOLS, else .slopwatch.json
+   */
+  async getEnabledToolSets() {
+    const config = await this.getConfig().catch(() => null);
+    return resolveToolSets(this.toolSets, config && config.tools);
+  }
+
+  async getEnabledToolDefinitions() {
+    const sets = await this.getEnabledToolSets();
+    return this.getToolDefinitions().filter(tool => sets.includes(toolSetOf(tool.name)));
+  }
+
   async handleClaimAndVerify(args) {
-    const { claim, originalFileContents, updatedFileContents } = args;
-    
+    const { claim, originalFileContents = {}, updatedFileContents = {}, responseFormat } = args;
+    if (typeof claim !== 'string' || claim.trim() === '') {
+      return this.formatError(new Error('A claim is required'), null, responseFormat);
+    }
+
+    let claimRecord;
+    try {
+      assertFileContents(originalFileContents, 'originalFileContents');
+      assertFileContents(updatedFileContents, 'updatedFileContents');
+
+      if (this.isWorkspaceMode(args)) {
+        return await this.handleWorkspaceClaimAndVerify(args);
+      }
+
+      claimRecord = this.registerClaim(claim, originalFileContents);
+      const result = await this.verifyClaimRecord(claimRecord, updatedFileContents);
+      return this.formatVerificationResponse(result, claimRecord, responseFormat);
+    } catch (error) {
+      return this.formatError(error, claimRecord?.id, responseFormat);
+    }
+  }
+
+  /**
+   * Workspace mode: git HEAD is the "before", disk is the "after",
+   * and any supplied contents are only cross-checked against them
+   */
+  async handleWorkspaceClaimAndVerify(args) {
+    const { claim, responseFormat } = args;
+
+    let claimRecord;
+    try {
+      const { before, after, tampering, details } = await this.readWorkspaceContents(args);
+      claimRecord = this.registerClaim(claim, before, details);
+
+      const result = await this.verifyClaimRecord(claimRecord, after, tampering);
+      return this.formatVerificationResponse(result, claimRecord, responseFormat);
+    } catch (error) {
+      return this.formatError(error, claimRecord?.id, responseFormat);
+    }
+  }
+
+  /**
+   * Before (git HEAD) and after (disk) contents for a one-shot workspace verification,
+   * with any supplied contents cross-checked against them
+   */
+  async readWorkspaceContents(args) {
+    const { originalFileContents, updatedFileContents } = args;
+    const workspace = this.getWorkspace(args);
+    const files = this.getWorkspaceFiles(args, { ...originalFileContents, ...updatedFileContents });
+
+    const headContents = await workspace.readHeadFiles(files);
+    const diskContents = await workspace.readFiles(files);
+
+    return {
+      before: this.existingContents(headContents),
+      after: this.existingContents(diskContents),
+      tampering: [
+        ...workspace.findTampering(originalFileContents, headContents, 'original', 'git HEAD'),
+        ...workspace.findTampering(updatedFileContents, diskContents, 'updated', 'disk')
+      ],
+      details: { files, mode: 'workspace', workspaceRoot: workspace.root }
+    };
+  }
+
+  /**
+   * Detect every claim in a free-text response and verify each one separately,
+   * so work described in the reply cannot escape verification
+   */
+  async handleScanResponse(args) {
+    const { response, originalFileContents = {}, updatedFileContents = {}, responseFormat = this.responseFormat } = args;
+
+    try {
+      if (typeof response !== 'string' || !response.trim()) {
+        throw new Error('No response text to scan');
+      }
+      assertFileContents(originalFileContents, 'originalFileContents');
+      assertFileContents(updatedFileContents, 'updatedFileContents');
+
+      const detected = this.detectResponseClaims(response);
+      const contents = this.isWorkspaceMode(args) ?
+        await this.readWorkspaceContents(args) :
+        { before: originalFileContents, after: updatedFileContents, tampering: [], details: {} };
+
+      const verdicts = [];
+      for (const detectedClaim of detected) {
+        const claimRecord = this.registerClaim(detectedClaim.claim, contents.before, { ...contents.details, source: 'scan_response' });
+        const result = await this.verifyClaimRecord(claimRecord, contents.after, contents.tampering);
+        verdicts.push({ detectedClaim, claimRecord, result });
+      }
+
+      return this.formatVerdicts(verdicts, responseFormat);
+    } catch (error) {
+      return this.formatError(error, null, responseFormat);
+    }
+  }
+
+  /**
+   * Claims in a response, one per distinct claim text. The detector can merge several
+   * claims into one, so when it finds fewer than the sentences reporting work, each
+   * of those sentences is checked instead
+   */
+  detectResponseClaims(response) {
+    const detected = this.claimDetector.detectClaims(response);
+    const sentences = this.claimDetector.detectSentenceClaims(response);
+    const seen = new Set();
+
+    return (detected.length < sentences.length ? sentences : detected).filter(detectedClaim => {
+      const key = detectedClaim.claim.toLowerCase().replace(/\s+/g, ' ').trim();
+      if (!key || seen.has(key)) return false;
+
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * One verdict per claim ({ detectedClaim, claimRecord, result, commit? }) as a summary table
+   */
+  formatVerdicts(verdicts, format = this.responseFormat) {
+    const failed = verdicts.filter(({ result }) => !result.isVerified);
+    const verdict = verdicts.length === 0 ? 'NO_CLAIMS' : failed.length === 0 ? 'PASSED' : 'FAILED';
+
+    if (format === 'sarif') {
+      return this.formatJson(createSarifLog(verdicts.flatMap(({ claimRecord, result }) =>
+        verificationFindings(this.verificationPayload(result, claimRecord), { root: this.workspaceRoot }))));
+    }
+
+    if (format === 'json') {
+      return this.formatJson({
+        verdict,
+        claims: verdicts.map(({ detectedClaim, claimRecord, result, commit }) => ({
+          claimId: claimRecord.id,
+          ...(commit && { commit }),
+          claim: claimRecord.claim,
+          action: detectedClaim.action,
+          domain: detectedClaim.domain,
+          detection: { source: detectedClaim.source, confidence: detectedClaim.confidence },
+          verdict: result.isVerified ? 'PASSED' : 'FAILED',
+          confidence: result.confidence,
+          threshold: result.threshold,
+          details: result.details
+        })),
+        passed: verdicts.length - failed.length,
+        failed: failed.length
+      });
+    }
+
+    if (verdicts.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: '⚪ No implementation claims detected'
+          }
+        ]
+      };
+    }
+
+    const lines = [
+      failed.length === 0 ?
+        `✅ PASSED (${verdicts.length}/${verdicts.length} claims verified)` :
+        `❌ FAILED (${failed.length}/${verdicts.length} claims failed)`,
+      '',
+      '| Verdict | Confidence | Claim ID | Claim |',
+      '|---------|------------|----------|-------|',
+      ...verdicts.map(({ claimRecord, result, commit }) =>
+        `| ${result.isVerified ? '✅ PASSED' : '❌ FAILED'} | ${result.confidence}% | ${claimRecord.id} | ${commit ? `${commit.slice(0, 7)} ` : ''}${claimRecord.claim.replace(/\|/g, '\\|').replace(/\s+/g, ' ')} |`)
+    ];
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: lines.join('\n')
+        }
+      ]
+    };
+  }
+
+  async handleClaim(args) {
+    const { responseFormat } = args;
+
+    try {
+      const claimRecord = await this.createClaim(args);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Claim ID: ${claimRecord.id}`
+          }
+        ]
+      };
+    } catch (error) {
+      return this.formatError(error, null, responseFormat);
+    }
+  }
+
+  async handleVerify(args) {
+    const { claimId, updatedFileContents = {}, responseFormat } = args;
+
+    try {
+      const { result, claimRecord } = await this.verifyClaim(claimId, updatedFileContents);
+      return this.formatVerificationResponse(result, claimRecord, responseFormat);
+    } catch (error) {
+      return this.formatError(error, claimId, responseFormat);
+    }
+  }
+
+  /**
+   * Register a claim before implementing - snapshots the workspace files in workspace
+   * mode, otherwise the supplied fileContents. Resolves to the claim record.
+   */
+  async createClaim(args) {
+    const { claim, fileContents = {} } = args;
+    if (typeof claim !== 'string' || claim.trim() === '') {
+      throw new Error('A claim is required');
+    }
+    assertFileContents(fileContents, 'fileContents');
+    if (args.files !== undefined && !(Array.isArray(args.files) && args.files.every(file => typeof file === 'string'))) {
+      throw new Error('files must be an array of paths');
+    }
+    if (args.workspaceRoot !== undefined && typeof args.workspaceRoot !== 'string') {
+      throw new Error('workspaceRoot must be a path');
+    }
+
+    this.expireStaleClaims();
+
+    if (this.isWorkspaceMode(args)) {
+      // Snapshot the real files now; supplied contents are only cross-checked
+      const workspace = this.getWorkspace(args);
+      const files = this.getWorkspaceFiles(args, fileContents);
+      const diskContents = await workspace.readFiles(files);
+
+      return this.registerClaim(claim, this.existingContents(diskContents), {
+        files,
+        mode: 'workspace',
+        workspaceRoot: workspace.root,
+        tampering: workspace.findTampering(fileContents, diskContents, 'original', 'disk')
+      });
+    }
+
+    return this.registerClaim(claim, fileContents);
+  }
+
+  /**
+   * Verify a pending claim by ID - workspace claims are re-read from disk.
+   * Resolves to { result, claimRecord }.
+   */
+  async verifyClaim(claimId, updatedFileContents = {}) {
+    assertFileContents(updatedFileContents, 'updatedFileContents');
+    this.expireStaleClaims();
+
+    const claimRecord = this.claims.get(claimId);
+    if (!claimRecord) {
+      throw new Error(`Unknown claim ID: ${claimId}`);
+    }
+    if (claimRecord.status === 'expired') {
+      throw new Error(`Claim ${claimId} expired before verification - register it again with slopwatch_claim`);
+    }
+    if (claimRecord.status !== 'pending') {
+      const previousResult = claimRecord.status === 'verified' ? 'PASSED' : 'FAILED';
+      throw new Error(`Claim ${claimId} was already verified (${previousResult})`);
+    }
+
+    if (claimRecord.mode === 'workspace') {
+      // Re-read the claimed files from disk rather than trusting the agent's copy
+      const workspace = new Workspace(claimRecord.workspaceRoot);
+      const diskContents = await workspace.readFiles(claimRecord.files);
+      const tampering = [
+        ...(claimRecord.tampering || []),
+        ...workspace.findTampering(updatedFileContents, diskContents, 'updated', 'disk')
+      ];
+
+      const result = await this.verifyClaimRecord(claimRecord, this.existingContents(diskContents), tampering);
+      return { result, claimRecord };
+    }
+
+    const result = await this.verifyClaimRecord(claimRecord, updatedFileContents);
+    return { result, claimRecord };
+  }
+
+  async handleVerifyCommit(args) {
+    const { responseFormat } = args;
+
+    try {
+      const { result, claimRecord, verdicts } = await this.verifyRevision(args);
+      if (verdicts) return this.formatVerdicts(verdicts, responseFormat);
+      return this.formatVerificationResponse(result, claimRecord, responseFormat);
+    } catch (error) {
+      return this.formatError(error, null, responseFormat);
+    }
+  }
+
+  /**
+   * Verify a claim (by default the commit messages) against a git commit or range
+   * Usable as a library call: resolves to { result, claimRecord, range }, plus
+   * `verdicts` when a range without a claim is checked commit by commit
+   */
+  async verifyRevision({ revision, claim, workspaceRoot, source } = {}) {
+    if (!revision) {
+      throw new Error('A git revision or range is required');
+    }
+
+    const repo = new GitRepository(this.resolveWorkspaceRoot(workspaceRoot));
+    if (!await repo.isRepository()) {
+      throw new Error(`Not a git repository: ${repo.root}`);
+    }
+
+    const range = await repo.resolveRange(revision);
+    if (!claim && !range.single) {
+      return this.verifyRangeCommits(repo, range, source);
+    }
+
+    const claimText = claim || (await repo.getCommitMessages(range)).join('\n');
+    if (!claimText) {
+      throw new Error(`No claim given and no commit messages found in ${revision}`);
+    }
+
+    const changes = await repo.getChanges(range);
+    if (changes.length === 0) {
+      // Not a setup problem: there is simply nothing to back the claim
+      const error = new Error(`No text file changes in ${revision}`);
+      error.code = 'NO_CHANGES';
+      throw error;
+    }
+
+    const { result, claimRecord } = await this.verifyChanges(claimText, changes, {
+      workspaceRoot: repo.root,
+      revision: range.label,
+      base: range.base,
+      head: range.head,
+      ...(source && { source })
+    });
+    return { result, claimRecord, range };
+  }
+
+  /**
+   * Verify the claims in each commit message of a range against that commit's own diff,
+   * so one commit's changes cannot back another's claims. The range fails when any
+   * claim fails: result and claimRecord are the first failure, or the last verdict
+   */
+  async verifyRangeCommits(repo, range, source) {
+    const verdicts = [];
+
+    for (const hash of await repo.listCommits(range)) {
+      const commitRange = await repo.resolveRange(hash);
+      const [message = ''] = await repo.getCommitMessages(commitRange);
+      const detected = this.claimDetector.detectCommitClaims(message);
+      if (detected.length === 0) continue;
+
+      const changes = await repo.getChanges(commitRange);
+      for (const detectedClaim of detected) {
+        const { result, claimRecord } = await this.verifyChanges(detectedClaim.claim, changes, {
+          workspaceRoot: repo.root,
+          revision: hash,
+          base: commitRange.base,
+          head: commitRange.head,
+          ...(source && { source })
+        });
+        verdicts.push({ commit: hash, detectedClaim, result, claimRecord });
+      }
+    }
+
+    if (verdicts.length === 0) {
+      throw new Error(`No implementation claims found in the commit messages of ${range.label}`);
+    }
+
+    const { result, claimRecord } = verdicts.find(verdict => !verdict.result.isVerified) || verdicts[verdicts.length - 1];
+    return { result, claimRecord, range, verdicts };
+  }
+
+  /**
+   * Verify a claim against git changes ({ path, before, after } as from GitRepository),
+   * recording it as a git-mode claim with the given details. Resolves to { result, claimRecord }
+   */
+  async verifyChanges(claim, changes, details = {}) {
+    const before = {};
+    const after = {};
+    for (const change of changes) {
+      if (change.before !== null) before[change.path] = change.before;
+      if (change.after !== null) after[change.path] = change.after;
+    }
+
+    const claimRecord = this.registerClaim(claim, before, {
+      files: changes.map(change => change.path),
+      mode: 'git',
+      ...details
+    });
+
+    const result = await this.verifyClaimRecord(claimRecord, after);
+    return { result, claimRecord };
+  }
+
+  /**
+   * Project configuration for a workspace root, re-read when .slopwatch.json changes
+   */
+  async getConfig(root = this.workspaceRoot) {
+    const workspaceRoot = resolve(root);
+    if (!this.configLoaders.has(workspaceRoot)) {
+      this.configLoaders.set(workspaceRoot, new ConfigLoader(workspaceRoot));
+    }
+
+    const config = await this.configLoaders.get(workspaceRoot).load();
+
+    // Analytics follow the server's own workspace, not whichever workspace a call names
+    if (workspaceRoot === resolve(this.workspaceRoot)) {
+      analytics.configure(config.analytics, workspaceRoot);
+    }
+    return config;
+  }
+
+  isWorkspaceMode(args) {
+    return this.verificationMode === 'workspace' || (Array.isArray(args.files) && args.files.length > 0);
+  }
+
+  getWorkspace(args) {
+    return new Workspace(this.resolveWorkspaceRoot(args.workspaceRoot));
+  }
+
+  /**
+   * A workspace root named by a caller: the server's own workspace or a directory inside it.
+   * Tool calls come from the agent being checked, so it must not point verification elsewhere
+   */
+  resolveWorkspaceRoot(requested) {
+    if (!requested) return this.workspaceRoot;
+
+    const root = resolve(this.workspaceRoot, requested);
+    let realRoot;
+    try {
+      realRoot = realpathSync(root);
+    } catch (error) {
+      throw new Error(`Workspace root does not exist: ${requested}`);
+    }
+
+    const rel = relative(realpathSync(this.workspaceRoot), realRoot);
+    if (rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+      throw new Error(`Workspace root is outside the server workspace: ${requested}`);
+    }
+    return root;
+  }
+
+  /**
+   * Paths to read in workspace mode - explicit `files`, else the keys of any supplied contents
+   */
+  getWorkspaceFiles(args, suppliedContents = {}) {
+    const files = Array.isArray(args.files) && args.files.length > 0 ? args.files : Object.keys(suppliedContents);
+    if (files.length === 0) {
+      throw new Error('Workspace mode needs the paths of the files to verify (files)');
+    }
+    return [...new Set(files)];
+  }
+
+  // Files missing on disk or at HEAD get no snapshot, so they count as created or emptied
+  existingContents(contents) {
+    return Object.fromEntries(Object.entries(contents).filter(([, content]) => content !== null));
+  }
+
+  /**
+   * Create a pending claim with snapshots of the given files
+   */
+  registerClaim(claim, fileContents = {}, workspaceDetails = {}) {
     const claimId = Math.random().toString(36).substr(2, 9);
     
     // Create file snapshots from provided content
     const fileSnapshots = {};
-    const fileList = Object.keys(originalFileContents);
+    const fileList = workspaceDetails.files || Object.keys(fileContents);
     
-    for (const [filename, content] of Object.entries(originalFileContents)) {
+    for (const [filename, content] of Object.entries(fileContents)) {
       fileSnapshots[filename] = {
         hash: crypto.createHash('sha256').update(content || '').digest('hex'),
         content: content || '',
@@ -140,76 +972,340 @@ class SlopWatchServer {
       files: fileList,
       timestamp: new Date().toISOString(),
       status: 'pending',
-      fileSnapshots
+      fileSnapshots,
+      ...workspaceDetails
     };
 
     this.claims.set(claimId, claimRecord);
+    this.persist(store => store.appendClaim(claimRecord));
 
     // Track claim registration
-    analytics.trackClaim(claimId, fileList.length, fileList.length > 0);
+    analytics.trackClaim(claimId, claim, fileList);
+
+    return claimRecord;
+  }
+
+  /**
+   * Analyze a pending claim against updated content and record the result
+   */
+  async verifyClaimRecord(claimRecord, updatedFileContents, tampering = []) {
+    const result = await this.analyzeImplementation(claimRecord, updatedFileContents);
+
+    // Claims about test results are checked by running the project's test command, when configured
+    const testRun = await this.runClaimedTests(claimRecord);
+    if (testRun) {
+      this.applyTestRun(result, testRun, claimRecord.claim);
+    }
+
+    // Supplied contents that disagree with disk or git HEAD void the verification
+    if (tampering.length > 0) {
+      result.isVerified = false;
+      result.tampering = tampering;
+      result.details = `Tampering detected: ${tampering.length} supplied files do not match the workspace. ${result.details}`;
+      result.analysis = [
+        ...tampering.map(entry => `🚨 ${entry.file}: supplied ${entry.side} content ${entry.reason}`),
+        result.analysis
+      ].join('\n');
+    }
+
+    // Store verification result
+    claimRecord.status = result.isVerified ? 'verified' : 'failed';
+    claimRecord.verifiedAt = new Date().toISOString();
+
+    // A claim is only verified once, so its file contents are not needed any more - keep the hashes
+    for (const snapshot of Object.values(claimRecord.fileSnapshots || {})) {
+      delete snapshot.content;
+    }
+    const storedResult = {
+      ...result,
+      claimId: claimRecord.id,
+      timestamp: claimRecord.verifiedAt,
+      claim: claimRecord.claim
+    };
+    this.verificationResults.push(storedResult);
+    this.persist(async store => {
+      await store.appendClaimUpdate(claimRecord);
+      await store.appendResult(storedResult);
+    });
+
+    // Track verification
+    analytics.trackVerification(claimRecord.id, result.isVerified, result.confidence);
+
+    return result;
+  }
+
+  /**
+   * Run the configured test command for a claim about test results. Only the checked-out
+   * code can be run, so a git claim about another commit, or a staged claim with other
+   * edits on disk, is skipped with a note.
+   * Resolves to null when the claim says nothing about test results or no command is set.
+   */
+  async runClaimedTests(claimRecord) {
+    // The command runs in a shell, so it only ever comes from the server's own workspace config -
+    // never from a workspace root the claim named
+    const root = this.workspaceRoot;
+    const config = await this.getConfig(root).catch(() => null);
+    if (!config?.tests || !parseTestClaim(claimRecord.claim)) return null;
+
+    if (claimRecord.mode === 'git' && claimRecord.head) {
+      const head = await new GitRepository(root).resolveRevision('HEAD').catch(() => null);
+      if (claimRecord.head !== head) {
+        return { skipped: true, notes: [`⏭️ Tests not run: ${claimRecord.revision} is not the checked-out commit`] };
+      }
+    }
+
+    // A commit-msg claim is about the staged snapshot, which the run only tests if nothing else is on disk
+    if (claimRecord.mode === 'git' && claimRecord.revision === 'staged' &&
+        await new GitRepository(root).hasUnstagedChanges().catch(() => true)) {
+      return { skipped: true, notes: ['⏭️ Tests not run: unstaged changes would be tested instead of the staged snapshot'] };
+    }
+
+    return this.testVerifier.verify(claimRecord.claim, root, config.tests)
+      .catch(error => ({ command: config.tests.command, passed: false, notes: [`❌ ${error.message}`] }));
+  }
+
+  /**
+   * Fold a test run into a verification result. The run decides claims that are only about
+   * test results ("All tests pass"); a claim of other work it can fail but not pass.
+   */
+  applyTestRun(result, testRun, claim) {
+    const statusOnly = !testRun.skipped && this.claimDetector.classifyAction(claim) === 'unknown';
+    result.tests = { ...testRun, ...(statusOnly && { decidesVerdict: true }) };
+    result.analysis = [result.analysis, ...testRun.notes].filter(Boolean).join('\n');
+    if (testRun.skipped) return;
+
+    // The notes behind the verdict, without their emoji
+    const summary = testRun.notes
+      .filter(note => note.startsWith(testRun.passed ? '✅' : '❌'))
+      .map(note => note.replace(/^\S+\s/u, ''))
+      .join('; ');
+
+    if (!testRun.passed) {
+      result.isVerified = false;
+      if (statusOnly) result.confidence = 0;
+      result.details = `Test run contradicts the claim: ${summary}. ${result.details}`;
+    } else if (statusOnly) {
+      result.isVerified = true;
+      result.confidence = 100;
+      result.details = `Test run confirms the claim: ${summary}`;
+    } else {
+      result.details = `${result.details}, test run confirms: ${summary}`;
+    }
+  }
+
+  /**
+   * Mark pending claims older than the TTL as expired and drop their snapshots
+   */
+  expireStaleClaims(now = Date.now()) {
+    for (const claimRecord of this.claims.values()) {
+      if (claimRecord.status !== 'pending') continue;
+
+      if (now - new Date(claimRecord.timestamp).getTime() > this.claimTtlMs) {
+        claimRecord.status = 'expired';
+        claimRecord.fileSnapshots = {};
+        this.persist(store => store.appendClaimUpdate(claimRecord));
+      }
+    }
+  }
+
+  /**
+   * Load claim history from the store
+   * Pending claims from a previous session have no snapshot contents left, so they expire
+   */
+  async loadStore() {
+    if (!this.store) return;
 
     try {
-      const result = await this.analyzeImplementation(claimRecord, updatedFileContents);
-      
-      // Store verification result
-      claimRecord.status = result.isVerified ? 'verified' : 'failed';
-      this.verificationResults.push({
-        ...result,
-        claimId,
-        timestamp: new Date().toISOString(),
-        claim: claimRecord.claim
-      });
+      const { claims, verificationResults, skipped } = await this.store.load();
+
+      for (const claimRecord of claims.values()) {
+        if (claimRecord.status === 'pending') {
+          claimRecord.status = 'expired';
+          claimRecord.fileSnapshots = {};
+          this.persist(store => store.appendClaimUpdate(claimRecord));
+        }
+      }
+
+      this.claims = claims;
+      this.verificationResults = verificationResults;
+
+      if (skipped > 0) {
+        console.error(`SlopWatch store: skipped ${skipped} unreadable log entries`);
+      }
+    } catch (error) {
+      console.error(`SlopWatch store unavailable: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a store write in the background - persistence failures never fail a tool call
+   */
+  persist(operation) {
+    if (!this.store) return;
+
+    this.persistQueue = this.persistQueue
+      .then(() => operation(this.store))
+      .then(async () => {
+        if (this.store.needsCompaction(this.claims, this.verificationResults)) {
+          const { dropped } = await this.store.compact();
+          this.forgetClaims(dropped);
+        }
+      })
+      .catch(error => console.error(`SlopWatch store write failed: ${error.message}`));
+  }
+
+  /**
+   * Drop compacted-away claims and their results in place, so claims
+   * registered while the log was being rewritten are kept
+   */
+  forgetClaims(ids) {
+    const dropped = new Set(ids);
+    for (const id of dropped) {
+      this.claims.delete(id);
+    }
+    for (let i = this.verificationResults.length - 1; i >= 0; i--) {
+      if (dropped.has(this.verificationResults[i].claimId)) this.verificationResults.splice(i, 1);
+    }
+  }
+
+  /**
+   * Let queued store writes land before the process exits
+   */
+  setupShutdown(httpServer = null) {
+    let shuttingDown = false;
+    const shutdown = async () => {
+      if (shuttingDown) return;
+      shuttingDown = true;
+
+      if (httpServer) await httpServer.close();
+      await this.persistQueue;
+      await analytics.flush();
+      process.exit(0);
+    };
+
+    // Over HTTP, sessions come and go - only a signal stops the server
+    if (!httpServer) this.server.onclose = shutdown;
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  }
+
+  /**
+   * Structured verdict for JSON responses and the HTTP API
+   */
+  verificationPayload(result, claimRecord) {
+    return {
+      claimId: claimRecord.id,
+      claim: claimRecord.claim,
+      verdict: result.isVerified ? 'PASSED' : 'FAILED',
+      confidence: result.confidence,
+      threshold: result.threshold,
+      scores: result.scores,
+      files: result.files,
+      keywords: result.keywords,
+      action: result.action,
+      stubs: result.stubs,
+      ...(result.ignored && { ignored: result.ignored }),
+      ...(result.tampering && { tampering: result.tampering }),
+      ...(result.tests && { tests: result.tests }),
+      details: result.details
+    };
+  }
+
+  formatVerificationResponse(result, claimRecord, format = this.responseFormat) {
+    const statusEmoji = result.isVerified ? '✅' : '❌';
+    const statusText = result.isVerified ? 'PASSED' : 'FAILED';
+
+    if (format === 'json') {
+      return this.formatJson(this.verificationPayload(result, claimRecord));
+    }
+
+    if (format === 'sarif') {
+      return this.formatJson(createSarifLog(verificationFindings(this.verificationPayload(result, claimRecord), { root: this.workspaceRoot })));
+    }
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `${statusEmoji} ${statusText} (${result.confidence}%)${result.tampering ? ' - tampering detected' : ''}`
+        }
+      ]
+    };
+  }
 
-      // Track verification
-      analytics.trackVerification(claimId, result.isVerified, result.confidence);
+  formatError(error, claimId, format = this.responseFormat) {
+    if (format === 'json') {
+      return this.formatJson({ claimId: claimId ?? null, verdict: 'ERROR', error: error.message });
+    }
 
-      const statusEmoji = result.isVerified ? '✅' : '❌';
-      const statusText = result.isVerified ? 'PASSED' : 'FAILED';
-      
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `${statusEmoji} ${statusText} (${result.confidence}%)`
-          }
-        ]
-      };
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ Error: ${error.message}`
-          }
-        ]
-      };
+    if (format === 'sarif') {
+      return this.formatJson(createSarifLog([
+        { ruleId: 'verification-error', level: 'error', message: { text: error.message }, properties: { claimId: claimId ?? null } }
+      ]));
     }
-  }
 
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ Error: ${error.message}`
+        }
+      ]
+    };
+  }
 
+  formatJson(payload) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(payload, null, 2)
+        }
+      ]
+    };
+  }
 
   async analyzeImplementation(claimRecord, updatedFileContents) {
     const { claim, files, fileSnapshots } = claimRecord;
+    const config = await this.getConfig(claimRecord.workspaceRoot);
     
     // If no files specified in original claim, but we have updated content, use those files
-    const filesToCheck = files.length > 0 ? files : Object.keys(updatedFileContents);
+    const candidateFiles = files.length > 0 ? files : Object.keys(updatedFileContents);
+    const ignoredFiles = candidateFiles.filter(filename => config.isIgnored(filename));
+    const filesToCheck = candidateFiles.filter(filename => !config.isIgnored(filename));
+    const threshold = config.thresholdFor(filesToCheck);
     
     if (filesToCheck.length === 0) {
       return {
         isVerified: false,
         confidence: 0,
-        details: 'No files specified for verification',
-        analysis: 'Cannot verify implementation without file content'
+        threshold,
+        details: ignoredFiles.length > 0 ? `All files are ignored by ${CONFIG_FILE}` : 'No files specified for verification',
+        analysis: 'Cannot verify implementation without file content',
+        files: [],
+        keywords: { matched: [], missing: [] },
+        stubs: [],
+        ...(ignoredFiles.length > 0 && { ignored: ignoredFiles }),
+        scores: {}
       };
     }
 
     let changedFiles = 0;
     let totalFiles = filesToCheck.length;
-    let analysisDetails = [];
-    let keywordMatches = 0;
+    let analysisDetails = ignoredFiles.map(filename => `⏭️ ${filename}: Ignored by ${CONFIG_FILE}`);
+    const fileResults = [];
+    const matchedKeywords = new Set();
+    const addedTexts = [];
+    const symbolChanges = [];
+    const stubs = [];
+    const fileContents = [];
 
-    // Extract keywords from the claim
-    const keywords = this.extractKeywords(claim);
+    // Extract keywords and explicitly named identifiers from the claim
+    const keywords = this.extractKeywords(claim, config.stopwords);
+    const identifiers = findClaimIdentifiers(claim);
+
+    // Removal claims are matched against what disappeared, everything else against what appeared
+    const action = this.claimDetector.classifyAction(claim);
     
     for (const filename of filesToCheck) {
       const updatedContent = updatedFileContents[filename] || '';
@@ -222,17 +1318,25 @@ class SlopWatchServer {
         if (originalHash !== currentHash && updatedContent.length > 0) {
           changedFiles++;
           
+          const diff = diffLines('', updatedContent);
+          const addedText = getAddedText(diff);
+          const symbols = this.analyzeSymbols('', updatedContent, filename);
+          const fileStubs = this.stubDetector.detect(filename, updatedContent, getAddedLineNumbers(diff));
+          addedTexts.push(addedText);
+          stubs.push(...fileStubs);
+          fileContents.push({ filename, before: '', after: updatedContent, diff, symbols });
+          if (symbols) symbolChanges.push({ filename, ...symbols });
+
           // Analyze content for keywords
-          const foundKeywords = keywords.filter(keyword => 
-            updatedContent.toLowerCase().includes(keyword.toLowerCase())
-          );
-          
-          keywordMatches += foundKeywords.length;
+          const foundKeywords = this.findKeywords(keywords, action === 'remove' ? '' : addedText);
+          foundKeywords.forEach(keyword => matchedKeywords.add(keyword));
+          fileResults.push({ filename, status: 'created', keywordsFound: foundKeywords, diff: summarizeDiff(diff), symbols, stubs: fileStubs.length });
           
           analysisDetails.push(
-            `✅ ${filename}: New file created (${foundKeywords.length} keywords found: ${foundKeywords.join(', ')})`
+            `✅ ${filename}: New file created (${this.formatDiffStats(diff, symbols)}; ${foundKeywords.length} keywords found: ${foundKeywords.join(', ')})`
           );
         } else {
+          fileResults.push({ filename, status: 'missing', keywordsFound: [] });
           analysisDetails.push(`❌ ${filename}: No content provided`);
         }
         continue;
@@ -242,207 +1346,719 @@ class SlopWatchServer {
       if (snapshot.hash !== currentHash) {
         changedFiles++;
         
-        // Analyze content changes for keywords
-        const addedContent = this.getAddedContent(snapshot.content || '', updatedContent);
-        const foundKeywords = keywords.filter(keyword => 
-          addedContent.toLowerCase().includes(keyword.toLowerCase())
-        );
-        
-        keywordMatches += foundKeywords.length;
+        // Analyze changed lines for keywords
+        const diff = diffLines(snapshot.content || '', updatedContent);
+        const addedText = getAddedText(diff);
+        const symbols = this.analyzeSymbols(snapshot.content || '', updatedContent, filename);
+        const fileStubs = this.stubDetector.detect(filename, updatedContent, getAddedLineNumbers(diff));
+        addedTexts.push(addedText);
+        stubs.push(...fileStubs);
+        fileContents.push({ filename, before: snapshot.content || '', after: updatedContent, diff, symbols });
+        if (symbols) symbolChanges.push({ filename, ...symbols });
+
+        const foundKeywords = this.findKeywords(keywords, action === 'remove' ? getRemovedText(diff) : addedText);
+        foundKeywords.forEach(keyword => matchedKeywords.add(keyword));
+        fileResults.push({ filename, status: 'modified', keywordsFound: foundKeywords, diff: summarizeDiff(diff), symbols, stubs: fileStubs.length });
         
         analysisDetails.push(
-          `✅ ${filename}: Modified (${foundKeywords.length} keywords found: ${foundKeywords.join(', ')})`
+          `✅ ${filename}: Modified (${this.formatDiffStats(diff, symbols)}; ${foundKeywords.length} keywords found: ${foundKeywords.join(', ')})`
         );
       } else {
+        fileContents.push({ filename, before: snapshot.content || '', after: updatedContent, diff: null, symbols: null });
+        fileResults.push({ filename, status: 'unchanged', keywordsFound: [] });
         analysisDetails.push(`❌ ${filename}: No changes detected`);
       }
     }
 
-    // Calculate confidence based on multiple factors
-    const fileChangeScore = (changedFiles / totalFiles) * 60; // 60% weight for file changes
-    const keywordScore = Math.min((keywordMatches / keywords.length) * 40, 40); // 40% weight for keyword matches
-    const confidence = Math.round(fileChangeScore + keywordScore);
+    // Removals and renames are judged on named things disappearing/appearing,
+    // updates must touch existing lines rather than only append new ones
+    const actionCheck = this.verifyAction(action, claim, identifiers, keywords, fileContents);
+
+    // Named identifiers are checked against parsed declarations when any file could be parsed
+    const symbolMatch = !actionCheck?.targets && identifiers.length > 0 && symbolChanges.length > 0 ?
+      this.matchIdentifiers(identifiers, symbolChanges, addedTexts, stubs) : null;
+
+    // Domain claims ("accessible", "secure", "tested") need matching code among the added lines
+    const domainChecks = action === 'remove' || changedFiles === 0 ? [] : this.checkDomains(claim, fileContents);
+    const missingDomains = domainChecks.filter(check => !check.passed);
+
+    // Calculate confidence based on multiple factors, weighted per the project config:
+    // files/keywords, files/keywords/symbols when the claim names identifiers,
+    // or files/keywords/action for removals and renames
+    const profileWeights = actionCheck?.targets ? config.weights.action :
+      symbolMatch ? config.weights.symbols :
+      config.weights.default;
+
+    // A revision's files all come from its own diff, so there changing files proves nothing:
+    // the file share goes to the changed files the claim names, or to the other factors when it names none
+    const namedFiles = claimRecord.mode === 'git' ? this.findNamedFiles(claim, filesToCheck) : null;
+    const weights = namedFiles && namedFiles.length === 0 ? withoutFileWeight(profileWeights) : profileWeights;
+    const namedChanged = namedFiles ?
+      fileResults.filter(result => namedFiles.includes(result.filename) && result.status !== 'unchanged' && result.status !== 'missing').length : 0;
+
+    const fileChangeScore = !namedFiles ? (changedFiles / totalFiles) * weights.fileChanges :
+      namedFiles.length > 0 ? (namedChanged / namedFiles.length) * weights.fileChanges : 0;
+    const keywordScore = keywords.length > 0 ?
+      Math.min((matchedKeywords.size / keywords.length) * weights.keywords, weights.keywords) : 0;
+    const symbolScore = symbolMatch ? symbolMatch.ratio * weights.symbols : 0;
+    const actionScore = actionCheck?.targets ? actionCheck.ratio * weights.action : 0;
+    const actionPenalty = actionCheck && !actionCheck.targets && !actionCheck.passed ? 30 : 0;
+    const domainPenalty = Math.min(missingDomains.length * DOMAIN_PENALTY, MAX_DOMAIN_PENALTY);
+
+    // Placeholders in the added code cost 15 points each (max 45)
+    // and fail outright when the claim presents the work as finished
+    const stubPenalty = Math.min(stubs.length * 15, 45);
+    const assertsCompletion = this.claimDetector.assertsCompletion(claim);
+    const confidence = Math.max(0, Math.round(fileChangeScore + keywordScore + symbolScore + actionScore - stubPenalty - actionPenalty - domainPenalty));
+
+    if (actionCheck) {
+      analysisDetails.push(...actionCheck.notes);
+    }
+    for (const stub of stubs) {
+      analysisDetails.push(`⚠️ ${stub.file}:${stub.line}: ${stub.description}`);
+    }
+    for (const identifier of symbolMatch?.stubbed || []) {
+      analysisDetails.push(`❌ ${identifier} is declared, but with a placeholder inside - no symbol credit`);
+    }
+    for (const check of domainChecks) {
+      analysisDetails.push(check.passed ?
+        `✅ ${check.label} evidence: ${check.evidence.slice(0, 3).map(match => `${match.label} at ${match.file}:${match.line}`).join(', ')}` :
+        `❌ No ${check.label} evidence in the changed code`);
+      for (const concern of check.concerns) {
+        analysisDetails.push(`⚠️ ${concern.file}:${concern.line}: ${concern.label} (${check.label})`);
+      }
+    }
     
-    const isVerified = confidence >= 50; // Require at least 50% confidence
+    // Claims scanned from a response share one diff and a revision's files come from its own diff,
+    // so a changed file alone proves nothing - each claim needs a keyword, named symbol or action target in the change
+    const lacksEvidence = (claimRecord.source === 'scan_response' || claimRecord.mode === 'git') &&
+      matchedKeywords.size === 0 &&
+      namedChanged === 0 &&
+      !(symbolMatch && symbolMatch.matched.length > 0) &&
+      !(actionCheck?.targets && actionCheck.passed) &&
+      !domainChecks.some(check => check.passed);
+    if (lacksEvidence) {
+      analysisDetails.push('❌ No evidence for this claim in the changed code');
+    }
+
+    // Require the threshold for these files, no placeholders behind a "done" claim and a satisfied action strategy.
+    // A domain without evidence only costs points - the domain words are a guess at what the claim is about
+    const isVerified = confidence >= threshold &&
+      !(stubs.length > 0 && assertsCompletion) &&
+      (!actionCheck || actionCheck.passed) &&
+      !lacksEvidence;
+    const stubSummary = stubs.length > 0 ? `, ${stubs.length} placeholders left in code` : '';
     
     return {
       isVerified,
       confidence,
+      threshold,
       details: isVerified ? 
-        `Implementation verified: ${changedFiles}/${totalFiles} files modified, ${keywordMatches}/${keywords.length} keywords found` :
-        `Implementation failed: ${changedFiles}/${totalFiles} files modified, ${keywordMatches}/${keywords.length} keywords found`,
-      analysis: analysisDetails.join('\n')
+        `Implementation verified: ${changedFiles}/${totalFiles} files modified, ${matchedKeywords.size}/${keywords.length} keywords found${stubSummary}` :
+        `Implementation failed: ${changedFiles}/${totalFiles} files modified, ${matchedKeywords.size}/${keywords.length} keywords found${stubSummary}`,
+      analysis: analysisDetails.join('\n'),
+      files: fileResults,
+      keywords: {
+        matched: keywords.filter(keyword => matchedKeywords.has(keyword)),
+        missing: keywords.filter(keyword => !matchedKeywords.has(keyword))
+      },
+      stubs,
+      ...(ignoredFiles.length > 0 && { ignored: ignoredFiles }),
+      ...(lacksEvidence && { missingEvidence: true }),
+      ...(domainChecks.length > 0 && { domains: domainChecks }),
+      action: actionCheck ? { type: action, strategy: actionCheck.strategy, targets: actionCheck.targets, passed: actionCheck.passed } : { type: action, strategy: 'additions' },
+      scores: {
+        fileChanges: {
+          score: Math.round(fileChangeScore),
+          weight: weights.fileChanges,
+          changed: changedFiles,
+          total: totalFiles,
+          ...(namedFiles && { named: namedFiles })
+        },
+        keywords: { score: Math.round(keywordScore), weight: weights.keywords, matches: matchedKeywords.size, total: keywords.length },
+        ...(actionCheck && {
+          action: actionCheck.targets ?
+            { score: Math.round(actionScore), weight: weights.action, strategy: actionCheck.strategy } :
+            { score: -actionPenalty, strategy: actionCheck.strategy }
+        }),
+        ...(domainChecks.length > 0 && {
+          domains: { score: -domainPenalty, checked: domainChecks.map(check => check.domain), missing: missingDomains.map(check => check.domain) }
+        }),
+        ...(stubs.length > 0 && {
+          stubs: { score: -stubPenalty, count: stubs.length, forcedFailure: assertsCompletion }
+        }),
+        ...(symbolMatch && {
+          symbols: {
+            score: Math.round(symbolScore),
+            weight: weights.symbols,
+            matched: symbolMatch.matched,
+            textOnly: symbolMatch.textOnly,
+            stubbed: symbolMatch.stubbed,
+            missing: symbolMatch.missing
+          }
+        })
+      }
     };
   }
 
-  extractKeywords(claim) {
+  extractKeywords(claim, stopwords = new Set(DEFAULT_STOPWORDS)) {
     // Extract meaningful keywords from the claim
     const words = claim.toLowerCase()
       .replace(/[^\w\s]/g, ' ')
       .split(/\s+/)
       .filter(word => word.length > 3)
-      .filter(word => !['will', 'add', 'create', 'implement', 'function', 'method', 'file', 'code'].includes(word));
+      .filter(word => !stopwords.has(word));
     
     return [...new Set(words)]; // Remove duplicates
   }
 
-  getAddedContent(oldContent, newContent) {
-    // Simple diff to find added content
-    const oldLines = oldContent.split('\n');
-    const newLines = newContent.split('\n');
-    
-    const addedLines = [];
-    for (let i = 0; i < newLines.length; i++) {
-      if (!oldLines.includes(newLines[i])) {
-        addedLines.push(newLines[i]);
+  /**
+   * Changed files the claim names ("in auth.js", "src/api/client.ts"), by path or basename
+   */
+  findNamedFiles(claim, filenames) {
+    const mentions = claim.match(/[\w@~-][\w./@~-]*\.[a-z][a-z0-9]{0,5}\b/gi) || [];
+    return filenames.filter(filename => mentions.some(mention => {
+      const path = mention.replace(/^\.\//, '');
+      return filename === path || filename.endsWith(`/${path}`);
+    }));
+  }
+
+  findKeywords(keywords, content) {
+    const lowerContent = content.toLowerCase();
+    return keywords.filter(keyword => lowerContent.includes(keyword.toLowerCase()));
+  }
+
+  formatDiffStats(diff, symbols) {
+    const { added, removed, modified } = diff.stats;
+    const lineStats = `+${added} -${removed} ~${modified} lines`;
+
+    if (!symbols) return lineStats;
+    return `${lineStats}, +${symbols.added.length} -${symbols.removed.length} ~${symbols.changed.length} symbols`;
+  }
+
+  analyzeSymbols(oldContent, newContent, filename) {
+    if (!isParsableFile(filename)) return null;
+    return diffSymbols(oldContent, newContent, filename);
+  }
+
+  /**
+   * Classify each identifier named in the claim
+   * A declaration-level match scores 1, a mere mention in added text (comments, strings) 0.2
+   */
+  matchIdentifiers(identifiers, symbolChanges, addedTexts, stubs = []) {
+    const matched = [];
+    const textOnly = [];
+    const stubbed = [];
+    const missing = [];
+    const addedText = addedTexts.join('\n').toLowerCase();
+
+    for (const identifier of identifiers) {
+      const declarations = symbolChanges.flatMap(changes =>
+        [...changes.added, ...changes.changed]
+          .filter(symbol => symbolMatches(symbol, identifier))
+          .map(symbol => ({ ...symbol, file: changes.filename })));
+
+      // A declaration with a placeholder inside it is not an implementation and earns nothing
+      const implemented = declarations.filter(symbol => !stubs.some(stub =>
+        stub.file === symbol.file && stub.line >= symbol.line && stub.line <= (symbol.endLine ?? symbol.line)));
+
+      if (implemented.length > 0) {
+        matched.push(identifier);
+      } else if (declarations.length > 0) {
+        stubbed.push(identifier);
+      } else if (addedText.includes(identifier.toLowerCase())) {
+        textOnly.push(identifier);
+      } else {
+        missing.push(identifier);
       }
     }
-    
-    return addedLines.join('\n');
+
+    const ratio = (matched.length + textOnly.length * 0.2) / identifiers.length;
+    return { matched, textOnly, stubbed, missing, ratio };
+  }
+
+  /**
+   * Evidence for each technical domain the claim names, searched in the added lines only
+   */
+  checkDomains(claim, fileContents) {
+    const addedLines = fileContents
+      .filter(entry => entry.diff)
+      .flatMap(entry => getAddedLines(entry.diff).map(({ line, content }) => ({ file: entry.filename, line, content })));
+
+    return domainsForClaim(claim, this.claimDetector).map(domain => {
+      const evidence = findDomainEvidence(domain, addedLines);
+      const strip = ({ file, line, label }) => ({ file, line, label });
+      return {
+        domain,
+        label: evidence.label,
+        passed: evidence.supporting.length > 0,
+        evidence: evidence.supporting.slice(0, MAX_DOMAIN_MATCHES).map(strip),
+        concerns: evidence.contradicting.slice(0, MAX_DOMAIN_MATCHES).map(strip)
+      };
+    });
+  }
+
+  /**
+   * Pick a verification strategy from the claim's action
+   * Returns null for additive actions, which the keyword/symbol scoring already covers
+   */
+  verifyAction(action, claim, identifiers, keywords, fileContents) {
+    switch (action) {
+      case 'remove':
+        return this.verifyRemoval(claim, identifiers, keywords, fileContents);
+      case 'rename':
+        return this.verifyRename(claim, identifiers, fileContents);
+      case 'update':
+        return this.verifyUpdate(fileContents);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Each named thing - identifier, quoted name or imported package - must have been present
+   * before and be gone afterwards. A claim naming none is judged on its descriptive keywords:
+   * one of them has to go, and words the old code never contained count for nothing
+   */
+  verifyRemoval(claim, identifiers, keywords, fileContents) {
+    const verbs = new Set(Object.values(this.claimDetector.actionVerbs).flat());
+    const words = keywords.filter(keyword => !verbs.has(keyword));
+    const packages = words.filter(word => fileContents.some(file => this.namesPackage(file.before, word)));
+    const required = [...new Set([...identifiers, ...findQuotedNames(claim), ...packages])];
+    const descriptive = required.length === 0;
+
+    const targets = (descriptive ? words : required).map(name => {
+      const wasPresent = fileContents.some(file => this.mentions(file.before, name));
+      const stillPresent = fileContents.some(file => this.mentions(file.after, name));
+      const status = !wasPresent ? 'not_found' : stillPresent ? 'still_present' : 'removed';
+      return descriptive ? { name, status, descriptive } : { name, status };
+    });
+
+    const counted = descriptive ? targets.filter(target => target.status !== 'not_found') : targets;
+    const removed = counted.filter(target => target.status === 'removed').length;
+    const ratio = counted.length > 0 ? removed / counted.length : 0;
+
+    return {
+      strategy: 'removal',
+      targets,
+      ratio,
+      passed: descriptive ? removed > 0 : targets.length > 0 && removed === targets.length,
+      notes: targets.map(target => {
+        switch (target.status) {
+          case 'removed':
+            return `✅ ${target.name}: removed`;
+          case 'still_present':
+            return target.descriptive ? `⚠️ ${target.name}: still present after the change` : `❌ ${target.name}: still present after the change`;
+          default:
+            return target.descriptive ? `⚪ ${target.name}: not in the code before the change - not counted` : `❌ ${target.name}: not found before the change`;
+        }
+      })
+    };
+  }
+
+  /**
+   * The old name must be gone and the new name must have been introduced
+   */
+  verifyRename(claim, identifiers, fileContents) {
+    const pair = this.parseRename(claim, identifiers);
+    if (!pair) {
+      return {
+        strategy: 'rename',
+        targets: [],
+        ratio: 0,
+        passed: false,
+        notes: ['❌ Rename claim does not name both the old and new name ("rename X to Y")']
+      };
+    }
+
+    const oldWasPresent = fileContents.some(file => this.mentions(file.before, pair.from));
+    const oldStillPresent = fileContents.some(file => this.mentions(file.after, pair.from));
+    const newPresent = fileContents.some(file => this.mentions(file.after, pair.to));
+    const newWasPresent = fileContents.some(file => this.mentions(file.before, pair.to));
+
+    const targets = [
+      { name: pair.from, role: 'old', status: !oldWasPresent ? 'not_found' : oldStillPresent ? 'still_present' : 'removed' },
+      { name: pair.to, role: 'new', status: !newPresent ? 'missing' : newWasPresent ? 'already_present' : 'introduced' }
+    ];
+    const ratio = ((targets[0].status === 'removed' ? 1 : 0) + (targets[1].status === 'introduced' ? 1 : 0)) / 2;
+
+    return {
+      strategy: 'rename',
+      targets,
+      ratio,
+      passed: ratio === 1,
+      notes: [
+        targets[0].status === 'removed' ? `✅ ${pair.from}: old name gone` : `❌ ${pair.from}: old name ${targets[0].status.replace('_', ' ')}`,
+        targets[1].status === 'introduced' ? `✅ ${pair.to}: new name introduced` : `❌ ${pair.to}: new name ${targets[1].status.replace('_', ' ')}`
+      ]
+    };
+  }
+
+  parseRename(claim, identifiers) {
+    const match = claim.match(/renam\w*\s+(?:the\s+)?(?:\w+\s+)?`?([A-Za-z_$][\w$.]*)`?\s+(?:to|as|into|→|->)\s+`?([A-Za-z_$][\w$.]*)`?/i);
+    if (match) return { from: match[1], to: match[2] };
+
+    if (identifiers.length === 2) return { from: identifiers[0], to: identifiers[1] };
+    return null;
+  }
+
+  /**
+   * An update has to change or remove existing lines, not just append new code
+   */
+  verifyUpdate(fileContents) {
+    const touched = fileContents
+      .filter(file => file.diff && file.before)
+      .reduce((total, file) => total + file.diff.stats.modified + file.diff.stats.removed, 0);
+
+    return {
+      strategy: 'touch_existing',
+      passed: touched > 0,
+      notes: [touched > 0 ?
+        `✅ Update touched ${touched} existing lines` :
+        '❌ Update claim only added new lines - no existing code was changed']
+    };
+  }
+
+  // Imported or required as a module (from 'lodash', require("lodash/fp")) or a package.json key
+  namesPackage(content, name) {
+    if (!content) return false;
+
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?:\\bfrom\\s+|\\bimport\\s*\\(?\\s*|\\brequire\\s*\\(\\s*)['"]${escaped}(?:/[^'"\\s]*)?['"]|"${escaped}"\\s*:`, 'i').test(content);
+  }
+
+  mentions(content, name) {
+    if (!content) return false;
+
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`, 'i').test(content);
   }
 
-  async handleStatus(args) {
-    const totalClaims = this.claims.size;
-    const verifiedClaims = this.verificationResults.filter(r => r.isVerified).length;
-    const accuracy = totalClaims > 0 ? Math.round((verifiedClaims / totalClaims) * 100) : 100;
+  async handleStatus(args = {}) {
+    const { window, responseFormat = this.responseFormat } = args;
+
+    this.expireStaleClaims();
+    const stats = computeStats(this.claims, this.verificationResults, { window, detector: this.claimDetector });
+
+    if (responseFormat === 'json') {
+      return this.formatJson(stats);
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: `Accuracy: ${accuracy}% (${verifiedClaims}/${totalClaims})`
+          text: formatStats(stats)
         }
       ]
     };
   }
 
+  async handleHistory(args = {}) {
+    const { responseFormat = this.responseFormat } = args;
+
+    try {
+      this.expireStaleClaims();
+      const page = queryClaims(this.claims, this.verificationResults, args);
+
+      if (responseFormat === 'json') {
+        return this.formatJson(page);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatHistory(page)
+          }
+        ]
+      };
+    } catch (error) {
+      return this.formatError(error, null, responseFormat);
+    }
+  }
+
+  async handleExplain(args) {
+    const { claimId, responseFormat = this.responseFormat } = args;
+
+    try {
+      const claimRecord = this.claims.get(claimId);
+      if (!claimRecord) {
+        throw new Error(`Unknown claim ID: ${claimId}`);
+      }
+
+      const result = latestResults(this.verificationResults).get(claimId) || null;
+
+      if (responseFormat === 'json') {
+        const { fileSnapshots, ...claim } = claimRecord;
+        return this.formatJson({
+          claim,
+          ...(result && {
+            verdict: result.isVerified ? 'PASSED' : 'FAILED',
+            explanation: explainVerdict(result),
+            result
+          })
+        });
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatExplanation(claimRecord, result)
+          }
+        ]
+      };
+    } catch (error) {
+      return this.formatError(error, claimId, responseFormat);
+    }
+  }
+
   async handleSetupRules(args) {
-    const { project_path, overwrite = false } = args;
-    
-    // Return updated rules content for v2.6.0 with combined tool and minimal responses
-    const rulesContent = `# SlopWatch AI Accountability Rules v2.6.0
-
-## MANDATORY PROTOCOL
-
-### OPTION 1: COMBINED TOOL (RECOMMENDED ⭐)
-For most implementations, use the single-call approach:
-\`\`\`
-mcp_SlopWatch_slopwatch_claim_and_verify({
-  claim: "What you implemented",
-  originalFileContents: { "filename": "before_content" },
-  updatedFileContents: { "filename": "after_content" }
-});
-// Response: "✅ PASSED (87%)" or "❌ FAILED (23%)"
-\`\`\`
-
-### OPTION 2: TRADITIONAL 2-STEP (WHEN NEEDED)
-For pre-planning implementations:
-\`\`\`
-// Step 1: Before implementing
-mcp_SlopWatch_slopwatch_claim({
-  claim: "What you're about to implement",
-  fileContents: { "filename": "current_content" }
-});
-// Response: "Claim ID: abc123"
-
-// Step 2: After implementing  
-mcp_SlopWatch_slopwatch_verify({
-  claimId: "abc123",
-  updatedFileContents: { "filename": "updated_content" }
-});
-// Response: "✅ PASSED (92%)" or "❌ FAILED (15%)"
-\`\`\`
-
-## TRIGGER PHRASES
-When you mention ANY of these, you MUST use SlopWatch:
-- "I will implement/add/create/modify/fix/update/build/write"
-- "Let me implement/add/create/modify/fix/update"
-- "I'll add/create/implement/modify/fix/update"
-
-## ENFORCEMENT RULES
-
-### NEVER SKIP VERIFICATION
-- Every implementation claim requires verification
-- No exceptions for "simple" changes
-- Failed verification = STOP and fix immediately
-
-### ULTRA-MINIMAL RESPONSES (v2.6.0)
-SlopWatch now returns minimal responses:
-- Claim: "Claim ID: abc123"
-- Verify: "✅ PASSED (87%)" or "❌ FAILED (23%)"
-- Combined: "✅ PASSED (87%)" or "❌ FAILED (23%)"
-- Status: "Accuracy: 95% (19/20)"
-
-### WORKFLOW PATTERNS
-
-#### RECOMMENDED: Combined Tool Workflow
-\`\`\`
-I'll implement [feature]. Let me verify it with SlopWatch.
-
-[Implement the code changes]
-
-[Call mcp_SlopWatch_slopwatch_claim_and_verify with before/after content]
-
-✅ PASSED (87%) - Implementation verified!
-\`\`\`
-
-#### ALTERNATIVE: Traditional Workflow  
-\`\`\`
-I'll implement [feature]. Let me register this with SlopWatch first.
-
-[Call mcp_SlopWatch_slopwatch_claim]
-Claim ID: abc123
-
-[Implement the code changes]
-
-[Call mcp_SlopWatch_slopwatch_verify]
-✅ PASSED (92%) - Implementation verified!
-\`\`\`
-
-#### FAILURE HANDLING
-\`\`\`
-❌ FAILED (23%) - SlopWatch verification failed.
-Let me analyze and fix the implementation.
-[Fix the code and verify again]
-\`\`\`
-
-## SPECIAL CASES
-
-### NO CLAIM NEEDED:
-- Reading/analyzing code
-- Explaining existing code  
-- Answering questions
-- Code reviews
-
-### REQUIRES CLAIMS:
-- Creating/modifying files
-- Adding functions/classes
-- Configuration changes
-- Package installations
-
-## EMERGENCY BYPASS
-Only if SlopWatch is unavailable:
-"⚠️ SlopWatch unavailable - proceeding without verification"
-
-Remember: SlopWatch v2.6.0 features ultra-minimal responses and combined tools for seamless AI accountability.`;
+    const { project_path, targets = ['cursor'], overwrite = false } = args;
+
+    // Rule files are only ever written inside the workspace
+    let projectPath;
+    try {
+      if (!Array.isArray(targets) || !targets.every(target => Object.hasOwn(RULE_TARGETS, target))) {
+        throw new Error(`targets must be an array of: ${Object.keys(RULE_TARGETS).join(', ')}`);
+      }
+
+      projectPath = this.resolveWorkspaceRoot(project_path || '.');
+      const stat = await fs.stat(projectPath);
+      if (!stat.isDirectory()) {
+        throw new Error(`Not a directory: ${project_path}`);
+      }
+    } catch (error) {
+      return { ...this.formatError(error, null, 'text'), isError: true };
+    }
+
+    const rules = generateRules({ version: VERSION, tools: await this.getEnabledToolDefinitions() });
+
+    const results = [];
+    for (const target of [...new Set(targets)]) {
+      try {
+        results.push(await writeRulesFile(projectPath, target, rules, { overwrite }));
+      } catch (error) {
+        results.push({ target, file: RULE_TARGETS[target] || target, status: 'error', error: error.message });
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'error');
+    analytics.trackRulesSetup(failed.length === 0, results.some(result => result.hadExisting));
+
+    const lines = results.map(result => result.status === 'error' ?
+      `❌ ${result.file}: ${result.error}` :
+      `✅ ${result.file} ${result.status}`);
+
+    // Hand the rules back so the agent can write whatever could not be written here
+    if (failed.length > 0) {
+      lines.push('', rules);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: lines.join('\n')
+        }
+      ]
+    };
+  }
+
+  async handleAnalyzeClaim(args) {
+    const { claim, workspaceDir, fileTypes = DEFAULT_FILE_TYPES, maxFiles = DEFAULT_MAX_FILES, baseRevision, scope = 'changes', responseFormat } = args;
+
+    try {
+      if (!claim) {
+        throw new Error('A claim is required');
+      }
+
+      const dir = this.resolveWorkspaceRoot(workspaceDir);
+
+      const result = await this.evidenceAnalyzer.performLieDetection(claim, dir, fileTypes, maxFiles, { baseRevision, scope });
+      if (responseFormat === 'sarif') {
+        return this.formatJson(createSarifLog(analysisFindings(result, { root: dir })));
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: this.evidenceAnalyzer.formatAnalysisResult(result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Analysis failed: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async handleGetStatus(args = {}) {
+    const { detailed = false } = args;
+
+    const status = {
+      name: 'SlopWatch MCP Server',
+      version: VERSION,
+      status: 'operational',
+      toolSets: await this.getEnabledToolSets(),
+      capabilities: (await this.getEnabledToolDefinitions()).map(tool => tool.name),
+      uptime: process.uptime()
+    };
+
+    if (detailed) {
+      status.memory = process.memoryUsage();
+      status.platform = process.platform;
+      status.nodeVersion = process.version;
+    }
 
     return {
       content: [
         {
           type: 'text',
-          text: rulesContent
+          text: `🔥 SlopWatch MCP Server Status\n\n${JSON.stringify(status, null, 2)}`
         }
       ]
     };
   }
 
-  async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    console.error('SlopWatch MCP Server v2.7.0 running on stdio (MCP Resource Mode)');
+  /**
+   * Serve over stdio, or over HTTP with --http (or SLOPWATCH_TRANSPORT=http)
+   * HTTP options: port, host, token, corsOrigins - see src/http.js for the environment equivalents
+   */
+  async run(options = {}) {
+    await this.loadStore();
+    await this.getConfig().catch(error => console.error(`SlopWatch config: ${error.message}`));
+
+    const transport = options.transport || process.env.SLOPWATCH_TRANSPORT || 'stdio';
+    if (transport === 'http') {
+      const httpServer = new SlopWatchHttpServer(this, options);
+      const address = await httpServer.listen();
+      this.setupShutdown(httpServer);
+      console.error(`SlopWatch MCP Server v${VERSION} listening on http://${address.address}:${address.port} (MCP at /mcp)`);
+      return httpServer;
+    }
+
+    this.setupShutdown();
+
+    const stdioTransport = new StdioServerTransport();
+    await this.server.connect(stdioTransport);
+    console.error(`SlopWatch MCP Server v${VERSION} running on stdio (MCP Resource Mode)`);
+  }
+}
+
+/**
+ * Names a claim puts in quotes: 'lodash', "legacy-auth"
+ */
+function findQuotedNames(claim) {
+  return [...claim.matchAll(/(?<![\w'"])['"]([\w@$./-]+)['"](?![\w'"])/g)].map(match => match[1]);
+}
+
+// A string or array here would otherwise register its indexes as file names
+function assertFileContents(contents, name) {
+  const valid = contents !== null && typeof contents === 'object' && !Array.isArray(contents) &&
+    Object.values(contents).every(content => typeof content === 'string');
+  if (!valid) {
+    throw new Error(`${name} must be an object of filename -> content strings`);
+  }
+}
+
+/**
+ * Weights with the file share spread over the remaining factors in proportion
+ */
+function withoutFileWeight(weights) {
+  const { fileChanges, ...rest } = weights;
+  const restTotal = Object.values(rest).reduce((sum, weight) => sum + weight, 0);
+  if (restTotal === 0) return weights;
+
+  const scaled = { fileChanges: 0 };
+  for (const [factor, weight] of Object.entries(rest)) {
+    scaled[factor] = Math.round(weight + (fileChanges * weight) / restTotal);
+  }
+  return scaled;
+}
+
+// Start the server when run directly (resolving the npm bin symlink), not when imported
+function isMainModule() {
+  try {
+    return realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Run options from the command line: --http, --port <n>, --host <address>
+ */
+function parseRunOptions(args) {
+  const options = {};
+  if (args.includes('--http')) options.transport = 'http';
+
+  for (const flag of ['port', 'host']) {
+    const index = args.indexOf(`--${flag}`);
+    if (index !== -1 && args[index + 1]) options[flag] = args[index + 1];
+  }
+  return options;
+}
+
+/**
+ * Command line entry point: serve MCP, `watch` the workspace for commits and edits,
+ * install or run git `hooks`, or with --test-rules <pack> [files...] [--claim "text"] show what a rule pack finds in sample files
+ */
+async function main(args = process.argv.slice(2)) {
+  if (args[0] === 'watch') {
+    const { AutoSlopWatch } = await import('./auto-monitor.js');
+    const debounceIndex = args.indexOf('--debounce');
+    const monitor = new AutoSlopWatch({
+      debounceMs: debounceIndex === -1 ? undefined : Number(args[debounceIndex + 1]) || undefined
+    });
+    monitor.handleSignals();
+    await monitor.start();
+    return;
+  }
+
+  if (args[0] === 'hooks') {
+    const { runHooksCommand } = await import('./hooks.js');
+    process.exitCode = await runHooksCommand(args.slice(1), new SlopWatchServer());
+    return;
+  }
+
+  if (args.includes('--test-rules')) {
+    const rest = args.slice(args.indexOf('--test-rules') + 1);
+    const claimIndex = rest.indexOf('--claim');
+    const claim = claimIndex === -1 ? null : rest[claimIndex + 1];
+    const [packPath, ...files] = claimIndex === -1 ? rest : [...rest.slice(0, claimIndex), ...rest.slice(claimIndex + 2)];
+
+    if (!packPath) {
+      console.error('Usage: slopwatch-mcp-server --test-rules <pack.js|pack.json|.slopwatch.json> [files...] [--claim "text"]');
+      process.exitCode = 1;
+      return;
+    }
+
+    try {
+      console.log(await new EvidenceAnalyzer().testRulePack(packPath, files, claim));
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+    return;
   }
+
+  const server = new SlopWatchServer();
+  await server.run(parseRunOptions(args));
+}
+
+if (isMainModule()) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
 }
 
-// Start the server
-const server = new SlopWatchServer();
-server.run().catch(console.error); 
\ No newline at end of file
+export { SlopWatchServer, main }; 
\ No newline at end of file
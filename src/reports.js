@@ -0,0 +1,107 @@
+/**
+ * Reports - verification reports for CI: a plain-text summary and JUnit XML.
+ * A report lists each claim with the checks it went through:
+ * { command, revision, verdict, passed, failed, claims: [{ claim, claimId, commit,
+ *   verdict, confidence, checks: [{ name, verdict, confidence, threshold, details }] }] }
+ */
+
+function escapeXml(value) {
+  return String(value)
+    // Characters XML 1.0 cannot carry at all
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function checkSummary(check) {
+  const threshold = check.threshold !== undefined ? `, threshold ${check.threshold}%` : '';
+  return `${check.verdict} (${check.confidence}%${threshold})`;
+}
+
+/**
+ * Emoji summary, one line per claim with its checks underneath
+ */
+function formatTextReport(report) {
+  const lines = [];
+  const scope = report.revision ? ` (${report.revision})` : '';
+
+  if (report.claims.length === 0) {
+    return `⚪ No implementation claims detected${scope}`;
+  }
+
+  lines.push(`🎯 SlopWatch ${report.command}: ${report.claims.length} claim${report.claims.length === 1 ? '' : 's'}${scope}`);
+  for (const entry of report.claims) {
+    const commit = entry.commit ? `${entry.commit.slice(0, 7)} ` : '';
+    lines.push(`${entry.verdict === 'PASSED' ? '✅ PASSED' : '❌ FAILED'} (${entry.confidence}%) ${commit}${entry.claim}`);
+
+    for (const check of entry.checks) {
+      lines.push(`   ${check.verdict === 'PASSED' ? '✅' : '❌'} ${check.name}: ${checkSummary(check)} ${check.details || ''}`.trimEnd());
+    }
+    if (entry.error) {
+      lines.push(`   ⚠️ ${entry.error}`);
+    }
+  }
+
+  lines.push('');
+  lines.push(report.failed === 0 ?
+    `✅ PASSED (${report.passed}/${report.claims.length} claims verified)` :
+    `❌ FAILED (${report.failed}/${report.claims.length} claims failed)`);
+
+  return lines.join('\n');
+}
+
+/**
+ * JUnit XML - one test case per claim and check, so CI lists each failed check
+ */
+function formatJUnitReport(report, timestamp = new Date().toISOString()) {
+  const cases = report.claims.flatMap(entry => {
+    const name = `${entry.commit ? `${entry.commit.slice(0, 7)} ` : ''}${entry.claim}`;
+
+    if (entry.error) {
+      return [{ classname: 'slopwatch', name, error: entry.error }];
+    }
+
+    return entry.checks.map(check => ({
+      classname: `slopwatch.${check.name}`,
+      name,
+      failure: check.verdict === 'PASSED' ? null : {
+        message: `${checkSummary(check)}${entry.claimId ? ` - claim ${entry.claimId}` : ''}`,
+        body: check.details || ''
+      }
+    }));
+  });
+
+  const failures = cases.filter(testCase => testCase.failure).length;
+  const errors = cases.filter(testCase => testCase.error).length;
+  const suiteName = `slopwatch ${report.command}${report.revision ? ` ${report.revision}` : ''}`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="slopwatch" tests="${cases.length}" failures="${failures}" errors="${errors}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}" errors="${errors}" timestamp="${timestamp}">`
+  ];
+
+  for (const testCase of cases) {
+    const open = `    <testcase classname="${escapeXml(testCase.classname)}" name="${escapeXml(testCase.name)}"`;
+    if (testCase.failure) {
+      lines.push(`${open}>`);
+      lines.push(`      <failure message="${escapeXml(testCase.failure.message)}" type="unsupported-claim">${escapeXml(testCase.failure.body)}</failure>`);
+      lines.push('    </testcase>');
+    } else if (testCase.error) {
+      lines.push(`${open}>`);
+      lines.push(`      <error message="${escapeXml(testCase.error)}" type="verification-error"/>`);
+      lines.push('    </testcase>');
+    } else {
+      lines.push(`${open}/>`);
+    }
+  }
+
+  lines.push('  </testsuite>');
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+export { formatTextReport, formatJUnitReport, escapeXml };
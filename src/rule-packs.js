@@ -0,0 +1,376 @@
+import { promises as fs } from 'fs';
+import { isAbsolute, relative, resolve, sep } from 'path';
+import { pathToFileURL } from 'url';
+import { globToRegExp } from './config.js';
+import { DOMAIN_CHECKERS } from './domain-evidence.js';
+import { isParsableFile, parseSource, walkAst } from './symbols.js';
+
+/**
+ * Rule Packs - project-defined evidence rules for analyze_claim, listed under
+ * `rulePacks` in .slopwatch.json either inline or as paths to ES modules.
+ *
+ * A pack is { name, rules: [rule] }. Each rule has:
+ *   name       identifies the rule in reports
+ *   triggers   claim phrases (strings match whole words, RegExps as written)
+ *   domain     built-in domain the rule extends (errorHandling, security, ...)
+ *   override   replace the built-in checker for `domain` instead of extending it
+ *   positive   patterns that support the claim
+ *   negative   patterns that undercut it
+ *   weight     how much each finding counts (default 1)
+ *   files      globs the rule applies to (default: every file)
+ *
+ * A pattern is a regex source string, a RegExp, { pattern, label }, or an AST
+ * predicate for JS/TS files: { ast: 'CallExpression', callee: 'z.object' },
+ * { ast: 'Identifier', name: 'Result' }, or (modules only) a function
+ * (node, parent) => boolean, optionally as { ast: fn, label }.
+ */
+
+const RULE_KEYS = ['name', 'triggers', 'domain', 'override', 'positive', 'negative', 'weight', 'files'];
+
+/**
+ * Every problem with the `rulePacks` config setting
+ */
+function validateRulePacks(rulePacks) {
+  if (!Array.isArray(rulePacks)) {
+    return ['rulePacks must be an array of rule packs or module paths'];
+  }
+
+  const errors = [];
+  rulePacks.forEach((entry, index) => {
+    if (typeof entry === 'string') {
+      if (entry.trim() === '') errors.push(`rulePacks[${index}] must be a non-empty module path`);
+    } else {
+      errors.push(...rulePackErrors(entry, `rulePacks[${index}]`));
+    }
+  });
+  return errors;
+}
+
+/**
+ * Every problem with one rule pack, inline or exported from a module
+ */
+function rulePackErrors(pack, prefix) {
+  if (!isPlainObject(pack)) {
+    return [`${prefix} must be an object with name and rules`];
+  }
+
+  const errors = [];
+  if (typeof pack.name !== 'string' || pack.name.trim() === '') {
+    errors.push(`${prefix}.name must be a non-empty string`);
+  }
+  if (!Array.isArray(pack.rules) || pack.rules.length === 0) {
+    errors.push(`${prefix}.rules must be a non-empty array`);
+    return errors;
+  }
+
+  pack.rules.forEach((rule, index) => errors.push(...ruleErrors(rule, `${prefix}.rules[${index}]`)));
+  return errors;
+}
+
+function ruleErrors(rule, prefix) {
+  if (!isPlainObject(rule)) {
+    return [`${prefix} must be an object`];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(rule)) {
+    if (!RULE_KEYS.includes(key)) {
+      errors.push(`${prefix}.${key} is not a rule setting (expected: ${RULE_KEYS.join(', ')})`);
+    }
+  }
+
+  if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+    errors.push(`${prefix}.name must be a non-empty string`);
+  }
+  if (rule.domain !== undefined && !Object.hasOwn(DOMAIN_CHECKERS, rule.domain)) {
+    errors.push(`${prefix}.domain must be a built-in domain (${Object.keys(DOMAIN_CHECKERS).join(', ')})`);
+  }
+  if (rule.override !== undefined && typeof rule.override !== 'boolean') {
+    errors.push(`${prefix}.override must be true or false`);
+  }
+  if (rule.override && rule.domain === undefined) {
+    errors.push(`${prefix}.override needs a domain to replace`);
+  }
+  if (rule.triggers === undefined && rule.domain === undefined) {
+    errors.push(`${prefix} needs triggers or a domain, or it never applies`);
+  }
+  if (rule.weight !== undefined && !(typeof rule.weight === 'number' && rule.weight > 0 && rule.weight <= 10)) {
+    errors.push(`${prefix}.weight must be a number above 0 and at most 10`);
+  }
+
+  if (rule.triggers !== undefined) {
+    if (!Array.isArray(rule.triggers)) {
+      errors.push(`${prefix}.triggers must be an array of phrases`);
+    } else {
+      rule.triggers.forEach((trigger, index) => {
+        if (!(trigger instanceof RegExp) && (typeof trigger !== 'string' || trigger.trim() === '')) {
+          errors.push(`${prefix}.triggers[${index}] must be a non-empty phrase`);
+        }
+      });
+    }
+  }
+
+  if (rule.files !== undefined && (!Array.isArray(rule.files) || rule.files.some(glob => typeof glob !== 'string' || glob.trim() === ''))) {
+    errors.push(`${prefix}.files must be an array of path globs`);
+  }
+
+  for (const key of ['positive', 'negative']) {
+    if (rule[key] === undefined) continue;
+
+    if (!Array.isArray(rule[key])) {
+      errors.push(`${prefix}.${key} must be an array of patterns`);
+      continue;
+    }
+    rule[key].forEach((pattern, index) => {
+      const error = patternError(pattern);
+      if (error) errors.push(`${prefix}.${key}[${index}] ${error}`);
+    });
+  }
+
+  if ((rule.positive || []).length === 0 && (rule.negative || []).length === 0) {
+    errors.push(`${prefix} needs at least one positive or negative pattern`);
+  }
+
+  return errors;
+}
+
+function patternError(pattern) {
+  if (pattern instanceof RegExp || typeof pattern === 'function') return null;
+
+  if (typeof pattern === 'string') {
+    return regexError(pattern);
+  }
+  if (!isPlainObject(pattern)) {
+    return 'must be a regex string, { pattern, label } or { ast, label }';
+  }
+
+  if (pattern.pattern !== undefined) {
+    return pattern.pattern instanceof RegExp ? null :
+      typeof pattern.pattern === 'string' ? regexError(pattern.pattern) : 'pattern must be a regex string';
+  }
+  if (typeof pattern.ast === 'function') return null;
+  if (typeof pattern.ast !== 'string' || pattern.ast.trim() === '') {
+    return 'must have a pattern or an ast node type';
+  }
+  for (const key of ['callee', 'name']) {
+    if (pattern[key] !== undefined && typeof pattern[key] !== 'string') {
+      return `${key} must be a string`;
+    }
+  }
+  return null;
+}
+
+function regexError(source) {
+  try {
+    new RegExp(source);
+    return null;
+  } catch (error) {
+    return `is not a valid regex: ${error.message}`;
+  }
+}
+
+/**
+ * Compile a validated pack into rules ready to match
+ */
+function compileRulePack(pack, source) {
+  const errors = rulePackErrors(pack, source);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rule pack ${source}:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+
+  return pack.rules.map(rule => ({
+    pack: pack.name,
+    name: rule.name,
+    type: rule.domain || `${pack.name}/${rule.name}`,
+    domain: rule.domain || null,
+    override: rule.override === true,
+    triggers: (rule.triggers || []).map(compileTrigger),
+    positive: (rule.positive || []).map(compilePattern),
+    negative: (rule.negative || []).map(compilePattern),
+    weight: rule.weight ?? 1,
+    files: rule.files ? rule.files.map(glob => globToRegExp(glob)) : null
+  }));
+}
+
+function compileTrigger(trigger) {
+  if (trigger instanceof RegExp) return toRegExp(trigger);
+
+  const escaped = trigger.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`, 'i');
+}
+
+function compilePattern(pattern) {
+  if (typeof pattern === 'function') {
+    return { kind: 'ast', label: pattern.name || 'AST predicate', predicate: pattern };
+  }
+  if (pattern instanceof RegExp || typeof pattern === 'string') {
+    const regex = toRegExp(pattern);
+    return { kind: 'line', label: regex.source, regex };
+  }
+  if (pattern.pattern !== undefined) {
+    const regex = toRegExp(pattern.pattern);
+    return { kind: 'line', label: pattern.label || regex.source, regex };
+  }
+  if (typeof pattern.ast === 'function') {
+    return { kind: 'ast', label: pattern.label || pattern.ast.name || 'AST predicate', predicate: pattern.ast };
+  }
+
+  const { ast, callee, name } = pattern;
+  return {
+    kind: 'ast',
+    label: pattern.label || [ast, callee || name].filter(Boolean).join(' '),
+    predicate: node => node.type === ast &&
+      (callee === undefined || dottedName(node.callee) === callee) &&
+      (name === undefined || nodeName(node) === name)
+  };
+}
+
+// Global and sticky flags make test() stateful across lines
+function toRegExp(pattern) {
+  return pattern instanceof RegExp ? new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '')) : new RegExp(pattern);
+}
+
+// "z.object" for z.object(...), "Result.ok" for Result.ok(...)
+function dottedName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    const object = dottedName(node.object);
+    const property = node.computed ? null : node.property.name;
+    return object && property ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+function nodeName(node) {
+  if (node.type === 'Identifier' || node.type === 'JSXIdentifier') return node.name;
+  if (node.id && node.id.name) return node.id.name;
+  return dottedName(node.callee) || dottedName(node);
+}
+
+/**
+ * Load and compile every pack a project configures - inline packs as written,
+ * module paths relative to the workspace root (default export or the module itself).
+ * Importing a module runs its code, so with `modules: false` module paths are skipped,
+ * and a module must resolve (through symlinks too) to a file inside the root
+ */
+async function loadRulePacks(config, options = {}) {
+  const { modules = true } = options;
+  const rules = [];
+
+  for (const [index, entry] of (config.rulePacks || []).entries()) {
+    if (typeof entry === 'string') {
+      if (!modules) continue;
+      rules.push(...compileRulePack(await importRulePack(await resolveModulePath(config.root, entry)), entry));
+    } else {
+      rules.push(...compileRulePack(entry, `rulePacks[${index}]`));
+    }
+  }
+
+  return rules;
+}
+
+async function resolveModulePath(root, entry) {
+  const path = resolve(root, entry);
+  let realPath;
+  try {
+    realPath = await fs.realpath(path);
+  } catch (error) {
+    throw new Error(`Rule pack not found: ${path}`);
+  }
+
+  const rel = relative(await fs.realpath(root), realPath);
+  if (rel === '' || rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+    throw new Error(`Rule pack module is outside the workspace root: ${entry}`);
+  }
+  return realPath;
+}
+
+/**
+ * Import a rule pack module, picking up edits since the last import.
+ * Node cannot unload ES modules, so every edited version of a pack stays in
+ * memory until the process exits - restart a long-running server after many edits
+ */
+async function importRulePack(path) {
+  let stat;
+  try {
+    stat = await fs.stat(path);
+  } catch (error) {
+    throw new Error(`Rule pack not found: ${path}`);
+  }
+
+  const module = await import(`${pathToFileURL(path).href}?mtime=${stat.mtimeMs}`);
+  return module.default ?? { ...module };
+}
+
+/**
+ * Does a rule apply to this claim? Triggers match the claim text, domains
+ * match the built-in classification
+ */
+function ruleMatchesClaim(rule, claim, domains) {
+  return rule.triggers.some(trigger => trigger.test(claim)) ||
+    (rule.domain !== null && domains.includes(rule.domain));
+}
+
+function ruleAppliesToFile(rule, relativePath) {
+  return !rule.files || rule.files.some(regex => regex.test(relativePath));
+}
+
+/**
+ * Supporting and contradicting matches for one rule in one file,
+ * in the same shape as findDomainEvidence
+ */
+function findRuleEvidence(rule, file, content) {
+  const supporting = [];
+  const contradicting = [];
+  const lines = content.split('\n');
+
+  const needsAst = [...rule.positive, ...rule.negative].some(pattern => pattern.kind === 'ast');
+  const ast = needsAst && isParsableFile(file) ? parseSource(content, file) : null;
+
+  for (const [patterns, matches] of [[rule.positive, supporting], [rule.negative, contradicting]]) {
+    for (const pattern of patterns) {
+      if (pattern.kind === 'line') {
+        lines.forEach((text, index) => {
+          if (pattern.regex.test(text)) {
+            matches.push({ file, line: index + 1, label: pattern.label, text: text.trim() });
+          }
+        });
+      } else if (ast) {
+        walkAst(ast.program, (node, parent) => {
+          if (safeTest(pattern.predicate, node, parent)) {
+            const line = node.loc ? node.loc.start.line : null;
+            matches.push({ file, line, label: pattern.label, text: line ? lines[line - 1].trim() : '' });
+          }
+        });
+      }
+    }
+  }
+
+  const byLine = (a, b) => (a.line ?? 0) - (b.line ?? 0);
+  return { rule: rule.name, pack: rule.pack, supporting: supporting.sort(byLine), contradicting: contradicting.sort(byLine) };
+}
+
+// A throwing user predicate counts as no match rather than aborting the analysis
+function safeTest(predicate, node, parent) {
+  try {
+    return predicate(node, parent) === true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+export {
+  validateRulePacks,
+  compileRulePack,
+  loadRulePacks,
+  importRulePack,
+  ruleMatchesClaim,
+  ruleAppliesToFile,
+  findRuleEvidence
+};
@@ -0,0 +1,231 @@
+import { promises as fs } from 'fs';
+import { dirname, isAbsolute, join, relative, sep } from 'path';
+
+/**
+ * Rule Files - generates SlopWatch enforcement rules from the registered tools
+ * and merges them into each AI editor's rules file between marker comments,
+ * leaving the user's own rules in that file untouched
+ */
+
+const BEGIN_MARKER = '<!-- slopwatch:begin -->';
+const END_MARKER = '<!-- slopwatch:end -->';
+
+// Where each editor looks for project rules
+const RULE_TARGETS = {
+  cursor: '.cursorrules',
+  claude: 'CLAUDE.md',
+  windsurf: '.windsurfrules',
+  copilot: '.github/copilot-instructions.md'
+};
+
+// Prefix MCP clients put in front of SlopWatch tool names
+const TOOL_PREFIX = 'mcp_SlopWatch_';
+
+// Example arguments shown in the workflow sections
+const EXAMPLE_ARGS = {
+  slopwatch_claim_and_verify: [
+    'claim: "What you implemented"',
+    'originalFileContents: { "filename": "before_content" }',
+    'updatedFileContents: { "filename": "after_content" }'
+  ],
+  slopwatch_claim: [
+    'claim: "What you\'re about to implement"',
+    'fileContents: { "filename": "current_content" }'
+  ],
+  slopwatch_verify: [
+    'claimId: "abc123"',
+    'updatedFileContents: { "filename": "updated_content" }'
+  ]
+};
+
+/**
+ * Markdown rules for the given tool definitions (as returned by tools/list)
+ */
+function generateRules({ version, tools }) {
+  const names = new Set(tools.map(tool => tool.name));
+  const sections = [`# SlopWatch AI Accountability Rules v${version}`, '## MANDATORY PROTOCOL'];
+
+  if (names.has('slopwatch_claim_and_verify')) {
+    sections.push([
+      '### OPTION 1: COMBINED TOOL (RECOMMENDED ⭐)',
+      'For most implementations, use the single-call approach:',
+      codeBlock([
+        exampleCall('slopwatch_claim_and_verify'),
+        '// Response: "✅ PASSED (87%)" or "❌ FAILED (23%)"'
+      ])
+    ].join('\n'));
+  }
+
+  if (names.has('slopwatch_claim') && names.has('slopwatch_verify')) {
+    sections.push([
+      '### OPTION 2: TRADITIONAL 2-STEP (WHEN NEEDED)',
+      'For pre-planning implementations:',
+      codeBlock([
+        '// Step 1: Before implementing',
+        exampleCall('slopwatch_claim'),
+        '// Response: "Claim ID: abc123"',
+        '',
+        '// Step 2: After implementing',
+        exampleCall('slopwatch_verify'),
+        '// Response: "✅ PASSED (92%)" or "❌ FAILED (15%)"'
+      ])
+    ].join('\n'));
+  }
+
+  sections.push([
+    '## AVAILABLE TOOLS',
+    ...tools.map(describeTool)
+  ].join('\n'));
+
+  sections.push(`## TRIGGER PHRASES
+When you mention ANY of these, you MUST use SlopWatch:
+- "I will implement/add/create/modify/fix/update/build/write"
+- "Let me implement/add/create/modify/fix/update"
+- "I'll add/create/implement/modify/fix/update"`);
+
+  sections.push(`## ENFORCEMENT RULES
+
+### NEVER SKIP VERIFICATION
+- Every implementation claim requires verification
+- No exceptions for "simple" changes
+- Failed verification = STOP and fix immediately
+
+### FAILURE HANDLING
+\`\`\`
+❌ FAILED (23%) - SlopWatch verification failed.
+Let me analyze and fix the implementation.
+[Fix the code and verify again]
+\`\`\``);
+
+  sections.push(`## SPECIAL CASES
+
+### NO CLAIM NEEDED:
+- Reading/analyzing code
+- Explaining existing code
+- Answering questions
+- Code reviews
+
+### REQUIRES CLAIMS:
+- Creating/modifying files
+- Adding functions/classes
+- Configuration changes
+- Package installations`);
+
+  sections.push(`## EMERGENCY BYPASS
+Only if SlopWatch is unavailable:
+"⚠️ SlopWatch unavailable - proceeding without verification"`);
+
+  return sections.join('\n\n');
+}
+
+function describeTool(tool) {
+  const properties = Object.keys(tool.inputSchema?.properties || {});
+  const required = new Set(tool.inputSchema?.required || []);
+  const params = properties.map(name => required.has(name) ? `\`${name}\` (required)` : `\`${name}\``);
+
+  return `- \`${TOOL_PREFIX}${tool.name}\` - ${tool.description}${params.length > 0 ? `\n  Parameters: ${params.join(', ')}` : ''}`;
+}
+
+function exampleCall(name) {
+  return `${TOOL_PREFIX}${name}({\n${EXAMPLE_ARGS[name].map(arg => `  ${arg}`).join(',\n')}\n});`;
+}
+
+function codeBlock(lines) {
+  return ['```', ...lines, '```'].join('\n');
+}
+
+/**
+ * Rules wrapped in the markers that identify SlopWatch's block in a shared file
+ */
+function wrapRules(rules) {
+  return `${BEGIN_MARKER}\n${rules}\n${END_MARKER}\n`;
+}
+
+/**
+ * New file content with the SlopWatch block merged into `existing`
+ * Returns { content, status: created|updated|appended|overwritten|unchanged }
+ */
+function mergeRules(existing, rules, options = {}) {
+  const block = wrapRules(rules);
+
+  if (existing === null) {
+    return { content: block, status: 'created' };
+  }
+
+  if (options.overwrite) {
+    return { content: block, status: existing === block ? 'unchanged' : 'overwritten' };
+  }
+
+  const begin = existing.indexOf(BEGIN_MARKER);
+  const end = existing.indexOf(END_MARKER, begin);
+  if (begin !== -1 && end !== -1) {
+    let after = existing.slice(end + END_MARKER.length);
+    if (after.startsWith('\r\n')) after = after.slice(2);
+    else if (after.startsWith('\n')) after = after.slice(1);
+
+    const content = existing.slice(0, begin) + block + after;
+    return { content, status: content === existing ? 'unchanged' : 'updated' };
+  }
+
+  // No SlopWatch block yet - keep the user's rules and add ours after them
+  const separator = existing === '' ? '' : existing.endsWith('\n') ? '\n' : '\n\n';
+  return { content: existing + separator + block, status: 'appended' };
+}
+
+/**
+ * Refuse a rules file that a symlink - on the file or on a directory above it -
+ * leads out of the project. A file that does not exist yet is checked through
+ * the nearest directory that does; a dangling symlink could point anywhere.
+ */
+async function assertInsideProject(projectPath, path, file) {
+  const realRoot = await fs.realpath(projectPath);
+
+  let real = null;
+  for (let current = path; real === null; current = dirname(current)) {
+    try {
+      real = await fs.realpath(current);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      const stat = await fs.lstat(current).catch(() => null);
+      if (stat && stat.isSymbolicLink()) {
+        throw new Error(`Refusing to write ${file} through a dangling symlink`);
+      }
+    }
+  }
+
+  const rel = relative(realRoot, real);
+  if (rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+    throw new Error(`Refusing to write ${file} outside the project: it resolves to ${real}`);
+  }
+}
+
+/**
+ * Write the rules file for one editor target inside `projectPath`
+ * Returns { target, file, status, hadExisting }
+ */
+async function writeRulesFile(projectPath, target, rules, options = {}) {
+  const relativePath = RULE_TARGETS[target];
+  if (!relativePath) {
+    throw new Error(`Unknown rules target: ${target}. Expected one of: ${Object.keys(RULE_TARGETS).join(', ')}`);
+  }
+
+  const path = join(projectPath, relativePath);
+  await assertInsideProject(projectPath, path, relativePath);
+
+  let existing = null;
+  try {
+    existing = await fs.readFile(path, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const { content, status } = mergeRules(existing, rules, options);
+  if (status !== 'unchanged') {
+    await fs.mkdir(dirname(path), { recursive: true });
+    await fs.writeFile(path, content, 'utf-8');
+  }
+
+  return { target, file: relativePath, status, hadExisting: existing !== null };
+}
+
+export { generateRules, mergeRules, writeRulesFile, RULE_TARGETS };
@@ -0,0 +1,242 @@
+import { isAbsolute, relative } from 'path';
+import { VERSION } from './version.js';
+
+/**
+ * SARIF 2.1.0 - SlopWatch findings for code review tools that annotate lines:
+ * unsupported claims, stubs left in the changed code, and missing or
+ * questionable evidence from analyze_claim. Each finding type has a rule id
+ * that never changes, so reviewers can filter and suppress by rule.
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/JoodasCode/SlopWatch';
+
+const SARIF_RULES = {
+  'unsupported-claim': {
+    name: 'UnsupportedClaim',
+    description: 'The code changes do not support what the claim says was implemented'
+  },
+  'verification-error': {
+    name: 'VerificationError',
+    description: 'The claim could not be verified, for example because its revision does not exist'
+  },
+  'test-results': {
+    name: 'TestResults',
+    description: 'Running the tests contradicts the claimed pass status or coverage'
+  },
+  'tampered-content': {
+    name: 'TamperedContent',
+    description: 'File contents supplied with the claim do not match the workspace'
+  },
+  'no-changes': {
+    name: 'NoChanges',
+    description: 'Nothing changed in the analyzed revision, so the claimed work is missing'
+  },
+  'missing-evidence': {
+    name: 'MissingEvidence',
+    description: 'The claim names a kind of work, but no code of that kind was found'
+  },
+  'questionable-pattern': {
+    name: 'QuestionablePattern',
+    description: 'Code that undermines the claim, such as an empty catch block for claimed error handling'
+  },
+  'stub-todo': {
+    name: 'StubTodo',
+    description: 'TODO or FIXME marker left in code added for the claim'
+  },
+  'stub-not-implemented': {
+    name: 'StubNotImplemented',
+    description: 'Not-implemented error thrown in code added for the claim'
+  },
+  'stub-placeholder-comment': {
+    name: 'StubPlaceholderComment',
+    description: 'Placeholder comment such as "rest of code here" standing in for code'
+  },
+  'stub-placeholder-body': {
+    name: 'StubPlaceholderBody',
+    description: 'Placeholder body such as a lone Python pass'
+  },
+  'stub-empty-function': {
+    name: 'StubEmptyFunction',
+    description: 'Function added with an empty body'
+  },
+  'stub-placeholder-return': {
+    name: 'StubPlaceholderReturn',
+    description: 'Function whose only statement returns a placeholder value'
+  }
+};
+
+/**
+ * SARIF level from how well the claim is supported: below half the threshold is
+ * an error, below the threshold a warning, and a supported claim's findings notes
+ */
+function levelForConfidence(confidence, threshold = 50) {
+  if (confidence >= threshold) return 'note';
+  return confidence < threshold / 2 ? 'error' : 'warning';
+}
+
+function atLeastWarning(level) {
+  return level === 'note' ? 'warning' : level;
+}
+
+function toUri(file, root) {
+  const path = root && isAbsolute(file) ? relative(root, file) : file;
+  return encodeURI(path.split('\\').join('/'));
+}
+
+function location(file, line, root) {
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: toUri(file, root) },
+      ...(line && { region: { startLine: line } })
+    }
+  };
+}
+
+function createResult(ruleId, level, text, locations, properties) {
+  return {
+    ruleId,
+    level,
+    message: { text },
+    ...(locations.length > 0 && { locations }),
+    properties
+  };
+}
+
+// Where a verified claim's changes start in each changed file
+function changedFileLocations(files = [], root) {
+  return files
+    .filter(file => file.status === 'created' || file.status === 'modified')
+    .map(file => location(file.filename, file.diff?.hunks?.[0]?.newStart || 1, root));
+}
+
+/**
+ * Findings for one verification result (verificationPayload shape): the unsupported
+ * claim on the files it changed, each stub on its line, a contradicting test run
+ * and any tampered files.
+ * Levels follow levelForConfidence, raised to at least a warning: a claim can fail
+ * on its stubs above the threshold, and a stub is worth fixing either way.
+ */
+function verificationFindings(payload, options = {}) {
+  const { root } = options;
+  const { claimId, claim, confidence, threshold = 50 } = payload;
+  const level = atLeastWarning(levelForConfidence(confidence, threshold));
+  const properties = { claimId, claim, confidence, threshold, ...(options.commit && { commit: options.commit }) };
+  const results = [];
+
+  if (payload.verdict !== 'PASSED') {
+    results.push(createResult('unsupported-claim', level,
+      `Claim not supported by the changes (${confidence}%, threshold ${threshold}%): "${claim}". ${payload.details || ''}`.trim(),
+      changedFileLocations(payload.files, root), properties));
+  }
+
+  for (const stub of payload.stubs || []) {
+    const ruleId = `stub-${stub.type.replace(/_/g, '-')}`;
+    results.push(createResult(SARIF_RULES[ruleId] ? ruleId : 'stub-todo', level,
+      `${stub.description}${stub.description.includes(stub.text) ? '' : `: ${stub.text}`} - left in code claimed as "${claim}"`,
+      [location(stub.file, stub.line, root)], properties));
+  }
+
+  if (payload.tests && !payload.tests.skipped && !payload.tests.passed) {
+    results.push(createResult('test-results', level,
+      `Test run contradicts "${claim}": ${payload.tests.notes.filter(note => note.startsWith('❌')).map(note => note.replace(/^\S+\s/u, '')).join('; ')}`,
+      [], properties));
+  }
+
+  for (const entry of payload.tampering || []) {
+    results.push(createResult('tampered-content', 'error',
+      `Supplied ${entry.side} content for ${entry.file} ${entry.reason}`,
+      [location(entry.file, null, root)], properties));
+  }
+
+  return results;
+}
+
+/**
+ * Findings for one analyze_claim result (performLieDetection shape): contradicting
+ * evidence only, questionable patterns on each matched line, missing evidence on
+ * its file when the whole workspace was scanned. Paths are made relative to root.
+ */
+function analysisFindings(analysis, options = {}) {
+  const { root } = options;
+  const { claim, confidence } = analysis;
+  const level = levelForConfidence(confidence);
+  const results = [];
+
+  for (const evidence of analysis.contradictingEvidence || []) {
+    const properties = { claim, confidence, ...(evidence.check && { check: evidence.check }), ...(options.commit && { commit: options.commit }) };
+    const text = evidence.message.replace(/^\W+\s*/u, '');
+
+    if (evidence.kind === 'concern') {
+      for (const match of evidence.locations) {
+        results.push(createResult('questionable-pattern', level, `${match.label}: ${match.text} - undermines "${claim}"`,
+          [location(match.file, match.line, root)], properties));
+      }
+    } else {
+      const ruleId = evidence.kind === 'no_changes' ? 'no-changes' : 'missing-evidence';
+      results.push(createResult(ruleId, level, `${text} - claimed as "${claim}"`,
+        evidence.file ? [location(evidence.file, null, root)] : [], properties));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * A complete SARIF log for a set of results, declaring only the rules they use
+ */
+function createSarifLog(results) {
+  const ruleIds = Object.keys(SARIF_RULES).filter(id => results.some(result => result.ruleId === id));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'SlopWatch',
+            version: VERSION,
+            informationUri: INFORMATION_URI,
+            rules: ruleIds.map(id => ({
+              id,
+              name: SARIF_RULES[id].name,
+              shortDescription: { text: SARIF_RULES[id].description }
+            }))
+          }
+        },
+        results: results.map(result => ({ ...result, ruleIndex: ruleIds.indexOf(result.ruleId) }))
+      }
+    ]
+  };
+}
+
+/**
+ * SARIF for a CLI report: each claim's diff and evidence checks, claims whose
+ * revision changed nothing, and claims that could not be checked at all
+ */
+function formatSarifReport(report, options = {}) {
+  const results = report.claims.flatMap(entry => {
+    const findingOptions = { ...options, commit: entry.commit };
+    if (entry.code === 'NO_CHANGES') {
+      return [createResult('no-changes', 'error', `${entry.error} - claimed as "${entry.claim}"`, [],
+        { claim: entry.claim, confidence: entry.confidence, ...(entry.commit && { commit: entry.commit }) })];
+    }
+    if (entry.error) {
+      return [createResult('verification-error', 'error', `Could not verify "${entry.claim}": ${entry.error}`, [],
+        { claim: entry.claim, ...(entry.commit && { commit: entry.commit }) })];
+    }
+
+    return entry.checks.flatMap(check => {
+      if (check.name === 'diff') return verificationFindings(check.result, findingOptions);
+      if (check.name === 'evidence') {
+        return analysisFindings({ claim: entry.claim, confidence: check.confidence, contradictingEvidence: check.evidence.contradicting }, findingOptions);
+      }
+      return [];
+    });
+  });
+
+  return JSON.stringify(createSarifLog(results), null, 2);
+}
+
+export { SARIF_RULES, levelForConfidence, verificationFindings, analysisFindings, createSarifLog, formatSarifReport };
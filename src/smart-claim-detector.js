@@ -18,8 +18,20 @@ class SmartClaimDetector {
       fix: ['fixed', 'resolved', 'corrected', 'repaired', 'addressed', 'solved', 'patched', 'debugged', 'remedied'],
       improve: ['improved', 'enhanced', 'optimized', 'upgraded', 'refined', 'streamlined', 'polished', 'boosted'],
       update: ['updated', 'modified', 'changed', 'revised', 'adjusted', 'tweaked', 'altered', 'refactored'],
-      remove: ['removed', 'deleted', 'eliminated', 'cleaned', 'stripped', 'cleared', 'purged'],
-      configure: ['configured', 'set up', 'established', 'initialized', 'arranged', 'organized']
+      remove: ['removed', 'deleted', 'eliminated', 'cleaned', 'stripped', 'cleared', 'purged', 'dropped'],
+      configure: ['configured', 'set up', 'established', 'initialized', 'arranged', 'organized'],
+      rename: ['renamed']
+    };
+
+    // IMPERATIVE VERBS (how claims are phrased before the work: "Remove the legacy helper")
+    this.imperativeVerbs = {
+      add: ['add', 'implement', 'introduce', 'create', 'build', 'include', 'insert', 'integrate'],
+      fix: ['fix', 'resolve', 'correct', 'repair', 'address', 'solve', 'patch', 'debug'],
+      improve: ['improve', 'enhance', 'optimize', 'upgrade', 'refine', 'streamline'],
+      update: ['update', 'modify', 'change', 'revise', 'adjust', 'tweak', 'alter', 'refactor'],
+      remove: ['remove', 'delete', 'eliminate', 'clean up', 'strip', 'drop', 'purge'],
+      configure: ['configure', 'set up', 'initialize'],
+      rename: ['rename']
     };
 
     // TECHNICAL DOMAINS (what AI claims to work on)
@@ -83,6 +95,12 @@ class SmartClaimDetector {
       'comprehensive', 'robust', 'complete', 'thorough', 'proper',
       'full', 'entire', 'whole', 'all', 'every', 'across the board'
     ];
+
+    // COMPLETION PHRASES (the claim says the work is finished, so placeholders contradict it)
+    this.completionPhrases = [
+      'implemented', 'fully implemented', 'fully functional', 'fully working', 'complete', 'completed',
+      'done', 'finished', 'production-ready', 'production ready', 'ready for production'
+    ];
   }
 
   initializePatterns() {
@@ -315,6 +333,132 @@ class SmartClaimDetector {
     return 'general';
   }
 
+  /**
+   * Every technical domain a claim mentions, matching whole words only
+   * Unlike extractDomain, "ui" does not match "build" and all domains are returned
+   */
+  classifyDomains(text) {
+    return Object.keys(this.matchDomainPhrases(text));
+  }
+
+  /**
+   * The domain phrases a text mentions, by domain - only domains with a match are listed
+   */
+  matchDomainPhrases(text) {
+    const lowerText = text.toLowerCase();
+    const matches = {};
+
+    for (const [domainType, domainPhrases] of Object.entries(this.technicalDomains)) {
+      const found = domainPhrases.filter(phrase => {
+        const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`).test(lowerText);
+      });
+      if (found.length > 0) matches[domainType] = found;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Action of a single claim, decided by whichever action verb comes first
+   * Unlike extractAction this also understands imperative phrasing ("Remove X")
+   */
+  classifyAction(text) {
+    const lowerText = text.toLowerCase();
+    let best = { action: 'unknown', index: Infinity };
+
+    for (const verbs of [this.actionVerbs, this.imperativeVerbs]) {
+      for (const [actionType, words] of Object.entries(verbs)) {
+        for (const word of words) {
+          const match = new RegExp(`\\b${word}\\b`).exec(lowerText);
+          if (match && match.index < best.index) {
+            best = { action: actionType, index: match.index };
+          }
+        }
+      }
+    }
+
+    return best.action;
+  }
+
+  /**
+   * Does the text say the work is finished? ("implemented", "done", "production-ready")
+   */
+  assertsCompletion(text) {
+    const lowerText = text.toLowerCase();
+
+    return this.completionPhrases.some(phrase => {
+      const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`\\b${escaped}\\b`).test(lowerText);
+    });
+  }
+
+  /**
+   * Claims in a commit message - the subject line itself when it starts with an
+   * action verb ("Implemented retry logic", "fix: handle empty input"), plus
+   * whatever detectClaims finds that the subject does not already cover
+   */
+  detectCommitClaims(message) {
+    const subject = (message.split('\n').find(line => line.trim()) || '')
+      .trim()
+      .replace(/^\w+(?:\([^)]*\))?!?:\s*/, ''); // Conventional commit prefix
+    const firstWord = (subject.match(/^[a-z]+/i) || [''])[0].toLowerCase();
+    const verbs = [...Object.values(this.actionVerbs), ...Object.values(this.imperativeVerbs)].flat();
+
+    const claims = [];
+    if (verbs.includes(firstWord)) {
+      claims.push({
+        type: 'commit_subject',
+        claim: subject,
+        confidence: 0.8,
+        action: this.classifyAction(subject),
+        domain: this.extractDomain(subject),
+        source: 'commit_subject'
+      });
+    }
+
+    const lowerSubject = subject.toLowerCase();
+    for (const claim of this.detectClaims(message)) {
+      if (claims.length > 0 && lowerSubject.includes(claim.claim.toLowerCase())) continue;
+      claims.push(claim);
+    }
+
+    return claims;
+  }
+
+  /**
+   * Claims in prose, one per sentence or clause that reports work with a past-tense
+   * action verb: "I added input validation and implemented retry logic." gives
+   * "added input validation" and "implemented retry logic"
+   */
+  detectSentenceClaims(text) {
+    const verbs = Object.values(this.actionVerbs).flat()
+      .map(verb => verb.replace(/\s+/g, '\\s+'))
+      .join('|');
+    const clauseBreak = new RegExp(`,?\\s+(?:and|then|plus)\\s+(?:also\\s+)?(?=(?:${verbs})\\b)`, 'i');
+    const workClause = new RegExp(`^(?:(?:i|we)(?:'ve|’ve|\\s+have)?\\s+)?(?:(?:also|then|just|now)\\s+)?((?:${verbs})\\b.*)$`, 'i');
+
+    const claims = [];
+    for (const sentence of text.split(/(?<=[.!?])\s+|\n+|;\s*/)) {
+      for (const clause of sentence.split(clauseBreak)) {
+        const match = clause.replace(/^[^\p{L}]+/u, '').replace(/\*\*/g, '').match(workClause);
+        if (!match) continue;
+
+        const claim = match[1].replace(/[\s.!?:,]+$/, '');
+        claims.push({
+          type: 'sentence',
+          claim,
+          confidence: 0.7,
+          action: this.classifyAction(claim),
+          domain: this.extractDomain(claim),
+          source: 'sentence'
+        });
+      }
+    }
+
+    return claims;
+  }
+
   deduplicateAndScore(claims) {
     // Group similar claims
     const grouped = {};
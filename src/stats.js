@@ -0,0 +1,171 @@
+import { latestResults } from './history.js';
+
+/**
+ * Accountability Statistics - accuracy over time windows, breakdowns by file,
+ * action and domain, failure streaks and trend. Only claims that reached a
+ * verdict count towards accuracy; pending, expired and errored claims do not.
+ */
+
+const DEFAULT_WINDOW = 20;
+
+// Accuracy change (in points) between windows that counts as a trend
+const TREND_THRESHOLD = 5;
+
+const BREAKDOWN_LIMIT = 5;
+
+/**
+ * Statistics for the recorded claims
+ * Options: window (last N verdicts, default 20), now, detector (SmartClaimDetector)
+ */
+function computeStats(claims, verificationResults, options = {}) {
+  const now = options.now ?? Date.now();
+  const window = Math.max(1, Math.floor(Number(options.window) || DEFAULT_WINDOW));
+  const detector = options.detector;
+  const results = latestResults(verificationResults);
+
+  // One verdict per claim, oldest first
+  const verdicts = [];
+  const counts = { total: claims.size, verified: 0, failed: 0, pending: 0, expired: 0 };
+  for (const claimRecord of claims.values()) {
+    counts[claimRecord.status] = (counts[claimRecord.status] || 0) + 1;
+
+    const result = results.get(claimRecord.id);
+    if (!result || !['verified', 'failed'].includes(claimRecord.status)) continue;
+
+    verdicts.push({
+      passed: claimRecord.status === 'verified',
+      confidence: result.confidence,
+      time: new Date(result.timestamp || claimRecord.verifiedAt || claimRecord.timestamp).getTime(),
+      files: claimRecord.files || [],
+      action: detector ? detector.classifyAction(claimRecord.claim) : 'unknown',
+      domain: detector ? detector.classifyDomains(claimRecord.claim)[0] || 'general' : 'general'
+    });
+  }
+  verdicts.sort((a, b) => a.time - b.time);
+
+  const today = startOfDay(now);
+  const week = startOfWeek(now);
+  const recent = verdicts.slice(-window);
+  const previous = verdicts.slice(-2 * window, -window);
+
+  return {
+    claims: counts,
+    overall: summarize(verdicts),
+    windows: {
+      recent: summarize(recent),
+      today: summarize(verdicts.filter(verdict => verdict.time >= today)),
+      week: summarize(verdicts.filter(verdict => verdict.time >= week))
+    },
+    window,
+    averageConfidence: average(verdicts.map(verdict => verdict.confidence)),
+    streaks: failureStreaks(verdicts),
+    trend: trend(recent, previous),
+    byFile: breakdown(verdicts, verdict => verdict.files),
+    byAction: breakdown(verdicts, verdict => [verdict.action]),
+    byDomain: breakdown(verdicts, verdict => [verdict.domain])
+  };
+}
+
+function summarize(verdicts) {
+  const passed = verdicts.filter(verdict => verdict.passed).length;
+  return {
+    accuracy: verdicts.length > 0 ? Math.round((passed / verdicts.length) * 100) : null,
+    passed,
+    total: verdicts.length
+  };
+}
+
+function average(values) {
+  return values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+function failureStreaks(verdicts) {
+  let current = 0;
+  let longest = 0;
+
+  for (const verdict of verdicts) {
+    current = verdict.passed ? 0 : current + 1;
+    longest = Math.max(longest, current);
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Direction of the latest window compared with the one before it
+ */
+function trend(recent, previous) {
+  if (recent.length === 0 || previous.length === 0) {
+    return { direction: 'unknown', change: null };
+  }
+
+  const change = summarize(recent).accuracy - summarize(previous).accuracy;
+  const direction = change >= TREND_THRESHOLD ? 'improving' : change <= -TREND_THRESHOLD ? 'declining' : 'steady';
+  return { direction, change };
+}
+
+/**
+ * Accuracy per key, most frequent first
+ */
+function breakdown(verdicts, keysOf) {
+  const groups = new Map();
+
+  for (const verdict of verdicts) {
+    for (const key of new Set(keysOf(verdict))) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(verdict);
+    }
+  }
+
+  return [...groups.entries()]
+    .map(([key, group]) => ({ key, ...summarize(group), averageConfidence: average(group.map(verdict => verdict.confidence)) }))
+    .sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+}
+
+function startOfDay(now) {
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// Weeks start on Monday
+function startOfWeek(now) {
+  const date = new Date(startOfDay(now));
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+}
+
+function formatSummary(summary) {
+  return summary.total > 0 ? `${summary.accuracy}% (${summary.passed}/${summary.total})` : 'n/a';
+}
+
+function formatBreakdown(entries) {
+  return entries.slice(0, BREAKDOWN_LIMIT).map(entry => `${entry.key} ${formatSummary(entry)}`).join(', ');
+}
+
+const TREND_ARROWS = { improving: '↗', declining: '↘', steady: '→', unknown: '?' };
+
+/**
+ * Text form of slopwatch_status - the familiar accuracy line first, details below
+ */
+function formatStats(stats) {
+  const { claims, windows, window, streaks } = stats;
+  const trendText = stats.trend.direction === 'unknown' ?
+    'not enough history' :
+    `${TREND_ARROWS[stats.trend.direction]} ${stats.trend.direction} (${stats.trend.change >= 0 ? '+' : ''}${stats.trend.change} pts)`;
+
+  const lines = [
+    `Accuracy: ${stats.overall.total > 0 ? stats.overall.accuracy : 100}% (${stats.overall.passed}/${stats.overall.total})`,
+    `Last ${window}: ${formatSummary(windows.recent)} · Today: ${formatSummary(windows.today)} · This week: ${formatSummary(windows.week)}`,
+    `Avg confidence: ${stats.averageConfidence ?? 'n/a'}${stats.averageConfidence === null ? '' : '%'} · Failure streak: ${streaks.current} (longest ${streaks.longest}) · Trend: ${trendText}`,
+    `Claims: ${claims.total} (${claims.pending} pending, ${claims.expired} expired)`
+  ];
+
+  if (stats.byAction.length > 0) lines.push(`By action: ${formatBreakdown(stats.byAction)}`);
+  if (stats.byDomain.length > 0) lines.push(`By domain: ${formatBreakdown(stats.byDomain)}`);
+  if (stats.byFile.length > 0) lines.push(`Top files: ${formatBreakdown(stats.byFile)}`);
+
+  return lines.join('\n');
+}
+
+export { computeStats, formatStats };
@@ -0,0 +1,152 @@
+import { isParsableFile, parseSource, walkAst } from './symbols.js';
+
+/**
+ * Stub Detector - finds placeholders left in newly added code
+ * TODOs, "not implemented" throws, empty function bodies, placeholder returns
+ * and "rest of code here" comments that let an AI claim work it never did
+ */
+class StubDetector {
+  constructor() {
+    this.initializePatterns();
+  }
+
+  initializePatterns() {
+    // LINE PATTERNS (checked on every added line, any language)
+    this.linePatterns = [
+      {
+        type: 'todo',
+        description: 'TODO/FIXME marker',
+        pattern: /(?:\/\/|\/\*|#|<!--|\*)\s*(?:TODO|FIXME|XXX|HACK)\b/i
+      },
+      {
+        type: 'not_implemented',
+        description: 'Not-implemented error',
+        pattern: /throw\s+new\s+\w*Error\s*\(\s*['"`](?:not\s+(?:yet\s+)?implemented|todo|unimplemented|implement\s+me)/i
+      },
+      {
+        type: 'not_implemented',
+        description: 'Not-implemented error',
+        pattern: /raise\s+NotImplementedError|throw\s+new\s+NotImplemented\w*|unimplemented!\s*\(|todo!\s*\(/
+      },
+      {
+        type: 'placeholder_comment',
+        description: 'Placeholder comment',
+        pattern: /(?:\/\/|\/\*|#|<!--|\*)\s*(?:\.{3}\s*)?(?:rest of (?:the )?(?:code|implementation|file|function|logic)|(?:existing|remaining|other) (?:code|logic|implementation)|(?:your|add|insert|implementation|logic|code) (?:code |logic |implementation )?(?:goes )?here|implement (?:this|later|me)|placeholder)/i
+      },
+      {
+        type: 'placeholder_comment',
+        description: 'Elided code',
+        pattern: /^\s*(?:\/\/|#)\s*\.{3}\s*$|^\s*\.{3}\s*$/
+      },
+      {
+        type: 'placeholder_body',
+        description: 'Python pass placeholder',
+        pattern: /^\s*pass\s*(?:#.*)?$/,
+        extensions: ['.py']
+      }
+    ];
+
+    // Returns that stand in for a real implementation when they are a function's only statement
+    this.placeholderReturnTypes = ['NullLiteral', 'Identifier:undefined', 'ObjectExpression:empty', 'ArrayExpression:empty'];
+  }
+
+  /**
+   * Report placeholders on the added lines of a file
+   * addedLines: Set of 1-based line numbers in `content` that the change introduced
+   */
+  detect(filename, content, addedLines) {
+    const lines = content.split(/\r?\n/);
+    const stubs = [];
+
+    for (const lineNumber of [...addedLines].sort((a, b) => a - b)) {
+      const text = lines[lineNumber - 1];
+      if (text === undefined) continue;
+
+      for (const { type, description, pattern, extensions } of this.linePatterns) {
+        if (extensions && !extensions.some(ext => filename.toLowerCase().endsWith(ext))) continue;
+
+        if (pattern.test(text)) {
+          stubs.push({ file: filename, line: lineNumber, type, description, text: text.trim() });
+          break;
+        }
+      }
+    }
+
+    if (isParsableFile(filename)) {
+      stubs.push(...this.detectPlaceholderFunctions(filename, content, addedLines));
+    }
+
+    return stubs.sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Named functions and methods touched by the change whose body is empty
+   * or only returns null/undefined/{}/[]
+   */
+  detectPlaceholderFunctions(filename, content, addedLines) {
+    const ast = parseSource(content, filename);
+    if (!ast) return [];
+
+    const stubs = [];
+
+    walkAst(ast.program, (node, parent) => {
+      const name = this.functionName(node, parent);
+      if (!name || !node.body || node.body.type !== 'BlockStatement') return;
+
+      const start = node.loc.start.line;
+      const end = node.loc.end.line;
+      let touched = false;
+      for (let line = start; line <= end && !touched; line++) {
+        touched = addedLines.has(line);
+      }
+      if (!touched) return;
+
+      const statements = node.body.body;
+      if (statements.length === 0 && !this.hasComments(node.body)) {
+        stubs.push({ file: filename, line: start, type: 'empty_function', description: `Empty body in ${name}`, text: name });
+      } else if (statements.length === 1 && this.isPlaceholderReturn(statements[0])) {
+        stubs.push({ file: filename, line: statements[0].loc.start.line, type: 'placeholder_return', description: `Placeholder return in ${name}`, text: name });
+      }
+    });
+
+    return stubs;
+  }
+
+  functionName(node, parent) {
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        return node.id ? node.id.name : null;
+      case 'ClassMethod':
+      case 'ClassPrivateMethod':
+        // Empty constructors and accessors are usually deliberate
+        return node.kind === 'method' && node.key.type === 'Identifier' ? node.key.name : null;
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        if (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+        if (parent && parent.type === 'ClassProperty' && parent.key.type === 'Identifier') return parent.key.name;
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  hasComments(block) {
+    return Boolean(block.innerComments && block.innerComments.length > 0);
+  }
+
+  isPlaceholderReturn(statement) {
+    if (statement.type !== 'ReturnStatement') return false;
+
+    const argument = statement.argument;
+    if (!argument) return true;
+
+    const kind = argument.type === 'Identifier' ? `Identifier:${argument.name}` :
+      argument.type === 'ObjectExpression' && argument.properties.length === 0 ? 'ObjectExpression:empty' :
+      argument.type === 'ArrayExpression' && argument.elements.length === 0 ? 'ArrayExpression:empty' :
+      argument.type;
+
+    return this.placeholderReturnTypes.includes(kind);
+  }
+}
+
+export { StubDetector };
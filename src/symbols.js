@@ -0,0 +1,300 @@
+import { parse } from '@babel/parser';
+import { extname } from 'path';
+import crypto from 'crypto';
+
+/**
+ * Symbol Analysis - parses JS/TS sources into functions, classes, methods,
+ * exports and imports so claims can be checked against real declarations
+ * instead of any line that happens to mention a name
+ */
+
+const PARSABLE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+// Product and platform names spelled like identifiers - a claim naming them describes
+// the work ("Migrated the API to TypeScript"), it does not promise a declaration by that name.
+// Quoting one in backticks or writing it as a call still makes it an identifier
+const PROPER_NOUNS = new Set([
+  'javascript', 'typescript', 'coffeescript', 'actionscript', 'webassembly',
+  'github', 'gitlab', 'devops', 'openai', 'chatgpt', 'intellij', 'vscode',
+  'postgresql', 'mysql', 'mongodb', 'dynamodb', 'mariadb', 'couchdb', 'influxdb', 'cockroachdb', 'bigquery',
+  'graphql', 'websocket', 'websockets', 'webrtc', 'webgl', 'openapi', 'fastapi',
+  'nodejs', 'nestjs', 'nextjs', 'nuxtjs', 'vuejs', 'reactjs', 'rxjs', 'jquery', 'tailwindcss', 'postcss',
+  'pytorch', 'tensorflow', 'numpy', 'testng',
+  'ios', 'ipados', 'macos', 'tvos', 'watchos', 'iphone', 'ipad',
+  'paypal', 'linkedin', 'youtube', 'wordpress', 'woocommerce', 'hubspot', 'cloudfront', 'digitalocean'
+]);
+
+// AST keys that hold metadata rather than child nodes
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'comments', 'leadingComments', 'trailingComments', 'innerComments', 'range']);
+
+function isParsableFile(filename) {
+  return PARSABLE_EXTENSIONS.includes(extname(filename).toLowerCase());
+}
+
+function parserPlugins(filename) {
+  const ext = extname(filename).toLowerCase();
+
+  if (ext === '.tsx') return ['typescript', 'jsx', 'decorators-legacy'];
+  if (['.ts', '.mts', '.cts'].includes(ext)) return ['typescript', 'decorators-legacy'];
+  return ['jsx', 'decorators-legacy'];
+}
+
+/**
+ * Parse JS/TS source with the plugins its extension needs
+ * Returns null when the content cannot be parsed even with error recovery
+ */
+function parseSource(content, filename) {
+  try {
+    return parse(content, {
+      sourceType: 'unambiguous',
+      plugins: parserPlugins(filename),
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      allowAwaitOutsideFunction: true
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Walk every AST node below `node`, calling visitor(node, parent)
+ */
+function walkAst(node, visitor, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+
+  visitor(node, parent);
+
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walkAst(item, visitor, node));
+    } else if (child && typeof child === 'object') {
+      walkAst(child, visitor, node);
+    }
+  }
+}
+
+/**
+ * Parse a file into a Map of symbol key -> { kind, name, line, endLine, fingerprint }
+ * Returns null when the content cannot be parsed
+ */
+function extractSymbols(content, filename) {
+  if (!content) return new Map();
+
+  const ast = parseSource(content, filename);
+  if (!ast) return null;
+
+  const symbols = new Map();
+
+  const add = (kind, name, node, source = node) => {
+    if (!name) return;
+
+    const key = `${kind}:${name}`;
+    if (symbols.has(key)) return;
+
+    symbols.set(key, {
+      kind,
+      name,
+      line: node.loc ? node.loc.start.line : null,
+      endLine: source.loc ? source.loc.end.line : null,
+      fingerprint: fingerprint(content.slice(source.start, source.end))
+    });
+  };
+
+  const visit = (node, className) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'FunctionDeclaration':
+      case 'TSDeclareFunction':
+        add('function', node.id && node.id.name, node);
+        break;
+
+      case 'VariableDeclarator':
+        if (node.id.type === 'Identifier' && node.init && isFunctionNode(node.init)) {
+          add('function', node.id.name, node);
+        }
+        break;
+
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        if (node.id) add('class', node.id.name, node);
+        visitChildren(node, node.id ? node.id.name : className);
+        return;
+
+      case 'ClassMethod':
+      case 'ClassPrivateMethod':
+      case 'TSDeclareMethod':
+        add('method', `${className || 'anonymous'}.${propertyName(node.key)}`, node);
+        break;
+
+      case 'ClassProperty':
+      case 'ClassPrivateProperty':
+        if (node.value && isFunctionNode(node.value)) {
+          add('method', `${className || 'anonymous'}.${propertyName(node.key)}`, node);
+        }
+        break;
+
+      case 'TSInterfaceDeclaration':
+      case 'TSTypeAliasDeclaration':
+      case 'TSEnumDeclaration':
+        add('type', node.id && node.id.name, node);
+        break;
+
+      case 'ImportDeclaration':
+        for (const specifier of node.specifiers) {
+          add('import', specifier.local.name, specifier, node);
+        }
+        if (node.specifiers.length === 0) add('import', node.source.value, node);
+        break;
+
+      case 'ExportNamedDeclaration':
+        for (const name of exportedNames(node)) {
+          add('export', name, node);
+        }
+        break;
+
+      case 'ExportDefaultDeclaration':
+        add('export', 'default', node);
+        break;
+
+      case 'ExportAllDeclaration':
+        add('export', `* from ${node.source.value}`, node);
+        break;
+    }
+
+    visitChildren(node, className);
+  };
+
+  const visitChildren = (node, className) => {
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => visit(item, className));
+      } else if (child && typeof child === 'object') {
+        visit(child, className);
+      }
+    }
+  };
+
+  visit(ast.program);
+  return symbols;
+}
+
+function isFunctionNode(node) {
+  return ['ArrowFunctionExpression', 'FunctionExpression'].includes(node.type);
+}
+
+function propertyName(key) {
+  if (!key) return 'anonymous';
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return 'computed';
+}
+
+function exportedNames(node) {
+  const names = [];
+
+  for (const specifier of node.specifiers || []) {
+    const exported = specifier.exported;
+    if (exported) names.push(exported.type === 'StringLiteral' ? exported.value : exported.name);
+  }
+
+  const declaration = node.declaration;
+  if (declaration) {
+    if (declaration.id && declaration.id.name) {
+      names.push(declaration.id.name);
+    } else if (declaration.declarations) {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === 'Identifier') names.push(declarator.id.name);
+      }
+    }
+  }
+
+  return names;
+}
+
+// Whitespace-insensitive so reformatting alone is not a "change"
+function fingerprint(source) {
+  return crypto.createHash('sha1').update(source.replace(/\s+/g, ' ').trim()).digest('hex');
+}
+
+/**
+ * Compare symbols before and after a change
+ * Returns null when either side cannot be parsed
+ */
+function diffSymbols(oldContent, newContent, filename) {
+  const before = extractSymbols(oldContent, filename);
+  const after = extractSymbols(newContent, filename);
+
+  if (!before || !after) return null;
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, symbol] of after) {
+    const previous = before.get(key);
+    if (!previous) {
+      added.push(describeSymbol(symbol));
+    } else if (previous.fingerprint !== symbol.fingerprint) {
+      changed.push(describeSymbol(symbol));
+    }
+  }
+
+  for (const [key, symbol] of before) {
+    if (!after.has(key)) removed.push(describeSymbol(symbol));
+  }
+
+  return { added, removed, changed };
+}
+
+function describeSymbol({ kind, name, line, endLine }) {
+  return { kind, name, line, endLine };
+}
+
+/**
+ * Identifiers a claim names explicitly: `backticked`, call()-style,
+ * camelCase, PascalCase with several humps, or snake_case words.
+ * Product names like JavaScript or GitHub only count when backticked or called
+ */
+function findClaimIdentifiers(claim) {
+  const identifiers = new Set();
+
+  for (const match of claim.matchAll(/`([A-Za-z_$][\w$.#]*)(?:\(\))?`/g)) {
+    identifiers.add(match[1]);
+  }
+
+  for (const match of claim.matchAll(/\b([A-Za-z_$][\w$]*)\(\)/g)) {
+    identifiers.add(match[1]);
+  }
+
+  for (const match of claim.matchAll(/(?<![\w$`])([A-Za-z_$][\w$]*)(?![\w$`])/g)) {
+    const word = match[1];
+    const isCamel = /[a-z][A-Z]/.test(word);
+    const isSnake = /[A-Za-z]_[A-Za-z]/.test(word);
+    if (PROPER_NOUNS.has(word.toLowerCase())) continue;
+    if (isCamel || isSnake || word.includes('$')) identifiers.add(word);
+  }
+
+  return [...identifiers];
+}
+
+/**
+ * Does a symbol name refer to the identifier? Matches `name` and `Class.name`
+ */
+function symbolMatches(symbol, identifier) {
+  const name = symbol.name.toLowerCase();
+  const target = identifier.toLowerCase();
+
+  return name === target || name.endsWith(`.${target}`);
+}
+
+export { isParsableFile, parseSource, walkAst, extractSymbols, diffSymbols, findClaimIdentifiers, symbolMatches };
@@ -0,0 +1,397 @@
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import { resolve } from 'path';
+
+/**
+ * Test Verifier - checks claims about test results by running the project's
+ * own test command. Opt-in: nothing runs unless `tests.command` is set in
+ * .slopwatch.json, and the command never comes from the claim. Pass counts are
+ * read from TAP, JUnit XML, node:test or Jest/Vitest JSON output, coverage from
+ * an Istanbul json-summary or the text table a coverage reporter prints.
+ */
+
+const DEFAULT_TEST_SETTINGS = {
+  command: null,
+  timeout: 120000,
+  resultsFile: null,
+  coverageFile: null
+};
+
+// Written by Istanbul's json-summary reporter (Jest, Vitest, nyc, c8)
+const DEFAULT_COVERAGE_FILE = 'coverage/coverage-summary.json';
+
+// Output kept from the test command - enough for any summary, bounded for runaway logs
+const MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+
+const COVERAGE_METRICS = ['lines', 'statements', 'branches', 'functions'];
+const CLAIMED_METRICS = { line: 'lines', statement: 'statements', branch: 'branches', function: 'functions' };
+
+// "95% coverage" is met by 94.5% - the claim was rounded
+const COVERAGE_TOLERANCE = 0.5;
+
+/**
+ * Problems with the `tests` setting, as human-readable messages
+ */
+function validateTestSettings(raw) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    return [`tests must be an object with any of: ${Object.keys(DEFAULT_TEST_SETTINGS).join(', ')}`];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(raw)) {
+    if (!(key in DEFAULT_TEST_SETTINGS)) {
+      errors.push(`tests.${key} is not a test setting (expected one of: ${Object.keys(DEFAULT_TEST_SETTINGS).join(', ')})`);
+    } else if (key === 'timeout') {
+      if (!(Number.isInteger(value) && value > 0)) {
+        errors.push('tests.timeout must be a positive number of milliseconds');
+      }
+    } else if (typeof value !== 'string' || value.trim() === '') {
+      errors.push(`tests.${key} must be a non-empty string`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * What a claim says about test results: { passing, coverage: { value, metric } },
+ * or null when it says nothing checkable ("Added unit tests" is about code, not results)
+ */
+function parseTestClaim(claim) {
+  const text = claim.toLowerCase();
+
+  const negated = /(?:\bnot|n['’]t|\bnever|\bno longer)\s+(?:\w+\s+)?pass/.test(text);
+  const passing = !negated && (
+    /\b(?:tests?|specs?|test suite|suite)\b[^.;]*?\b(?:pass(?:es|ed|ing)?|green|succeed(?:s|ed|ing)?)\b/.test(text) ||
+    /\bpass(?:es|ed|ing)?\s+(?:all\s+)?(?:the\s+)?(?:\w+\s+)?(?:tests|specs)\b/.test(text)
+  );
+
+  // "95% branch coverage" or "coverage is now 95%"; line coverage unless a metric is named
+  const before = text.match(/(\d+(?:\.\d+)?)\s*%\+?\s*(?:(line|statement|branch|function)s?\s+)?(?:(?:code|test)\s+)?coverage/);
+  const after = !before && text.match(/(?:\b(line|statement|branch|function)s?\s+)?coverage\b[^.;%]{0,30}?(\d+(?:\.\d+)?)\s*%/);
+  const coverage = before ? { value: Number(before[1]), metric: CLAIMED_METRICS[before[2] || 'line'] } :
+    after ? { value: Number(after[2]), metric: CLAIMED_METRICS[after[1] || 'line'] } :
+    null;
+
+  if (!passing && !coverage) return null;
+  return { passing: passing || null, coverage };
+}
+
+/**
+ * Run a shell command in its own process group, killing the whole group on timeout
+ * Resolves to { exitCode, timedOut, output, durationMs }
+ */
+function runCommand(command, { cwd, timeout }) {
+  return new Promise((resolvePromise, reject) => {
+    const startedAt = Date.now();
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached: process.platform !== 'win32',
+      env: { ...process.env, CI: 'true', FORCE_COLOR: '0', NO_COLOR: '1' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const chunks = [];
+    let size = 0;
+    const collect = chunk => {
+      if (size >= MAX_OUTPUT_BYTES) return;
+      chunks.push(chunk);
+      size += chunk.length;
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    let timedOut = false;
+    const kill = signal => {
+      try {
+        if (process.platform === 'win32') child.kill(signal);
+        else process.kill(-child.pid, signal);
+      } catch (error) {
+        // Already exited
+      }
+    };
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill('SIGTERM');
+      setTimeout(() => kill('SIGKILL'), 2000).unref();
+    }, timeout);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(new Error(`Could not run "${command}": ${error.message}`));
+    });
+    child.on('close', exitCode => {
+      clearTimeout(timer);
+      resolvePromise({
+        exitCode,
+        timedOut,
+        output: Buffer.concat(chunks).toString('utf-8'),
+        durationMs: Date.now() - startedAt
+      });
+    });
+  });
+}
+
+// Jest and Vitest --json: one JSON object, possibly after npm's "> pkg test" banner
+function parseJestJson(text) {
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    if (start > 0 && text[start - 1] !== '\n') continue;
+    try {
+      const report = JSON.parse(text.slice(start, text.lastIndexOf('}') + 1));
+      if (typeof report.numTotalTests !== 'number') continue;
+      return {
+        reporter: 'jest-json',
+        counts: {
+          total: report.numTotalTests,
+          passed: report.numPassedTests,
+          failed: report.numFailedTests + (report.numRuntimeErrorTestSuites || 0),
+          skipped: (report.numPendingTests || 0) + (report.numTodoTests || 0)
+        }
+      };
+    } catch (error) {
+      continue;
+    }
+  }
+  return null;
+}
+
+function xmlAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="(\\d+)"`));
+  return match ? Number(match[1]) : 0;
+}
+
+// JUnit XML: the totals on <testsuite> elements, or a count of <testcase>s when a reporter leaves them out
+function parseJUnit(text) {
+  const suites = text.match(/<testsuite\b[^>]*>/g);
+  if (!suites) return null;
+
+  let counts = suites.reduce((sum, tag) => ({
+    total: sum.total + xmlAttribute(tag, 'tests'),
+    failed: sum.failed + xmlAttribute(tag, 'failures') + xmlAttribute(tag, 'errors'),
+    skipped: sum.skipped + xmlAttribute(tag, 'skipped') + xmlAttribute(tag, 'disabled')
+  }), { total: 0, failed: 0, skipped: 0 });
+
+  if (counts.total === 0) {
+    const cases = text.match(/<testcase\b[^>]*?(?:\/>|>[\s\S]*?<\/testcase>)/g) || [];
+    counts = {
+      total: cases.length,
+      failed: cases.filter(testCase => /<(?:failure|error)\b/.test(testCase)).length,
+      skipped: cases.filter(testCase => /<skipped\b/.test(testCase)).length
+    };
+  }
+
+  return { reporter: 'junit', counts: { ...counts, passed: counts.total - counts.failed - counts.skipped } };
+}
+
+// node:test prints "# tests 12 / # pass 11 / # fail 1" (TAP reporter) or "ℹ tests 12" (spec reporter)
+function parseNodeTestSummary(text) {
+  const summary = {};
+  for (const [, name, value] of text.matchAll(/^[#ℹ]\s*(tests|pass|fail|skipped|todo|cancelled)\s+(\d+)\s*$/gm)) {
+    summary[name] = Number(value);
+  }
+  if (summary.tests === undefined || summary.pass === undefined) return null;
+
+  return {
+    reporter: 'node-test',
+    counts: {
+      total: summary.tests,
+      passed: summary.pass,
+      failed: (summary.fail || 0) + (summary.cancelled || 0),
+      skipped: (summary.skipped || 0) + (summary.todo || 0)
+    }
+  };
+}
+
+// TAP: top-level "ok" / "not ok" lines; SKIP counts as skipped, a failing TODO does not fail
+function parseTap(text) {
+  const results = text.match(/^(?:not )?ok\b.*$/gm);
+  if (!results) return null;
+
+  const counts = { total: results.length, passed: 0, failed: 0, skipped: 0 };
+  for (const line of results) {
+    if (/#\s*skip\b/i.test(line)) counts.skipped++;
+    else if (line.startsWith('ok') || /#\s*todo\b/i.test(line)) counts.passed++;
+    else counts.failed++;
+  }
+
+  // A plan larger than the results means tests never reported (a crash part way through)
+  const plan = text.match(/^1\.\.(\d+)/m);
+  if (plan && Number(plan[1]) > counts.total) {
+    counts.failed += Number(plan[1]) - counts.total;
+    counts.total = Number(plan[1]);
+  }
+
+  return { reporter: 'tap', counts };
+}
+
+/**
+ * Pass/fail counts from test output or a results file, trying each known format
+ * Resolves to { reporter, counts: { total, passed, failed, skipped } } or null
+ */
+function parseTestResults(text) {
+  return parseJestJson(text) || parseJUnit(text) || parseNodeTestSummary(text) || parseTap(text);
+}
+
+/**
+ * Coverage from an Istanbul json-summary file: { lines, statements, branches, functions } percentages
+ */
+function parseCoverageSummary(json) {
+  const total = JSON.parse(json).total;
+  if (!total) return null;
+
+  const coverage = {};
+  for (const metric of COVERAGE_METRICS) {
+    if (typeof total[metric]?.pct === 'number') coverage[metric] = total[metric].pct;
+  }
+  return Object.keys(coverage).length > 0 ? coverage : null;
+}
+
+/**
+ * Coverage from the "All files" row of a printed table - Istanbul's text reporter
+ * (% Stmts | % Branch | % Funcs | % Lines) or node:test's (line % | branch % | funcs %)
+ */
+function parseCoverageText(text) {
+  const lines = text.split(/\r?\n/);
+  const totalIndex = lines.findIndex(line => /^[#ℹ\s]*all files\s*\|/i.test(line));
+  if (totalIndex === -1) return null;
+
+  const header = lines.slice(0, totalIndex).reverse().find(line => /%/.test(line) && line.includes('|'));
+  if (!header) return null;
+
+  const columns = header.split('|').map(cell => cell.toLowerCase());
+  const values = lines[totalIndex].split('|');
+  const coverage = {};
+
+  columns.forEach((column, index) => {
+    const metric = column.includes('uncovered') ? null :
+      /stmt|statement/.test(column) ? 'statements' :
+      column.includes('branch') ? 'branches' :
+      column.includes('func') ? 'functions' :
+      column.includes('line') ? 'lines' :
+      null;
+    const value = Number.parseFloat(values[index]);
+    if (metric && Number.isFinite(value)) coverage[metric] = value;
+  });
+
+  return Object.keys(coverage).length > 0 ? coverage : null;
+}
+
+// Files written before the run started are left over from an earlier one
+async function readFreshFile(path, since) {
+  try {
+    const stats = await fs.stat(path);
+    if (stats.mtimeMs < since) return null;
+    return await fs.readFile(path, 'utf-8');
+  } catch (error) {
+    return null;
+  }
+}
+
+class TestVerifier {
+  /**
+   * Run the configured test command in root and compare the outcome with what the claim says
+   * Resolves to null when the claim says nothing about test results or no command is configured,
+   * otherwise to { command, exitCode, timedOut, durationMs, reporter, counts, coverage, claimed, passed, notes }
+   */
+  async verify(claim, root, settings = {}) {
+    const claimed = parseTestClaim(claim);
+    if (!claimed || !settings.command) return null;
+
+    const { command, timeout = DEFAULT_TEST_SETTINGS.timeout } = settings;
+    const startedAt = Date.now() - 1000; // mtime resolution
+    const run = await runCommand(command, { cwd: root, timeout });
+
+    const resultsText = settings.resultsFile ? await readFreshFile(resolve(root, settings.resultsFile), startedAt) : null;
+    const parsed = parseTestResults(resultsText ?? run.output);
+    const coverage = await this.readCoverage(root, settings, run.output, startedAt);
+
+    const testRun = {
+      command,
+      exitCode: run.exitCode,
+      timedOut: run.timedOut,
+      durationMs: run.durationMs,
+      reporter: parsed ? parsed.reporter : 'exit-code',
+      counts: parsed ? parsed.counts : null,
+      coverage,
+      claimed,
+      notes: []
+    };
+
+    if (settings.resultsFile && resultsText === null) {
+      testRun.notes.push(`⚠️ ${settings.resultsFile} was not written by this run - read the command output instead`);
+    }
+
+    testRun.passed = this.compare(testRun);
+    return testRun;
+  }
+
+  async readCoverage(root, settings, output, startedAt) {
+    const summary = await readFreshFile(resolve(root, settings.coverageFile || DEFAULT_COVERAGE_FILE), startedAt);
+    if (summary !== null) {
+      try {
+        const coverage = parseCoverageSummary(summary);
+        if (coverage) return coverage;
+      } catch (error) {
+        // Not a json-summary file - fall back to the printed table
+      }
+    }
+    return parseCoverageText(output);
+  }
+
+  /**
+   * Check each claimed fact against the run, noting the outcome of each
+   */
+  compare(testRun) {
+    const { claimed, counts, notes } = testRun;
+    let passed = true;
+
+    if (testRun.timedOut) {
+      notes.push(`❌ Tests did not finish within ${Math.round(testRun.durationMs / 1000)}s: ${testRun.command}`);
+      return false;
+    }
+
+    if (claimed.passing) {
+      const allPassed = counts ? counts.failed === 0 && counts.total > 0 : testRun.exitCode === 0;
+      if (allPassed) {
+        notes.push(counts ?
+          `✅ Tests pass: ${counts.passed}/${counts.total} passed${counts.skipped > 0 ? `, ${counts.skipped} skipped` : ''} (${testRun.reporter})` :
+          `✅ Tests pass: "${testRun.command}" exited with 0`);
+      } else {
+        notes.push(counts ?
+          (counts.total === 0 ? '❌ The test command ran no tests' : `❌ Tests fail: ${counts.failed}/${counts.total} failed (${testRun.reporter})`) :
+          `❌ Tests fail: "${testRun.command}" exited with ${testRun.exitCode}`);
+        passed = false;
+      }
+      if (allPassed && counts && testRun.exitCode !== 0) {
+        notes.push(`⚠️ "${testRun.command}" exited with ${testRun.exitCode} although every test passed`);
+      }
+    }
+
+    if (claimed.coverage) {
+      const { value, metric } = claimed.coverage;
+      const actual = testRun.coverage ? testRun.coverage[metric] ?? testRun.coverage.lines ?? testRun.coverage.statements : undefined;
+
+      if (actual === undefined) {
+        notes.push(`❌ Claimed ${value}% coverage but the run produced no coverage summary`);
+        passed = false;
+      } else if (actual + COVERAGE_TOLERANCE >= value) {
+        notes.push(`✅ Coverage ${actual}% ${metric} (claimed ${value}%)`);
+      } else {
+        notes.push(`❌ Coverage is ${actual}% ${metric}, not the claimed ${value}%`);
+        passed = false;
+      }
+    }
+
+    return passed;
+  }
+}
+
+export {
+  TestVerifier,
+  parseTestClaim,
+  parseTestResults,
+  parseCoverageSummary,
+  parseCoverageText,
+  validateTestSettings,
+  DEFAULT_TEST_SETTINGS
+};
@@ -0,0 +1,62 @@
+/**
+ * Tool Sets - the MCP tools a server exposes, in families that can be
+ * switched on and off: `verification` (snapshot and diff based claims) and
+ * `evidence` (workspace analysis of a claim with domain checkers and rule packs).
+ * Chosen by the `tools` option, SLOPWATCH_TOOLS, or `tools` in .slopwatch.json.
+ */
+
+const TOOL_SETS = {
+  verification: [
+    'slopwatch_claim_and_verify',
+    'slopwatch_scan_response',
+    'slopwatch_claim',
+    'slopwatch_verify',
+    'slopwatch_verify_commit',
+    'slopwatch_history',
+    'slopwatch_explain',
+    'slopwatch_status',
+    'slopwatch_setup_rules'
+  ],
+  evidence: ['analyze_claim', 'get_status']
+};
+
+/**
+ * Problems with a `tools` setting, as human-readable messages
+ */
+function validateToolSets(value, name = 'tools') {
+  if (!Array.isArray(value) || value.length === 0) {
+    return [`${name} must be a non-empty array of tool sets (${Object.keys(TOOL_SETS).join(', ')})`];
+  }
+
+  return value
+    .filter(set => !TOOL_SETS[set])
+    .map(set => `${name} has unknown tool set "${set}" (expected one of: ${Object.keys(TOOL_SETS).join(', ')})`);
+}
+
+/**
+ * Enabled tool set names - the first of the given choices that is set, else all of them
+ * A string is read as a comma-separated list, as SLOPWATCH_TOOLS is written
+ */
+function resolveToolSets(...choices) {
+  for (const choice of choices) {
+    if (choice === undefined || choice === null || choice === '') continue;
+
+    const sets = typeof choice === 'string' ? choice.split(',').map(set => set.trim()).filter(Boolean) : choice;
+    const errors = validateToolSets(sets);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    return sets;
+  }
+
+  return Object.keys(TOOL_SETS);
+}
+
+/**
+ * The tool set a tool belongs to, or null for an unknown tool
+ */
+function toolSetOf(toolName) {
+  return Object.keys(TOOL_SETS).find(set => TOOL_SETS[set].includes(toolName)) || null;
+}
+
+export { TOOL_SETS, validateToolSets, resolveToolSets, toolSetOf };
@@ -0,0 +1,6 @@
+import { readFileSync } from 'fs';
+
+// Package version, read once so every report uses the published number
+const { version: VERSION } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+
+export { VERSION };
@@ -0,0 +1,107 @@
+import { promises as fs } from 'fs';
+import { resolve, relative, isAbsolute, sep } from 'path';
+import { runGit } from './git.js';
+
+/**
+ * Workspace - reads claim files from disk and git HEAD instead of trusting
+ * contents supplied by the agent being audited. Every path is confined to
+ * the workspace root, including through symlinks.
+ */
+class Workspace {
+  constructor(root) {
+    this.root = resolve(root);
+    this.realRoot = null;
+  }
+
+  /**
+   * Absolute path for a workspace-relative file, rejecting anything outside the root
+   */
+  resolvePath(file) {
+    const absolute = resolve(this.root, file);
+    this.assertInside(this.root, absolute, file);
+    return absolute;
+  }
+
+  assertInside(root, absolute, file) {
+    const rel = relative(root, absolute);
+    if (rel === '' || rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+      throw new Error(`Path is outside the workspace root: ${file}`);
+    }
+  }
+
+  /**
+   * Current content of a file, or null if it does not exist
+   */
+  async readFile(file) {
+    const absolute = this.resolvePath(file);
+
+    try {
+      // Symlinks must not lead out of the workspace either
+      this.realRoot = this.realRoot || await fs.realpath(this.root);
+      const real = await fs.realpath(absolute);
+      this.assertInside(this.realRoot, real, file);
+
+      return await fs.readFile(real, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async readFiles(files) {
+    const contents = {};
+    for (const file of files) {
+      contents[file] = await this.readFile(file);
+    }
+    return contents;
+  }
+
+  /**
+   * Content of each file at git HEAD (null for files HEAD does not have)
+   */
+  async readHeadFiles(files) {
+    const inRepo = await runGit(['rev-parse', '--is-inside-work-tree'], this.root);
+    if (inRepo.code !== 0) {
+      throw new Error(`Workspace is not a git repository: ${this.root}`);
+    }
+
+    const contents = {};
+    for (const file of files) {
+      const rel = relative(this.root, this.resolvePath(file)).split(sep).join('/');
+      const result = await runGit(['show', `HEAD:./${rel}`], this.root);
+      contents[file] = result.code === 0 ? result.stdout : null;
+    }
+    return contents;
+  }
+
+  /**
+   * Files whose agent-supplied content differs from what is really there
+   */
+  findTampering(supplied = {}, actual, side, source) {
+    const actualByPath = new Map(Object.entries(actual).map(([file, content]) => [this.resolvePath(file), content]));
+    const tampering = [];
+
+    for (const [file, content] of Object.entries(supplied)) {
+      const absolute = this.resolvePath(file);
+      if (!actualByPath.has(absolute)) continue;
+
+      const real = actualByPath.get(absolute);
+      if (normalize(content) !== normalize(real)) {
+        tampering.push({
+          file,
+          side,
+          source,
+          reason: real === null ? `file does not exist in ${source}` : `content differs from ${source}`
+        });
+      }
+    }
+
+    return tampering;
+  }
+}
+
+function normalize(content) {
+  return content === null || content === undefined ? null : content.replace(/\r\n/g, '\n');
+}
+
+export { Workspace };
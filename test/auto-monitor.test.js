@@ -0,0 +1,152 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AutoSlopWatch } from '../src/auto-monitor.js';
+import { SlopWatchServer } from '../src/mcp-server.js';
+import { commitFiles, createRepo, git, removeTempDir, writeFiles } from './helpers.js';
+
+describe('AutoSlopWatch', () => {
+  let root;
+  let logs;
+  let monitor;
+
+  before(async () => {
+    root = await createRepo();
+    await commitFiles(root, { 'README.md': '# API client\n' }, 'init');
+  });
+
+  after(() => removeTempDir(root));
+
+  beforeEach(() => {
+    logs = [];
+    monitor = new AutoSlopWatch({
+      workspaceRoot: root,
+      server: new SlopWatchServer({ workspaceRoot: root, store: null }),
+      debounceMs: 10,
+      log: message => logs.push(message)
+    });
+  });
+
+  // Records the commits checkCommits verifies instead of verifying them
+  const recordVerified = () => {
+    const verified = [];
+    monitor.verifyCommit = async hash => {
+      verified.push(hash);
+      return [];
+    };
+    return verified;
+  };
+
+  describe('checkCommits', () => {
+    it('verifies only the commits since the last check', async () => {
+      monitor.lastHead = await monitor.currentHead();
+      const verified = recordVerified();
+
+      const first = await commitFiles(root, { 'src/a.js': 'export const a = 1;\n' }, 'Added a');
+      const second = await commitFiles(root, { 'src/b.js': 'export const b = 2;\n' }, 'Added b');
+      await monitor.checkCommits();
+      assert.deepEqual(verified, [first, second]);
+      assert.equal(monitor.lastHead, second);
+
+      await monitor.checkCommits();
+      assert.deepEqual(verified, [first, second]);
+    });
+
+    it('verifies the commits that replaced HEAD after an amend or rebase', async () => {
+      await commitFiles(root, { 'src/c.js': 'export const c = 3;\n' }, 'Added c');
+      monitor.lastHead = await monitor.currentHead();
+      const verified = recordVerified();
+
+      await git(root, 'commit', '-q', '--amend', '-m', 'Added constant c');
+      const amended = await git(root, 'rev-parse', 'HEAD');
+      await monitor.checkCommits();
+      assert.deepEqual(verified, [amended]);
+
+      await git(root, 'reset', '-q', '--hard', 'HEAD~2');
+      const rebased = [
+        await commitFiles(root, { 'src/d.js': 'export const d = 4;\n' }, 'Added d'),
+        await commitFiles(root, { 'src/e.js': 'export const e = 5;\n' }, 'Added e')
+      ];
+      await monitor.checkCommits();
+      assert.deepEqual(verified, [amended, ...rebased]);
+    });
+
+    it('verifies at most the last 20 new commits', async () => {
+      monitor.lastHead = await monitor.currentHead();
+      const verified = recordVerified();
+
+      const commits = [];
+      for (let i = 0; i < 22; i++) {
+        commits.push(await commitFiles(root, { [`src/many/${i}.js`]: `export const n${i} = ${i};\n` }, `Added n${i}`));
+      }
+      await monitor.checkCommits();
+
+      assert.deepEqual(verified, commits.slice(-20));
+      assert.ok(logs.includes('⏭️ 22 new commits - verifying the last 20'));
+    });
+
+    it('keeps the last HEAD when a check fails, so the next one retries it', async () => {
+      const before = await monitor.currentHead();
+      monitor.lastHead = before;
+      const hash = await commitFiles(root, { 'src/f.js': 'export const f = 6;\n' }, 'Added f');
+
+      monitor.verifyCommit = async () => {
+        throw new Error('git failed');
+      };
+      await assert.rejects(monitor.checkCommits(), /git failed/);
+      assert.equal(monitor.lastHead, before);
+
+      const verified = recordVerified();
+      await monitor.checkCommits();
+      assert.deepEqual(verified, [hash]);
+      assert.equal(monitor.lastHead, hash);
+    });
+
+    it('verifies the claims in a new commit message against that commit', async () => {
+      monitor.lastHead = await monitor.currentHead();
+      await commitFiles(root, { 'src/retry.js': 'export async function fetchWithRetry(url) {\n  return fetch(url);\n}\n' },
+        'Added fetchWithRetry in retry.js');
+
+      await monitor.checkCommits();
+      assert.ok(logs.some(message => /✅ PASSED \(\d+%\) \w+ Added fetchWithRetry in retry\.js/.test(message)), logs.join('\n'));
+    });
+  });
+
+  describe('edits', () => {
+    it('treats a pending directory as covering every path below it', () => {
+      const paths = new Set(['src/new', 'lib/util.js']);
+
+      assert.equal(monitor.isPendingEdit('src/new/a.js', paths), true);
+      assert.equal(monitor.isPendingEdit('src/new/deep/b.js', paths), true);
+      assert.equal(monitor.isPendingEdit('lib/util.js', paths), true);
+      assert.equal(monitor.isPendingEdit('src/newer/a.js', paths), false);
+      assert.equal(monitor.isPendingEdit('lib/other.js', paths), false);
+    });
+
+    it('checks the files inside a directory that appeared with them already in it', async () => {
+      await writeFiles(root, {
+        'pkg/new/index.js': 'export function load() {}\n',
+        'pkg/new/lib/util.js': '// TODO: real implementation\nexport const util = () => 1;\n',
+        'pkg/other.js': 'export const other = 1;\n'
+      });
+
+      // One event for the directory, as when it is moved in - checked once edits are quiet for debounceMs
+      monitor.handleFileEvent(root, 'pkg/new');
+      assert.deepEqual([...monitor.pendingEdits], ['pkg/new']);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await monitor.queue;
+      await monitor.stop();
+
+      assert.ok(logs.includes('\n✏️ 2 edited files: pkg/new/index.js, pkg/new/lib/util.js'), logs.join('\n'));
+      assert.ok(logs.includes('   ⚠️ pkg/new/index.js:1 Empty body in load: load'));
+      assert.ok(logs.includes('   ⚠️ pkg/new/lib/util.js:1 TODO/FIXME marker: // TODO: real implementation'));
+    });
+
+    it('ignores edits under node_modules and .git', () => {
+      monitor.handleFileEvent(root, 'node_modules/pkg/index.js');
+      monitor.handleFileEvent(root, '.git/index');
+
+      assert.equal(monitor.pendingEdits.size, 0);
+      assert.equal(monitor.editTimer, null);
+    });
+  });
+});
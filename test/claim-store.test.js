@@ -0,0 +1,101 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { ClaimStore } from '../src/claim-store.js';
+import { createTempDir, removeTempDir } from './helpers.js';
+
+const claimRecord = (id, extra = {}) => ({
+  id,
+  claim: `Added feature ${id}`,
+  status: 'pending',
+  fileSnapshots: { 'app.js': { content: 'secret source', hash: `hash-${id}`, exists: true } },
+  ...extra
+});
+
+describe('ClaimStore', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await createTempDir();
+  });
+
+  afterEach(() => removeTempDir(root));
+
+  it('replays claims, status updates and results from the log', async () => {
+    const store = new ClaimStore(root);
+    await store.appendClaim(claimRecord('a'));
+    await store.appendClaimUpdate({ id: 'a', status: 'verified', verifiedAt: '2026-01-01T00:00:00.000Z' });
+    await store.appendResult({ claimId: 'a', isVerified: true, confidence: 90 });
+
+    const { claims, verificationResults, skipped } = await new ClaimStore(root).load();
+    assert.equal(skipped, 0);
+    assert.equal(claims.get('a').status, 'verified');
+    assert.deepEqual(verificationResults, [{ claimId: 'a', isVerified: true, confidence: 90 }]);
+  });
+
+  it('persists snapshot hashes but never file contents', async () => {
+    await new ClaimStore(root).appendClaim(claimRecord('a'));
+
+    const log = await fs.readFile(join(root, '.slopwatch', 'claims.jsonl'), 'utf-8');
+    assert.doesNotMatch(log, /secret source/);
+    assert.deepEqual(JSON.parse(log).data.fileSnapshots, { 'app.js': { hash: 'hash-a', exists: true } });
+  });
+
+  it('keeps the store out of commits and releases its lock', async () => {
+    await new ClaimStore(root).appendClaim(claimRecord('a'));
+
+    assert.equal(await fs.readFile(join(root, '.slopwatch', '.gitignore'), 'utf-8'), '*\n');
+    await assert.rejects(fs.access(join(root, '.slopwatch', 'claims.lock')), { code: 'ENOENT' });
+  });
+
+  it('skips corrupt lines and rewrites the log without them', async () => {
+    const store = new ClaimStore(root);
+    await store.appendClaim(claimRecord('a'));
+    await fs.appendFile(store.logPath, '{"v":1,"type":"claim","data":{"id":"b"\n');
+
+    const { claims, skipped } = await new ClaimStore(root).load();
+    assert.equal(skipped, 1);
+    assert.deepEqual([...claims.keys()], ['a']);
+
+    const lines = (await fs.readFile(store.logPath, 'utf-8')).trim().split('\n');
+    assert.equal(lines.length, 1);
+  });
+
+  it('loads only the newest claims past retention, and rewrites the log once well past it', async () => {
+    const store = new ClaimStore(root, { retention: 5 });
+    for (const id of ['a', 'b', 'c', 'd', 'e', 'f']) {
+      await store.appendClaim(claimRecord(id));
+      await store.appendResult({ claimId: id, isVerified: false });
+    }
+
+    const { claims, verificationResults } = await new ClaimStore(root, { retention: 5 }).load();
+    assert.deepEqual([...claims.keys()], ['b', 'c', 'd', 'e', 'f']);
+    assert.deepEqual(verificationResults.map(result => result.claimId), ['b', 'c', 'd', 'e', 'f']);
+    assert.equal((await store.readLog()).claims.size, 6, 'within the retention margin, so not rewritten');
+
+    await store.appendClaim(claimRecord('g'));
+    await new ClaimStore(root, { retention: 5 }).load();
+    assert.deepEqual([...(await store.readLog()).claims.keys()], ['c', 'd', 'e', 'f', 'g']);
+  });
+
+  it('keeps claims other writers appended when it compacts', async () => {
+    const compactor = new ClaimStore(root, { retention: 2, retentionMargin: 1 });
+    await compactor.appendClaim(claimRecord('a'));
+    await compactor.appendClaim(claimRecord('b'));
+    await new ClaimStore(root).appendClaim(claimRecord('c'));
+
+    const { dropped } = await compactor.compact();
+    assert.deepEqual(dropped, ['a']);
+    assert.deepEqual([...(await compactor.readLog()).claims.keys()], ['b', 'c']);
+  });
+
+  it('never loses lines when several writers append at once', async () => {
+    const writers = [new ClaimStore(root), new ClaimStore(root), new ClaimStore(root)];
+    await Promise.all(Array.from({ length: 30 }, (_, index) => writers[index % 3].appendClaim(claimRecord(`claim-${index}`))));
+
+    const { claims, skipped } = await new ClaimStore(root).readLog();
+    assert.equal(skipped, 0);
+    assert.equal(claims.size, 30);
+  });
+});
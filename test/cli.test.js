@@ -0,0 +1,102 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { commitFiles, createRepo, removeTempDir } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+const RETRY_SOURCE = [
+  'export async function fetchWithRetry(url, retries = 3) {',
+  '  for (let attempt = 0; attempt < retries; attempt++) {',
+  '    try {',
+  '      return await fetch(url);',
+  '    } catch (error) {',
+  '      if (attempt === retries - 1) throw error;',
+  '    }',
+  '  }',
+  '}',
+  ''
+].join('\n');
+
+describe('slopwatch CLI', () => {
+  let root;
+
+  // HEAD~1 adds retry.js, HEAD changes nothing
+  before(async () => {
+    root = await createRepo();
+    await commitFiles(root, { 'README.md': '# API client\n' }, 'init');
+    await commitFiles(root, { 'src/retry.js': RETRY_SOURCE }, 'Added retry logic to fetch calls in retry.js');
+    await commitFiles(root, {}, 'Bump version');
+  });
+
+  after(() => removeTempDir(root));
+
+  const runCli = (...args) => new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { cwd: root, env: { ...process.env, SLOPWATCH_STORE: 'false' }, timeout: 30000 },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+
+  it('exits 0 when the claim is verified', async () => {
+    const { code, stdout } = await runCli('verify', 'Added fetchWithRetry in retry.js', '--head', 'HEAD~1');
+
+    assert.equal(code, 0);
+    assert.match(stdout, /✅ PASSED \(1\/1 claims verified\)/);
+  });
+
+  it('exits 1 when the claim fails', async () => {
+    const { code, stdout } = await runCli('verify', 'Added rate limiting to the API client', '--head', 'HEAD~1');
+
+    assert.equal(code, 1);
+    assert.match(stdout, /❌ FAILED \(1\/1 claims failed\)/);
+  });
+
+  it('reports a claim against a revision without changes as FAILED', async () => {
+    const { code, stdout } = await runCli('verify', 'Added fetchWithRetry in retry.js', '--format', 'json');
+    const report = JSON.parse(stdout);
+
+    assert.equal(code, 1);
+    assert.equal(report.verdict, 'FAILED');
+    assert.deepEqual(report.claims.map(entry => [entry.verdict, entry.code, entry.error]), [['FAILED', 'NO_CHANGES', 'No text file changes in HEAD']]);
+  });
+
+  it('exits 2 on setup and usage errors', async () => {
+    const unknown = await runCli('verify', 'Added fetchWithRetry in retry.js', '--head', 'no-such-revision');
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /Unknown git revision: no-such-revision/);
+
+    const usage = await runCli('verify');
+    assert.equal(usage.code, 2);
+    assert.match(usage.stderr, /verify needs a claim/);
+
+    const format = await runCli('scan', 'Added retries', '--format', 'xml');
+    assert.equal(format.code, 2);
+    assert.match(format.stderr, /--format must be one of: text, json, junit, sarif/);
+  });
+
+  it('scans text for claims and reports each one as JSON', async () => {
+    const { code, stdout } = await runCli('scan', 'I added fetchWithRetry in retry.js and implemented rate limiting for the API client.',
+      '--head', 'HEAD~1', '--format', 'json');
+    const report = JSON.parse(stdout);
+
+    assert.equal(code, 1);
+    assert.equal(report.command, 'scan');
+    assert.equal(report.revision, 'HEAD~1');
+    assert.deepEqual([report.verdict, report.passed, report.failed], ['FAILED', 1, 1]);
+    assert.deepEqual(report.claims.map(entry => [entry.claim, entry.verdict]), [
+      ['added fetchWithRetry in retry.js', 'PASSED'],
+      ['implemented rate limiting for the API client', 'FAILED']
+    ]);
+    assert.deepEqual(report.claims[0].checks.map(check => check.name), ['diff', 'evidence']);
+  });
+
+  it('scans the claims in each commit message of a range', async () => {
+    const { code, stdout } = await runCli('scan', '--commits', 'HEAD~2..HEAD', '--format', 'json');
+    const report = JSON.parse(stdout);
+
+    assert.equal(code, 0);
+    assert.equal(report.verdict, 'PASSED');
+    assert.deepEqual(report.claims.map(entry => entry.verdict), ['PASSED']);
+    assert.match(report.claims[0].claim, /retry logic/);
+  });
+});
@@ -0,0 +1,120 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { ConfigLoader, validateConfig, globToRegExp, CONFIG_FILE } from '../src/config.js';
+import { createTempDir, removeTempDir } from './helpers.js';
+
+describe('ConfigLoader', () => {
+  let root;
+
+  before(async () => {
+    root = await createTempDir();
+  });
+
+  after(() => removeTempDir(root));
+
+  const writeConfig = settings => fs.writeFile(join(root, CONFIG_FILE), typeof settings === 'string' ? settings : JSON.stringify(settings));
+
+  it('uses the defaults when there is no config file', async () => {
+    const config = await new ConfigLoader(root).load();
+
+    assert.equal(config.path, null);
+    assert.equal(config.threshold, 50);
+    assert.deepEqual(config.weights.default, { fileChanges: 60, keywords: 40, symbols: 0, action: 0 });
+    assert.deepEqual(config.weights.symbols, { fileChanges: 30, keywords: 10, symbols: 60, action: 0 });
+    assert.ok(config.stopwords.has('implemented'));
+    assert.equal(config.isIgnored('src/app.js'), false);
+    assert.equal(config.thresholdFor(['src/app.js']), 50);
+  });
+
+  it('re-reads the file when it changes and keeps failing while it is broken', async () => {
+    const loader = new ConfigLoader(root);
+    await writeConfig({ threshold: 60 });
+
+    const first = await loader.load();
+    assert.equal(first.threshold, 60);
+    assert.equal(await loader.load(), first);
+
+    await writeConfig({ threshold: 75, thresholds: { 'src/payments/**': 90 } });
+    const second = await loader.load();
+    assert.equal(second.threshold, 75);
+    assert.equal(second.thresholdFor(['src/payments/charge.js', 'README.md']), 90);
+
+    await writeConfig('{ "threshold": ');
+    await assert.rejects(loader.load(), /not valid JSON/);
+    await assert.rejects(loader.load(), /not valid JSON/);
+
+    await fs.rm(join(root, CONFIG_FILE));
+    assert.equal((await loader.load()).threshold, 50);
+  });
+
+  it('rejects an invalid file with every problem listed', async () => {
+    await writeConfig({ threshold: 150, weights: { default: { fileChanges: 70 } } });
+
+    await assert.rejects(new ConfigLoader(root).load(), error => {
+      assert.match(error.message, /^Invalid \.slopwatch\.json:/);
+      assert.match(error.message, /- threshold must be a number from 0 to 100/);
+      assert.match(error.message, /- weights\.default must add up to 100 \(fileChanges 70 \+ keywords 40 = 110\)/);
+      return true;
+    });
+    await fs.rm(join(root, CONFIG_FILE));
+  });
+});
+
+describe('validateConfig', () => {
+  it('accepts weights that add up to 100 and thresholds from 0 to 100', () => {
+    assert.deepEqual(validateConfig({
+      threshold: 0,
+      thresholds: { 'src/**': 100 },
+      weights: { default: { fileChanges: 50, keywords: 50 }, symbols: { symbols: 70, keywords: 0 } }
+    }), []);
+  });
+
+  it('rejects invalid weights', () => {
+    assert.deepEqual(validateConfig({ weights: { default: { fileChanges: -10, keywords: 110 } } }), [
+      'weights.default.fileChanges must be a number from 0 to 100',
+      'weights.default.keywords must be a number from 0 to 100'
+    ]);
+    assert.deepEqual(validateConfig({ weights: { default: { symbols: 60 } } }), [
+      'weights.default.symbols is not used by this profile (expected: fileChanges, keywords)'
+    ]);
+    assert.match(validateConfig({ weights: { extra: {} } })[0], /weights\.extra is not a weight profile/);
+    assert.match(validateConfig({ weights: [] })[0], /weights must be an object/);
+  });
+
+  it('rejects invalid thresholds', () => {
+    assert.deepEqual(validateConfig({ threshold: '80' }), ['threshold must be a number from 0 to 100']);
+    assert.deepEqual(validateConfig({ thresholds: { 'src/**': 101, 'lib/*': null } }), [
+      'thresholds["src/**"] must be a number from 0 to 100',
+      'thresholds["lib/*"] must be a number from 0 to 100'
+    ]);
+    assert.match(validateConfig({ thresholds: [80] })[0], /thresholds must be an object mapping path globs to numbers/);
+  });
+});
+
+describe('globToRegExp', () => {
+  it('lets ** span directories and keeps * and ? within one segment', () => {
+    const doubleStar = globToRegExp('src/**/*.test.js');
+    assert.ok(doubleStar.test('src/a.test.js'));
+    assert.ok(doubleStar.test('src/lib/deep/a.test.js'));
+    assert.ok(!doubleStar.test('test/a.test.js'));
+
+    const star = globToRegExp('src/*.js');
+    assert.ok(star.test('src/app.js'));
+    assert.ok(!star.test('src/lib/app.js'));
+
+    const question = globToRegExp('/v?.json');
+    assert.ok(question.test('v1.json'));
+    assert.ok(!question.test('v10.json'));
+    assert.ok(!question.test('v/.json'));
+  });
+
+  it('matches a pattern without a slash at any depth, and everything below a named directory', () => {
+    assert.ok(globToRegExp('*.min.js').test('dist/vendor/app.min.js'));
+    assert.ok(globToRegExp('dist').test('packages/web/dist/index.js'));
+    assert.ok(globToRegExp('/dist').test('dist/index.js'));
+    assert.ok(!globToRegExp('/dist').test('packages/web/dist/index.js'));
+    assert.ok(globToRegExp('src/{api,db}/**').test('src/db/schema.js'));
+  });
+});
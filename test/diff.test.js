@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  diffLines,
+  getAddedLines,
+  getAddedText,
+  getAddedLineNumbers,
+  getRemovedText,
+  summarizeDiff,
+  splitLines
+} from '../src/diff.js';
+
+// Length of the longest common subsequence, by dynamic programming
+function lcsLength(a, b) {
+  let previous = new Array(b.length + 1).fill(0);
+  for (const item of a) {
+    const current = [0];
+    for (let j = 0; j < b.length; j++) {
+      current.push(item === b[j] ? previous[j] + 1 : Math.max(previous[j + 1], current[j]));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Deterministic pseudo-random line lists over a small alphabet, so lines repeat
+function randomLines(seed, length) {
+  let state = seed;
+  const lines = [];
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    lines.push('abcde'[state % 5]);
+  }
+  return lines;
+}
+
+const toContent = lines => lines.map(line => `${line}\n`).join('');
+
+describe('splitLines', () => {
+  it('drops the empty line after a trailing newline and handles CRLF', () => {
+    assert.deepEqual(splitLines('a\r\nb\n'), ['a', 'b']);
+    assert.deepEqual(splitLines('a\nb'), ['a', 'b']);
+    assert.deepEqual(splitLines(''), []);
+    assert.deepEqual(splitLines(null), []);
+  });
+});
+
+describe('diffLines', () => {
+  it('finds no changes between identical contents', () => {
+    const diff = diffLines('a\nb\n', 'a\r\nb\r\n');
+    assert.deepEqual(diff.stats, { added: 0, removed: 0, modified: 0 });
+    assert.deepEqual(diff.hunks, []);
+  });
+
+  it('reports inserted lines at their new line numbers', () => {
+    const diff = diffLines('a\nb\nc\n', 'a\nb\nx\ny\nc\n');
+    assert.deepEqual(diff.added, [{ line: 3, content: 'x' }, { line: 4, content: 'y' }]);
+    assert.deepEqual(diff.removed, []);
+    assert.deepEqual(diff.modified, []);
+  });
+
+  it('pairs removed and added lines in one change block as modified', () => {
+    const diff = diffLines('a\nold\nc\n', 'a\nnew\nextra\nc\n');
+    assert.deepEqual(diff.modified, [{ oldLine: 2, newLine: 2, before: 'old', after: 'new' }]);
+    assert.deepEqual(diff.added, [{ line: 3, content: 'extra' }]);
+  });
+
+  it('treats a created or deleted file as all additions or removals', () => {
+    assert.equal(diffLines(null, 'a\nb\n').stats.added, 2);
+    assert.equal(diffLines('a\nb\n', '').stats.removed, 2);
+  });
+
+  it('finds the shortest edit script', () => {
+    // The example from Myers' paper: ABCABBA -> CBABAC takes 5 edits
+    const diff = diffLines(toContent('ABCABBA'.split('')), toContent('CBABAC'.split('')));
+    const { added, removed, modified } = diff.stats;
+    assert.equal(added + removed + 2 * modified, 5);
+  });
+
+  it('keeps exactly the longest common subsequence unchanged', () => {
+    for (let seed = 1; seed <= 40; seed++) {
+      const before = randomLines(seed, 5 + (seed % 17));
+      const after = randomLines(seed * 7 + 3, 3 + (seed % 13));
+      const { removed, modified } = diffLines(toContent(before), toContent(after)).stats;
+
+      assert.equal(before.length - removed - modified, lcsLength(before, after), `seed ${seed}`);
+    }
+  });
+
+  it('builds hunks with context that replay the new content', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'];
+    const after = ['1', '2', 'two and a half', '3', '4', '5', '6', '7', '8', '9', '10', '11'];
+    const diff = diffLines(toContent(before), toContent(after), { context: 1 });
+
+    assert.deepEqual(summarizeDiff(diff).hunks, [
+      { oldStart: 2, oldLines: 2, newStart: 2, newLines: 3 },
+      { oldStart: 11, oldLines: 2, newStart: 12, newLines: 1 }
+    ]);
+    for (const hunk of diff.hunks) {
+      for (const line of hunk.lines.filter(entry => entry.type !== 'remove')) {
+        assert.equal(after[line.newLine - 1], line.content);
+      }
+    }
+  });
+
+  it('merges changes whose context overlaps into one hunk', () => {
+    const diff = diffLines('a\nb\nc\nd\ne\n', 'A\nb\nc\nd\nE\n');
+    assert.equal(diff.hunks.length, 1);
+  });
+});
+
+describe('added and removed text', () => {
+  const diff = diffLines('keep\nold one\nremoved\nkeep too\n', 'keep\nnew one\nkeep too\nappended\n');
+
+  it('collects added lines and the new side of modified lines in line order', () => {
+    assert.deepEqual(getAddedLines(diff), [{ line: 2, content: 'new one' }, { line: 4, content: 'appended' }]);
+    assert.equal(getAddedText(diff), 'new one\nappended');
+    assert.deepEqual([...getAddedLineNumbers(diff)].sort(), [2, 4]);
+  });
+
+  it('collects removed lines and the old side of modified lines', () => {
+    assert.equal(getRemovedText(diff), 'old one\nremoved');
+  });
+
+  it('summarizes counts and hunk ranges without file content', () => {
+    const summary = summarizeDiff(diff);
+    assert.deepEqual(Object.keys(summary).sort(), ['added', 'hunks', 'modified', 'removed']);
+    assert.ok(summary.hunks.every(hunk => !('lines' in hunk)));
+  });
+});
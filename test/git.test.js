@@ -0,0 +1,199 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitRepository, parseUnifiedDiff, EMPTY_TREE } from '../src/git.js';
+import { commitFiles, createRepo, git, removeTempDir, writeFiles } from './helpers.js';
+
+describe('parseUnifiedDiff', () => {
+  it('parses files, statuses and numbered hunk lines', () => {
+    const [modified, added, deleted] = parseUnifiedDiff([
+      'diff --git a/src/app.js b/src/app.js',
+      'index 1111111..2222222 100644',
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -1,3 +1,3 @@',
+      ' keep',
+      '-old',
+      '+new',
+      ' keep',
+      'diff --git a/new.js b/new.js',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/new.js',
+      '@@ -0,0 +1 @@',
+      '+created',
+      'diff --git a/gone.js b/gone.js',
+      'deleted file mode 100644',
+      '--- a/gone.js',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-bye',
+      ''
+    ].join('\n'));
+
+    assert.equal(modified.status, 'modified');
+    assert.equal(modified.newPath, 'src/app.js');
+    assert.deepEqual(modified.hunks[0].lines, [
+      { type: 'context', content: 'keep', oldLine: 1, newLine: 1 },
+      { type: 'remove', content: 'old', oldLine: 2 },
+      { type: 'add', content: 'new', newLine: 2 },
+      { type: 'context', content: 'keep', oldLine: 3, newLine: 3 }
+    ]);
+    assert.deepEqual([added.status, added.newPath, added.hunks[0].newLines], ['added', 'new.js', 1]);
+    assert.deepEqual([deleted.status, deleted.oldPath], ['deleted', 'gone.js']);
+  });
+
+  it('reads hunk bodies by line count, so content that looks like a header stays content', () => {
+    const [file] = parseUnifiedDiff([
+      'diff --git a/notes.md b/notes.md',
+      '--- a/notes.md',
+      '+++ b/notes.md',
+      '@@ -1 +1,3 @@',
+      ' intro',
+      '+--- not a header',
+      '++++ nor this',
+      '\\ No newline at end of file',
+      ''
+    ].join('\n'));
+
+    assert.equal(file.newPath, 'notes.md');
+    assert.deepEqual(file.hunks[0].lines.map(line => line.content), ['intro', '--- not a header', '+++ nor this']);
+  });
+
+  it('records renames and binary files', () => {
+    const [renamed, binary] = parseUnifiedDiff([
+      'diff --git a/old name.js b/new name.js',
+      'similarity index 100%',
+      'rename from old name.js',
+      'rename to new name.js',
+      'diff --git a/logo.png b/logo.png',
+      'Binary files a/logo.png and b/logo.png differ',
+      ''
+    ].join('\n'));
+
+    assert.deepEqual([renamed.status, renamed.oldPath, renamed.newPath], ['renamed', 'old name.js', 'new name.js']);
+    assert.equal(binary.binary, true);
+  });
+
+  it('drops the TAB git puts after header paths that contain a space', () => {
+    const [file] = parseUnifiedDiff([
+      'diff --git a/my file.js b/my file.js',
+      '--- a/my file.js\t',
+      '+++ b/my file.js\t',
+      '@@ -1 +1 @@',
+      '-old',
+      '+new',
+      ''
+    ].join('\n'));
+
+    assert.deepEqual([file.oldPath, file.newPath], ['my file.js', 'my file.js']);
+  });
+});
+
+describe('GitRepository', () => {
+  let root;
+  let first;
+  let second;
+
+  before(async () => {
+    root = await createRepo();
+    first = await commitFiles(root, { 'src/retry.js': 'export const retries = 3;\n' }, 'Added retry count');
+    second = await commitFiles(root, {
+      'src/retry.js': 'export const retries = 5;\n',
+      'src/backoff.js': 'export const backoff = attempt => 2 ** attempt;\n',
+      'b/util.js': 'export const util = 1;\n'
+    }, 'Added exponential backoff');
+  });
+
+  after(() => removeTempDir(root));
+
+  it('resolves single commits against their parent and a root commit against the empty tree', async () => {
+    const repo = new GitRepository(root);
+
+    assert.deepEqual(await repo.resolveRange(second), { base: first, head: second, label: second, single: true });
+    assert.equal((await repo.resolveRange(first)).base, EMPTY_TREE);
+    await assert.rejects(repo.resolveRange('no-such-branch'), /Unknown git revision: no-such-branch/);
+  });
+
+  it('lists the commits and messages in a range oldest first', async () => {
+    const repo = new GitRepository(root);
+    const range = await repo.resolveRange(`${first}..HEAD`);
+
+    assert.deepEqual(await repo.listCommits(range), [second]);
+    assert.deepEqual(await repo.getCommitMessages(await repo.resolveRange(first)), ['Added retry count']);
+  });
+
+  it('reports staged and working tree changes with their added lines', async () => {
+    await writeFiles(root, { 'src/retry.js': 'export const retries = 5;\nexport const jitter = true;\n', 'src/new.js': 'a\nb\n' });
+    await git(root, 'add', 'src/retry.js');
+    try {
+      const repo = new GitRepository(root);
+
+      const staged = await repo.getStagedChanges();
+      assert.deepEqual(staged.map(change => change.path), ['src/retry.js']);
+      assert.equal(staged[0].after, 'export const retries = 5;\nexport const jitter = true;\n');
+
+      const { changes } = await repo.getWorkingTreeChanges();
+      const byPath = Object.fromEntries(changes.map(change => [change.path, change]));
+      assert.deepEqual([...byPath['src/retry.js'].addedLines], [2]);
+      assert.equal(byPath['src/new.js'].status, 'untracked');
+    } finally {
+      await git(root, 'reset', '-q', '--hard');
+      await git(root, 'clean', '-q', '-fd');
+    }
+  });
+
+  it('reads the contents of files whose paths contain a space', async () => {
+    const base = await git(root, 'rev-parse', 'HEAD');
+    await commitFiles(root, { 'my file.js': 'export const a = 1;\n' }, 'Added my file');
+    await commitFiles(root, { 'my file.js': 'export const a = 2;\n' }, 'Changed my file');
+    await writeFiles(root, { 'my file.js': 'export const a = 3;\n' });
+    await git(root, 'add', 'my file.js');
+    await writeFiles(root, { 'my file.js': 'export const a = 3;\nexport const b = 4;\n' });
+    try {
+      const repo = new GitRepository(root);
+
+      const [committed] = await repo.getChanges(await repo.resolveRange('HEAD'));
+      assert.deepEqual([committed.path, committed.before, committed.after], ['my file.js', 'export const a = 1;\n', 'export const a = 2;\n']);
+
+      const [staged] = await repo.getStagedChanges();
+      assert.deepEqual([staged.path, staged.before, staged.after], ['my file.js', 'export const a = 2;\n', 'export const a = 3;\n']);
+
+      const { changes } = await repo.getWorkingTreeChanges();
+      assert.deepEqual(changes.map(change => [change.path, [...change.addedLines]]), [['my file.js', [1, 2]]]);
+    } finally {
+      await git(root, 'reset', '-q', '--hard', base);
+    }
+  });
+
+  // noprefix drops a/ and b/ (so b/util.js would lose its directory), mnemonicPrefix
+  // turns them into c/, i/ and w/ for index and working tree diffs
+  for (const [key, value] of [['diff.noprefix', 'true'], ['diff.mnemonicPrefix', 'true']]) {
+    it(`reads paths correctly with ${key} set`, async () => {
+      await git(root, 'config', key, value);
+      await writeFiles(root, { 'b/util.js': 'export const util = 2;\n' });
+      await git(root, 'add', 'b/util.js');
+      try {
+        const repo = new GitRepository(root);
+
+        const committed = await repo.getChanges(await repo.resolveRange('HEAD'));
+        assert.deepEqual(committed.map(change => [change.path, change.status]).sort(), [
+          ['b/util.js', 'added'],
+          ['src/backoff.js', 'added'],
+          ['src/retry.js', 'modified']
+        ]);
+        assert.equal(committed.find(change => change.path === 'b/util.js').after, 'export const util = 1;\n');
+
+        const staged = await repo.getStagedChanges();
+        assert.deepEqual(staged.map(change => [change.path, change.before, change.after]), [
+          ['b/util.js', 'export const util = 1;\n', 'export const util = 2;\n']
+        ]);
+
+        const { changes } = await repo.getWorkingTreeChanges();
+        assert.deepEqual(changes.map(change => [change.path, [...change.addedLines]]), [['b/util.js', [1]]]);
+      } finally {
+        await git(root, 'reset', '-q', '--hard');
+        await git(root, 'config', '--unset', key);
+      }
+    });
+  }
+});
@@ -0,0 +1,67 @@
+import { promises as fs } from 'fs';
+import { devNull, tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { runGit } from '../src/git.js';
+
+/**
+ * Test helpers - throwaway directories and git repositories. The repositories
+ * must not pick up the caller's git config, hooks or enclosing repository
+ * (npm test may itself run inside a git hook), so GIT_* variables are reset.
+ */
+
+for (const key of Object.keys(process.env)) {
+  if (key.startsWith('GIT_')) delete process.env[key];
+}
+Object.assign(process.env, {
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_CONFIG_GLOBAL: devNull,
+  GIT_AUTHOR_NAME: 'SlopWatch Test',
+  GIT_AUTHOR_EMAIL: 'test@slopwatch.invalid',
+  GIT_COMMITTER_NAME: 'SlopWatch Test',
+  GIT_COMMITTER_EMAIL: 'test@slopwatch.invalid'
+});
+
+async function createTempDir() {
+  return fs.realpath(await fs.mkdtemp(join(tmpdir(), 'slopwatch-test-')));
+}
+
+async function removeTempDir(dir) {
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+async function writeFiles(root, files) {
+  for (const [file, content] of Object.entries(files)) {
+    const path = join(root, file);
+    await fs.mkdir(dirname(path), { recursive: true });
+    await fs.writeFile(path, content);
+  }
+}
+
+/**
+ * Run git in `cwd`, resolving with its trimmed output and throwing if it fails
+ */
+async function git(cwd, ...args) {
+  const result = await runGit(args, cwd);
+  if (result.code !== 0) {
+    throw new Error(`git ${args.join(' ')} failed: ${result.stderr}`);
+  }
+  return result.stdout.trim();
+}
+
+async function createRepo() {
+  const root = await createTempDir();
+  await git(root, 'init', '-q');
+  return root;
+}
+
+/**
+ * Write the files and commit everything. Resolves to the new commit's hash
+ */
+async function commitFiles(root, files, message) {
+  await writeFiles(root, files);
+  await git(root, 'add', '-A');
+  await git(root, 'commit', '-q', '--allow-empty', '-m', message);
+  return git(root, 'rev-parse', 'HEAD');
+}
+
+export { createTempDir, removeTempDir, writeFiles, git, createRepo, commitFiles };
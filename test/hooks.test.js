@@ -0,0 +1,131 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { runGit } from '../src/git.js';
+import { installHooks, uninstallHooks, cleanCommitMessage, validateHookSettings } from '../src/hooks.js';
+import { commitFiles, createRepo, git, removeTempDir, writeFiles } from './helpers.js';
+
+const EXISTING_HOOK = '#!/bin/sh\necho "own hook ran" >> "$(git rev-parse --git-dir)/own-hook.log"\n';
+
+describe('git hooks', () => {
+  let root;
+  let hooks;
+
+  beforeEach(async () => {
+    root = await createRepo();
+    hooks = join(root, '.git', 'hooks');
+    await commitFiles(root, { 'src/client.js': 'export const get = url => fetch(url);\n' }, 'init');
+  });
+
+  afterEach(() => removeTempDir(root));
+
+  it('installs both hooks and updates them in place when run again', async () => {
+    const installed = await installHooks(root);
+    assert.deepEqual(installed.map(({ hook, status }) => [hook, status]), [['commit-msg', 'installed'], ['pre-push', 'installed']]);
+    assert.match(await fs.readFile(join(hooks, 'commit-msg'), 'utf-8'), /# slopwatch-hook/);
+
+    const again = await installHooks(root);
+    assert.deepEqual(again.map(({ status }) => status), ['updated', 'updated']);
+  });
+
+  it('chains an existing hook and puts it back on uninstall', async () => {
+    await fs.mkdir(hooks, { recursive: true });
+    await fs.writeFile(join(hooks, 'commit-msg'), EXISTING_HOOK, { mode: 0o755 });
+
+    const installed = await installHooks(root);
+    assert.equal(installed[0].status, 'chained');
+    assert.equal(await fs.readFile(join(hooks, 'commit-msg.pre-slopwatch'), 'utf-8'), EXISTING_HOOK);
+
+    const removed = await uninstallHooks(root);
+    assert.deepEqual(removed.map(({ hook, status }) => [hook, status]), [['commit-msg', 'restored'], ['pre-push', 'removed']]);
+    assert.equal(await fs.readFile(join(hooks, 'commit-msg'), 'utf-8'), EXISTING_HOOK);
+    await assert.rejects(fs.access(join(hooks, 'pre-push')), { code: 'ENOENT' });
+  });
+
+  it('refuses to chain over an earlier chained hook', async () => {
+    await fs.mkdir(hooks, { recursive: true });
+    await fs.writeFile(join(hooks, 'commit-msg'), EXISTING_HOOK, { mode: 0o755 });
+    await fs.writeFile(join(hooks, 'commit-msg.pre-slopwatch'), EXISTING_HOOK, { mode: 0o755 });
+
+    await assert.rejects(installHooks(root), /already exists/);
+  });
+
+  it('blocks a commit whose message the staged changes do not support, after running the chained hook', async () => {
+    await fs.mkdir(hooks, { recursive: true });
+    await fs.writeFile(join(hooks, 'commit-msg'), EXISTING_HOOK, { mode: 0o755 });
+    await installHooks(root);
+    await writeFiles(root, { 'src/client.js': 'export const get = url => fetch(url, { cache: "no-store" });\n' });
+    await git(root, 'add', '-A');
+
+    const blocked = await runGit(['commit', '-q', '-m', 'Added checkRateLimit() to throttle the API client'], root);
+    assert.equal(blocked.code, 1);
+    assert.match(blocked.stderr, /SlopWatch blocked this/);
+    assert.equal(await fs.readFile(join(root, '.git', 'own-hook.log'), 'utf-8'), 'own hook ran\n');
+
+    process.env.SLOPWATCH_SKIP_HOOKS = '1';
+    try {
+      const skipped = await runGit(['commit', '-q', '-m', 'Added checkRateLimit() to throttle the API client'], root);
+      assert.equal(skipped.code, 0, skipped.stderr);
+    } finally {
+      delete process.env.SLOPWATCH_SKIP_HOOKS;
+    }
+  });
+
+  it('warns instead of blocking when a warn-mode hook cannot run, even with the rest of the config invalid', async () => {
+    await installHooks(root);
+    await writeFiles(root, {
+      '.slopwatch.json': JSON.stringify({ hooks: { commitMsg: 'warn' }, threshold: 'high' }),
+      'src/client.js': 'export const get = url => fetch(url, { cache: "no-store" });\n'
+    });
+    await git(root, 'add', '-A');
+
+    const warned = await runGit(['commit', '-q', '-m', 'Added checkRateLimit() to throttle the API client'], root);
+    assert.equal(warned.code, 0, warned.stderr);
+    assert.match(warned.stderr, /⚠️ SlopWatch commit-msg hook could not check this: Invalid \.slopwatch\.json/);
+
+    await writeFiles(root, { '.slopwatch.json': JSON.stringify({ hooks: { commitMsg: 'block' }, threshold: 'high' }) });
+    await git(root, 'add', '-A');
+    const blocked = await runGit(['commit', '-q', '-m', 'Added checkRateLimit() to throttle the API client'], root);
+    assert.equal(blocked.code, 1);
+  });
+
+  it('lets a commit through when the staged changes back the message', async () => {
+    await installHooks(root);
+    await writeFiles(root, {
+      'src/retry.js': [
+        'export async function fetchWithRetry(url, retries = 3) {',
+        '  for (let attempt = 0; attempt < retries; attempt++) {',
+        '    try {',
+        '      return await fetch(url);',
+        '    } catch (error) {',
+        '      if (attempt === retries - 1) throw error;',
+        '    }',
+        '  }',
+        '}',
+        ''
+      ].join('\n')
+    });
+    await git(root, 'add', '-A');
+
+    const result = await runGit(['commit', '-q', '-m', 'Added fetchWithRetry to retry failed fetch calls in retry.js'], root);
+    assert.equal(result.code, 0, result.stderr);
+  });
+});
+
+describe('cleanCommitMessage', () => {
+  it('drops comment lines and everything below the scissors line', () => {
+    const message = 'Added retry logic\n\n# Please enter the commit message\nBody text\n# ------------------------ >8 ------------------------\ndiff --git a/x b/x\n';
+    assert.equal(cleanCommitMessage(message), 'Added retry logic\n\nBody text');
+  });
+});
+
+describe('validateHookSettings', () => {
+  it('accepts block, warn and off for known hooks only', () => {
+    assert.deepEqual(validateHookSettings({ commitMsg: 'warn', prePush: 'off' }), []);
+    assert.deepEqual(validateHookSettings({ commitMsg: 'maybe', postCommit: 'block' }), [
+      'hooks.commitMsg must be one of: block, warn, off',
+      'hooks.postCommit is not a hook setting (expected one of: commitMsg, prePush)'
+    ]);
+  });
+});
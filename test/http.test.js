@@ -0,0 +1,102 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SlopWatchServer } from '../src/mcp-server.js';
+import { SlopWatchHttpServer } from '../src/http.js';
+
+describe('SlopWatchHttpServer', () => {
+  let http;
+  let baseUrl;
+
+  before(async () => {
+    http = new SlopWatchHttpServer(new SlopWatchServer({ store: null }), { port: 0, host: '127.0.0.1', token: null, corsOrigins: [], maxSessions: 1 });
+    const { port } = await http.listen();
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  after(() => http.close());
+
+  const post = (path, body, contentType = 'application/json') => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: contentType ? { 'Content-Type': contentType } : {},
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  it('refuses to listen beyond loopback without a token', async () => {
+    const open = new SlopWatchHttpServer(new SlopWatchServer({ store: null }), { port: 0, host: '0.0.0.0', token: null });
+    await assert.rejects(open.listen(), /Refusing to listen on 0\.0\.0\.0/);
+  });
+
+  it('exits at startup when told to serve 0.0.0.0 without a token', async () => {
+    const entry = fileURLToPath(new URL('../src/mcp-server.js', import.meta.url));
+    const env = { ...process.env, SLOPWATCH_STORE: 'false', SLOPWATCH_HTTP_HOST: '0.0.0.0', PORT: '0' };
+    delete env.SLOPWATCH_HTTP_TOKEN;
+
+    const result = await new Promise(resolve => {
+      execFile(process.execPath, [entry, '--http'], { env, timeout: 10000 }, (error, stdout, stderr) => resolve({ error, stderr }));
+    });
+    assert.equal(result.error?.code, 1);
+    assert.match(result.stderr, /Refusing to listen on 0\.0\.0\.0 without SLOPWATCH_HTTP_TOKEN/);
+  });
+
+  it('registers and verifies a claim over REST', async () => {
+    const created = await post('/claims', { claim: 'Added retry logic', fileContents: { 'retry.js': '' } });
+    assert.equal(created.status, 201);
+    const { claimId } = await created.json();
+
+    const verified = await post(`/claims/${claimId}/verify`, {
+      updatedFileContents: { 'retry.js': 'export async function retry(fn, attempts = 3) {\n  for (let i = 0; i < attempts; i++) {\n    try { return await fn(); } catch (error) { if (i === attempts - 1) throw error; }\n  }\n}\n' }
+    });
+    assert.equal(verified.status, 200);
+    assert.equal((await verified.json()).claimId, claimId);
+  });
+
+  it('only accepts JSON bodies sent as application/json', async () => {
+    const body = { claim: 'Added retry logic', fileContents: { 'retry.js': '' } };
+
+    assert.equal((await post('/claims', body, 'text/plain')).status, 415);
+    assert.equal((await post('/claims', body, 'application/x-www-form-urlencoded')).status, 415);
+    assert.equal((await post('/claims', body, 'application/json; charset=utf-8')).status, 201);
+    assert.equal((await post('/claims', '{not json')).status, 400);
+  });
+
+  it('rejects fields of the wrong type', async () => {
+    for (const body of [{ claim: 'Added x', fileContents: 'abc' }, { claim: 'Added x', files: 'a.js' }, { claim: 'Added x', fileContents: { 'a.js': 1 } }, ['Added x']]) {
+      const response = await post('/claims', body);
+      assert.equal(response.status, 400, JSON.stringify(body));
+    }
+  });
+
+  it('serves the MCP tools over Streamable HTTP', async () => {
+    const client = new Client({ name: 'test', version: '1.0.0' });
+    const transport = new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`));
+    await client.connect(transport);
+
+    const { tools } = await client.listTools();
+    assert.ok(tools.some(tool => tool.name === 'slopwatch_claim_and_verify'));
+    await transport.terminateSession();
+    await client.close();
+  });
+
+  it('caps open MCP sessions and frees the slot of an idle one', async () => {
+    const connect = async () => {
+      const client = new Client({ name: 'test', version: '1.0.0' });
+      await client.connect(new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`)));
+      return client;
+    };
+
+    const first = await connect();
+    await assert.rejects(connect(), /HTTP 503/);
+
+    const [sessionId] = http.streamableSessions.keys();
+    http.sessionActivity.set(sessionId, Date.now() - 31 * 60 * 1000);
+    const second = await connect();
+    assert.equal(http.streamableSessions.has(sessionId), false);
+    assert.ok((await second.listTools()).tools.length > 0);
+
+    await Promise.all([first.close(), second.close()]);
+  });
+});
@@ -0,0 +1,211 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SlopWatchServer } from '../src/mcp-server.js';
+import { commitFiles, createRepo, removeTempDir } from './helpers.js';
+
+const RETRY_SOURCE = [
+  'export async function fetchWithRetry(url, retries = 3) {',
+  '  for (let attempt = 0; attempt < retries; attempt++) {',
+  '    try {',
+  '      return await fetch(url);',
+  '    } catch (error) {',
+  '      if (attempt === retries - 1) throw error;',
+  '    }',
+  '  }',
+  '}',
+  ''
+].join('\n');
+
+describe('SlopWatchServer', () => {
+  describe('verifyRevision', () => {
+    let root;
+    let server;
+
+    before(async () => {
+      root = await createRepo();
+      await commitFiles(root, { 'README.md': '# API client\n' }, 'init');
+      await commitFiles(root, { 'src/retry.js': RETRY_SOURCE }, 'Added retry logic to fetch calls in retry.js');
+      await commitFiles(root, { 'src/client.js': 'export const get = url => fetch(url);\n' }, 'Added rate limiting to the API client');
+      server = new SlopWatchServer({ workspaceRoot: root, store: null });
+    });
+
+    after(() => removeTempDir(root));
+
+    it('verifies each commit in a range against its own diff and fails if any claim fails', async () => {
+      const { result, claimRecord, verdicts } = await server.verifyRevision({ revision: 'HEAD~2..HEAD' });
+
+      assert.deepEqual(verdicts.map(({ detectedClaim, result: verdict }) => [detectedClaim.claim, verdict.isVerified]), [
+        ['Added retry logic to fetch calls in retry.js', true],
+        ['Added rate limiting to the API client', false]
+      ]);
+      assert.equal(result.isVerified, false);
+      assert.equal(claimRecord.claim, 'Added rate limiting to the API client');
+    });
+
+    it('checks an explicit claim against the whole range', async () => {
+      const { result, verdicts } = await server.verifyRevision({ revision: 'HEAD~2..HEAD', claim: 'Added fetchWithRetry in retry.js' });
+
+      assert.equal(verdicts, undefined);
+      assert.equal(result.isVerified, true);
+    });
+
+    it('verifies a single commit against its message', async () => {
+      const { result, range } = await server.verifyRevision({ revision: 'HEAD~1' });
+
+      assert.equal(range.single, true);
+      assert.equal(result.isVerified, true);
+    });
+  });
+
+  describe('detectResponseClaims', () => {
+    const server = new SlopWatchServer({ store: null });
+
+    it('checks each sentence that reports work when the detector merges them', () => {
+      const claims = server.detectResponseClaims(
+        'I added input validation to the signup form and implemented retry logic with exponential backoff. All tests pass.'
+      );
+
+      assert.deepEqual(claims.map(claim => claim.claim), [
+        'added input validation to the signup form',
+        'implemented retry logic with exponential backoff'
+      ]);
+    });
+
+    it('finds nothing in text that reports no work', () => {
+      assert.deepEqual(server.detectResponseClaims('Let me know if you have any questions.'), []);
+    });
+  });
+
+  describe('claim verification', () => {
+    const server = new SlopWatchServer({ store: null });
+
+    it('gives no symbol credit to a declaration with a placeholder inside', async () => {
+      const stubbed = await server.createClaim({ claim: 'Implemented validateEmail function in utils.js', fileContents: { 'utils.js': '' } });
+      const { result } = await server.verifyClaim(stubbed.id, {
+        'utils.js': 'export function validateEmail(email) {\n  // TODO: implement\n  throw new Error("Not implemented");\n}\n'
+      });
+      assert.equal(result.isVerified, false);
+
+      const real = await server.createClaim({ claim: 'Implemented validateEmail function in utils.js', fileContents: { 'utils.js': '' } });
+      const { result: realResult } = await server.verifyClaim(real.id, {
+        'utils.js': 'export function validateEmail(email) {\n  return /^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$/.test(email);\n}\n'
+      });
+      assert.equal(realResult.isVerified, true);
+    });
+
+    it('keeps only the snapshot hashes of a claim once it is verified', async () => {
+      const claimRecord = await server.createClaim({ claim: 'Added fetchWithRetry in retry.js', fileContents: { 'retry.js': '' } });
+      assert.equal(claimRecord.fileSnapshots['retry.js'].content, '');
+
+      await server.verifyClaim(claimRecord.id, { 'retry.js': RETRY_SOURCE });
+      assert.deepEqual(Object.keys(server.claims.get(claimRecord.id).fileSnapshots['retry.js']).sort(), ['exists', 'hash']);
+    });
+
+    it('does not require a declaration named after a product the claim mentions', async () => {
+      const claimRecord = await server.createClaim({ claim: 'Added retry logic to the TypeScript API client', fileContents: { 'client.ts': '' } });
+      const { result } = await server.verifyClaim(claimRecord.id, { 'client.ts': RETRY_SOURCE });
+
+      assert.equal(result.scores.symbols, undefined);
+      assert.equal(result.isVerified, true);
+    });
+
+    it('rejects file contents that are not an object of strings', async () => {
+      await assert.rejects(server.createClaim({ claim: 'Added x', fileContents: 'abc' }), /fileContents must be an object/);
+      await assert.rejects(server.createClaim({ claim: 'Added x', files: 'a.js' }), /files must be an array/);
+
+      const claimRecord = await server.createClaim({ claim: 'Added x', fileContents: { 'a.js': '' } });
+      await assert.rejects(server.verifyClaim(claimRecord.id, ['a']), /updatedFileContents must be an object/);
+    });
+
+    it('answers claim_and_verify with an error for file contents that are not an object of strings', async () => {
+      const before = server.claims.size;
+      for (const [args, message] of [
+        [{ originalFileContents: 'abc' }, /originalFileContents must be an object/],
+        [{ originalFileContents: { 'a.js': 5 } }, /originalFileContents must be an object/],
+        [{ updatedFileContents: null }, /updatedFileContents must be an object/]
+      ]) {
+        const response = await server.handleClaimAndVerify({ claim: 'Added retry logic', responseFormat: 'json', ...args });
+        const payload = JSON.parse(response.content[0].text);
+
+        assert.equal(payload.verdict, 'ERROR');
+        assert.match(payload.error, message);
+      }
+      assert.equal(server.claims.size, before);
+    });
+
+    it('answers scan_response with an error for a non-string response or malformed file contents', async () => {
+      const before = server.claims.size;
+      for (const [args, message] of [
+        [{ response: ['I added retry logic'] }, /No response text to scan/],
+        [{ response: 'I added retry logic.', originalFileContents: 'abc' }, /originalFileContents must be an object/],
+        [{ response: 'I added retry logic.', updatedFileContents: { 'a.js': 5 } }, /updatedFileContents must be an object/]
+      ]) {
+        const response = await server.handleScanResponse({ responseFormat: 'json', ...args });
+        const payload = JSON.parse(response.content[0].text);
+
+        assert.equal(payload.verdict, 'ERROR');
+        assert.match(payload.error, message);
+      }
+      assert.equal(server.claims.size, before);
+    });
+
+    it('checks React only for React wording, and scores a domain without evidence down instead of failing it', async () => {
+      const spinner = await server.createClaim({
+        claim: 'Added a loading spinner to the Dashboard component',
+        fileContents: { 'Dashboard.vue': '<template>\n  <Chart :data="data" />\n</template>\n' }
+      });
+      const { result: spinnerResult } = await server.verifyClaim(spinner.id, {
+        'Dashboard.vue': '<template>\n  <LoadingSpinner v-if="loading" />\n  <Chart v-else :data="data" />\n</template>\n'
+      });
+      assert.equal(spinnerResult.domains, undefined);
+      assert.equal(spinnerResult.isVerified, true);
+
+      const settings = await server.createClaim({ claim: 'Created the settings page UI', fileContents: { 'SettingsPage.jsx': '' } });
+      const { result: settingsResult } = await server.verifyClaim(settings.id, {
+        'SettingsPage.jsx': 'export function SettingsPage({ onSave }) {\n  return <form onSubmit={onSave}><button type="submit">Save settings</button></form>;\n}\n'
+      });
+      assert.deepEqual(settingsResult.scores.domains, { score: -20, checked: ['styling'], missing: ['styling'] });
+      assert.equal(settingsResult.isVerified, true);
+    });
+
+    it('requires removal of named packages and identifiers, not of the words describing them', async () => {
+      const before = { 'utils.js': "import _ from 'lodash';\n\nexport const unique = items => _.uniq(items);\n" };
+      const after = { 'utils.js': 'export const unique = items => [...new Set(items)];\n' };
+
+      for (const claim of ['Removed the lodash dependency', 'Removed the unused lodash import']) {
+        const claimRecord = await server.createClaim({ claim, fileContents: before });
+        const { result } = await server.verifyClaim(claimRecord.id, after);
+        assert.deepEqual(result.action.targets, [{ name: 'lodash', status: 'removed' }], claim);
+        assert.equal(result.isVerified, true, claim);
+      }
+
+      const kept = await server.createClaim({ claim: 'Removed the lodash dependency', fileContents: before });
+      const { result: keptResult } = await server.verifyClaim(kept.id, before);
+      assert.equal(keptResult.isVerified, false);
+    });
+
+    it('passes a removal described only in words when one of them is gone, ignoring words the old code lacked', async () => {
+      const claimRecord = await server.createClaim({
+        claim: 'Removed the unused debug call',
+        fileContents: { 'a.js': "export const f = x => {\n  console.log('debug', x);\n  return x;\n};\n" }
+      });
+      const { result } = await server.verifyClaim(claimRecord.id, { 'a.js': 'export const f = x => {\n  return x;\n};\n' });
+
+      assert.ok(result.action.targets.some(target => target.status === 'not_found'));
+      assert.equal(result.isVerified, true);
+    });
+  });
+
+  describe('setup_rules', () => {
+    const server = new SlopWatchServer({ store: null });
+
+    it('rejects targets that are not an array of known editors before writing anything', async () => {
+      for (const targets of ['cursor', null, ['cursor', 'vim'], [{}]]) {
+        const response = await server.handleSetupRules({ targets });
+
+        assert.equal(response.isError, true);
+        assert.match(response.content[0].text, /targets must be an array of: cursor, claude, windsurf, copilot/);
+      }
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTextReport, formatJUnitReport, escapeXml } from '../src/reports.js';
+
+const report = {
+  command: 'scan',
+  revision: 'main...HEAD',
+  verdict: 'FAILED',
+  passed: 1,
+  failed: 1,
+  claims: [
+    {
+      claim: 'Added retry logic',
+      claimId: 'abc123',
+      commit: '0123456789abcdef',
+      verdict: 'PASSED',
+      confidence: 80,
+      checks: [{ name: 'diff', verdict: 'PASSED', confidence: 80, threshold: 50, details: 'ok' }]
+    },
+    {
+      claim: 'Fixed <script> & "quotes"',
+      claimId: 'def456',
+      verdict: 'FAILED',
+      confidence: 10,
+      checks: [
+        { name: 'diff', verdict: 'PASSED', confidence: 60, threshold: 50 },
+        { name: 'evidence', verdict: 'FAILED', confidence: 10, details: 'No escaping found' }
+      ]
+    }
+  ]
+};
+
+describe('formatTextReport', () => {
+  it('lists each claim with its checks and an overall verdict', () => {
+    const text = formatTextReport(report);
+
+    assert.match(text, /^🎯 SlopWatch scan: 2 claims \(main\.\.\.HEAD\)/);
+    assert.match(text, /✅ PASSED \(80%\) 0123456 Added retry logic/);
+    assert.match(text, /   ❌ evidence: FAILED \(10%\) No escaping found/);
+    assert.match(text, /❌ FAILED \(1\/2 claims failed\)$/);
+  });
+
+  it('says so when there were no claims', () => {
+    assert.equal(formatTextReport({ ...report, claims: [] }), '⚪ No implementation claims detected (main...HEAD)');
+  });
+});
+
+describe('formatJUnitReport', () => {
+  it('writes one test case per check, failing the checks that failed', () => {
+    const xml = formatJUnitReport(report, '2026-01-01T00:00:00.000Z');
+
+    assert.match(xml, /<testsuites name="slopwatch" tests="3" failures="1" errors="0">/);
+    assert.match(xml, /<testsuite name="slopwatch scan main\.\.\.HEAD" tests="3" failures="1" errors="0" timestamp="2026-01-01T00:00:00.000Z">/);
+    assert.match(xml, /<testcase classname="slopwatch.diff" name="0123456 Added retry logic"\/>/);
+    assert.match(xml, /<failure message="FAILED \(10%\) - claim def456" type="unsupported-claim">No escaping found<\/failure>/);
+  });
+
+  it('reports claims that could not be verified as errors', () => {
+    const xml = formatJUnitReport({ command: 'verify', claims: [{ claim: 'Added x', error: 'Not a git repository' }] });
+    assert.match(xml, /errors="1"/);
+    assert.match(xml, /<error message="Not a git repository" type="verification-error"\/>/);
+  });
+
+  it('escapes markup and drops characters XML cannot carry', () => {
+    assert.equal(escapeXml('<a href="x">&\'\u0001</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&apos;&lt;/a&gt;');
+    assert.match(formatJUnitReport(report), /name="Fixed &lt;script&gt; &amp; &quot;quotes&quot;"/);
+  });
+});
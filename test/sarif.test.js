@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SARIF_RULES,
+  levelForConfidence,
+  verificationFindings,
+  analysisFindings,
+  createSarifLog,
+  formatSarifReport
+} from '../src/sarif.js';
+
+const failedPayload = {
+  claimId: 'abc123',
+  claim: 'Added retry logic',
+  verdict: 'FAILED',
+  confidence: 20,
+  threshold: 50,
+  details: 'Implementation failed: 0/2 keywords found',
+  files: [
+    { filename: '/repo/src/client.js', status: 'modified', diff: { hunks: [{ newStart: 12 }] } },
+    { filename: '/repo/README.md', status: 'unchanged' }
+  ],
+  stubs: [{ type: 'not_implemented', description: 'Not-implemented error', text: 'throw new Error("TODO")', file: '/repo/src/client.js', line: 14 }],
+  tampering: [{ file: 'src/client.js', side: 'updated', reason: 'content differs from disk' }]
+};
+
+describe('levelForConfidence', () => {
+  it('maps confidence against the threshold to note, warning or error', () => {
+    assert.equal(levelForConfidence(80, 50), 'note');
+    assert.equal(levelForConfidence(30, 50), 'warning');
+    assert.equal(levelForConfidence(20, 50), 'error');
+    assert.equal(levelForConfidence(60, 70), 'warning');
+  });
+});
+
+describe('verificationFindings', () => {
+  it('reports the unsupported claim, its stubs and tampering at their locations', () => {
+    const results = verificationFindings(failedPayload, { root: '/repo' });
+
+    assert.deepEqual(results.map(result => [result.ruleId, result.level]), [
+      ['unsupported-claim', 'error'],
+      ['stub-not-implemented', 'error'],
+      ['tampered-content', 'error']
+    ]);
+    assert.deepEqual(results[0].locations, [{ physicalLocation: { artifactLocation: { uri: 'src/client.js' }, region: { startLine: 12 } } }]);
+    assert.deepEqual(results[1].locations[0].physicalLocation.region, { startLine: 14 });
+    assert.deepEqual(results[0].properties, { claimId: 'abc123', claim: 'Added retry logic', confidence: 20, threshold: 50 });
+  });
+
+  it('raises stubs in a passing claim to warnings rather than notes', () => {
+    const results = verificationFindings({ ...failedPayload, verdict: 'PASSED', confidence: 90, tampering: [] });
+    assert.deepEqual(results.map(result => [result.ruleId, result.level]), [['stub-not-implemented', 'warning']]);
+  });
+});
+
+describe('analysisFindings', () => {
+  it('reports questionable patterns per line and missing evidence on its file', () => {
+    const results = analysisFindings({
+      claim: 'Added error handling',
+      confidence: 10,
+      contradictingEvidence: [
+        { kind: 'concern', message: '⚠️ Empty catch', check: 'errorHandling', locations: [{ file: 'a.js', line: 3, label: 'Empty catch block', text: 'catch (e) {}' }] },
+        { kind: 'missing', message: '❌ No error handling found', file: 'b.js' }
+      ]
+    });
+
+    assert.deepEqual(results.map(result => [result.ruleId, result.level, result.message.text]), [
+      ['questionable-pattern', 'error', 'Empty catch block: catch (e) {} - undermines "Added error handling"'],
+      ['missing-evidence', 'error', 'No error handling found - claimed as "Added error handling"']
+    ]);
+  });
+});
+
+describe('createSarifLog', () => {
+  it('declares only the rules its results use, and indexes them', () => {
+    const log = createSarifLog(verificationFindings(failedPayload, { root: '/repo' }));
+    const { rules } = log.runs[0].tool.driver;
+
+    assert.equal(log.version, '2.1.0');
+    assert.deepEqual(rules.map(rule => rule.id), ['unsupported-claim', 'tampered-content', 'stub-not-implemented']);
+    for (const result of log.runs[0].results) {
+      assert.equal(rules[result.ruleIndex].id, result.ruleId);
+      assert.ok(SARIF_RULES[result.ruleId]);
+    }
+  });
+
+  it('turns CLI report entries that could not be checked into verification errors', () => {
+    const log = JSON.parse(formatSarifReport({ claims: [{ claim: 'Added retry', commit: 'abcdef1', error: 'Unknown git revision: x', checks: [] }] }));
+    const [result] = log.runs[0].results;
+
+    assert.equal(result.ruleId, 'verification-error');
+    assert.deepEqual(result.properties, { claim: 'Added retry', commit: 'abcdef1' });
+  });
+
+  it('reports CLI entries for revisions without changes under no-changes', () => {
+    const log = JSON.parse(formatSarifReport({
+      claims: [{ claim: 'Added retry', commit: 'abcdef1', verdict: 'FAILED', confidence: 0, checks: [], error: 'No text file changes in abcdef1', code: 'NO_CHANGES' }]
+    }));
+    const [result] = log.runs[0].results;
+
+    assert.equal(result.ruleId, 'no-changes');
+    assert.equal(result.level, 'error');
+    assert.deepEqual(log.runs[0].tool.driver.rules.map(rule => rule.id), ['no-changes']);
+    assert.deepEqual(result.properties, { claim: 'Added retry', confidence: 0, commit: 'abcdef1' });
+  });
+});
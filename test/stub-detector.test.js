@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { StubDetector } from '../src/stub-detector.js';
+
+const detector = new StubDetector();
+
+// Every line of the content counts as added
+const allLines = content => new Set(content.split('\n').map((line, index) => index + 1));
+
+const found = stubs => stubs.map(stub => [stub.line, stub.type]);
+
+describe('StubDetector', () => {
+  describe('line patterns', () => {
+    it('reports TODO markers and not-implemented throws', () => {
+      const content = [
+        'const limit = 10; // TODO: make configurable',
+        "  throw new Error('Not implemented');",
+        '  throw new Error("not yet implemented: retries");',
+        '  raise NotImplementedError',
+        '  todo!()'
+      ].join('\n');
+
+      assert.deepEqual(found(detector.detect('a.txt', content, allLines(content))), [
+        [1, 'todo'],
+        [2, 'not_implemented'],
+        [3, 'not_implemented'],
+        [4, 'not_implemented'],
+        [5, 'not_implemented']
+      ]);
+    });
+
+    it('reports placeholder comments and Python pass, but not words that only look like them', () => {
+      const content = [
+        '// ... rest of the code here',
+        '// ...',
+        'const todoList = [];',
+        "throw new Error('Invalid email');",
+        '    pass'
+      ].join('\n');
+
+      assert.deepEqual(found(detector.detect('a.txt', content, allLines(content))), [[1, 'placeholder_comment'], [2, 'placeholder_comment']]);
+      assert.deepEqual(found(detector.detect('a.py', content, allLines(content))), [[1, 'placeholder_comment'], [2, 'placeholder_comment'], [5, 'placeholder_body']]);
+    });
+  });
+
+  describe('placeholder functions', () => {
+    it('reports named functions with an empty body or only a placeholder return', () => {
+      const content = [
+        'export function validateEmail(email) {}',
+        'const parse = input => {',
+        '  return null;',
+        '};',
+        'class Cache {',
+        '  constructor() {}',
+        '  get(key) {',
+        '    return {};',
+        '  }',
+        '}',
+        'function noop() {',
+        '  // intentionally empty',
+        '}',
+        'function real(x) {',
+        '  return x * 2;',
+        '}'
+      ].join('\n');
+
+      const stubs = detector.detect('a.js', content, allLines(content));
+      assert.deepEqual(stubs.map(stub => [stub.line, stub.type, stub.text]), [
+        [1, 'empty_function', 'validateEmail'],
+        [3, 'placeholder_return', 'parse'],
+        [8, 'placeholder_return', 'get']
+      ]);
+    });
+
+    it('skips files it cannot parse as JavaScript or TypeScript', () => {
+      const content = 'def validate_email(email):\n    return None\n';
+      assert.deepEqual(detector.detect('a.py', content, allLines(content)), []);
+    });
+  });
+
+  describe('added lines', () => {
+    it('ignores stubs that were already there before the change', () => {
+      const content = [
+        'function legacy() {}',
+        '// TODO: remove legacy',
+        'export function fetchWithRetry(url) {',
+        '  return fetch(url);',
+        '}'
+      ].join('\n');
+
+      assert.deepEqual(detector.detect('a.js', content, new Set([3, 4, 5])), []);
+      assert.deepEqual(found(detector.detect('a.js', content, new Set([1, 2]))), [[1, 'empty_function'], [2, 'todo']]);
+    });
+
+    it('reports a pre-existing function once the change touches its body', () => {
+      const content = 'function load() {\n  return [];\n}\n';
+      assert.deepEqual(found(detector.detect('a.js', content, new Set([2]))), [[2, 'placeholder_return']]);
+    });
+  });
+});
@@ -0,0 +1,17 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findClaimIdentifiers } from '../src/symbols.js';
+
+describe('findClaimIdentifiers', () => {
+  it('finds backticked, called, camelCase, PascalCase and snake_case names', () => {
+    assert.deepEqual(findClaimIdentifiers('Added `retry` and parseConfig() to ApiClient, stored in user_id'),
+      ['retry', 'parseConfig', 'ApiClient', 'user_id']);
+  });
+
+  it('treats product names as words unless they are backticked or called', () => {
+    assert.deepEqual(findClaimIdentifiers('Migrated the API client from JavaScript to TypeScript'), []);
+    assert.deepEqual(findClaimIdentifiers('Added GitHub login backed by PostgreSQL and a GraphQL schema'), []);
+    assert.deepEqual(findClaimIdentifiers('Added validateEmail for the iOS app'), ['validateEmail']);
+    assert.deepEqual(findClaimIdentifiers('Wrapped `WebSocket` and JavaScript() in a shim'), ['WebSocket', 'JavaScript']);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTestClaim,
+  parseTestResults,
+  parseCoverageSummary,
+  parseCoverageText,
+  validateTestSettings
+} from '../src/test-verifier.js';
+
+describe('parseTestClaim', () => {
+  it('finds claims that tests pass', () => {
+    for (const claim of ['All tests pass', 'Fixed the parser, the test suite is green', 'The change passes all the unit tests']) {
+      assert.deepEqual(parseTestClaim(claim), { passing: true, coverage: null }, claim);
+    }
+  });
+
+  it('reads claimed coverage and its metric, defaulting to lines', () => {
+    assert.deepEqual(parseTestClaim('Tests pass with 95% coverage'), { passing: true, coverage: { value: 95, metric: 'lines' } });
+    assert.deepEqual(parseTestClaim('Reached 87.5% branch coverage'), { passing: null, coverage: { value: 87.5, metric: 'branches' } });
+    assert.deepEqual(parseTestClaim('Function coverage is now 100%'), { passing: null, coverage: { value: 100, metric: 'functions' } });
+  });
+
+  it('ignores claims about writing tests and negated results', () => {
+    assert.equal(parseTestClaim('Added unit tests for the parser'), null);
+    assert.equal(parseTestClaim("The tests don't pass yet"), null);
+    assert.equal(parseTestClaim('Tests are not passing'), null);
+  });
+});
+
+describe('parseTestResults', () => {
+  it('reads Jest and Vitest JSON after an npm banner', () => {
+    const output = '> app@1.0.0 test\n> jest --json\n\n' + JSON.stringify({
+      numTotalTests: 10, numPassedTests: 7, numFailedTests: 1, numPendingTests: 1, numTodoTests: 1, numRuntimeErrorTestSuites: 1
+    });
+    assert.deepEqual(parseTestResults(output), { reporter: 'jest-json', counts: { total: 10, passed: 7, failed: 2, skipped: 2 } });
+  });
+
+  it('reads JUnit XML totals, or counts test cases when totals are missing', () => {
+    assert.deepEqual(parseTestResults('<testsuites><testsuite name="a" tests="4" failures="1" errors="1" skipped="1"></testsuite></testsuites>'),
+      { reporter: 'junit', counts: { total: 4, failed: 2, skipped: 1, passed: 1 } });
+
+    const cases = '<testsuite name="b"><testcase name="x"/><testcase name="y"><failure/></testcase><testcase name="z"><skipped/></testcase></testsuite>';
+    assert.deepEqual(parseTestResults(cases), { reporter: 'junit', counts: { total: 3, failed: 1, skipped: 1, passed: 1 } });
+  });
+
+  it('reads the node:test summary from the TAP and spec reporters', () => {
+    const tap = 'TAP version 13\nok 1 - a\nnot ok 2 - b\n1..2\n# tests 2\n# pass 1\n# fail 1\n# cancelled 0\n# skipped 0\n# todo 0\n';
+    assert.deepEqual(parseTestResults(tap), { reporter: 'node-test', counts: { total: 2, passed: 1, failed: 1, skipped: 0 } });
+
+    const spec = '✔ a (1ms)\nℹ tests 3\nℹ pass 3\nℹ fail 0\nℹ cancelled 0\nℹ skipped 0\nℹ todo 0\n';
+    assert.deepEqual(parseTestResults(spec), { reporter: 'node-test', counts: { total: 3, passed: 3, failed: 0, skipped: 0 } });
+  });
+
+  it('reads plain TAP, counting tests the plan promised but never reported as failed', () => {
+    assert.deepEqual(parseTestResults('1..5\nok 1 - a\nok 2 - b # SKIP slow\nnot ok 3 - c # TODO later\nnot ok 4 - d\n'),
+      { reporter: 'tap', counts: { total: 5, passed: 2, failed: 2, skipped: 1 } });
+  });
+
+  it('returns null for output in no known format', () => {
+    assert.equal(parseTestResults('Everything is fine'), null);
+  });
+});
+
+describe('coverage parsing', () => {
+  it('reads an Istanbul json-summary', () => {
+    const summary = JSON.stringify({ total: { lines: { pct: 91.5 }, statements: { pct: 90 }, branches: { pct: 75 }, functions: { pct: 100 } } });
+    assert.deepEqual(parseCoverageSummary(summary), { lines: 91.5, statements: 90, branches: 75, functions: 100 });
+    assert.equal(parseCoverageSummary('{}'), null);
+  });
+
+  it('reads the All files row of Istanbul and node:test coverage tables', () => {
+    const istanbul = [
+      '----------|---------|----------|---------|---------|-------------------',
+      'File      | % Stmts | % Branch | % Funcs | % Lines | Uncovered Line #s ',
+      '----------|---------|----------|---------|---------|-------------------',
+      'All files |   88.23 |       75 |     100 |   87.5  |                   ',
+      ' app.js   |   88.23 |       75 |     100 |   87.5  | 12-14             '
+    ].join('\n');
+    assert.deepEqual(parseCoverageText(istanbul), { statements: 88.23, branches: 75, functions: 100, lines: 87.5 });
+
+    const nodeTest = [
+      'ℹ start of coverage report',
+      'ℹ file      | line % | branch % | funcs % | uncovered lines',
+      'ℹ app.js    |  92.00 |    80.00 |  100.00 | 4-5',
+      'ℹ all files |  92.00 |    80.00 |  100.00 |'
+    ].join('\n');
+    assert.deepEqual(parseCoverageText(nodeTest), { lines: 92, branches: 80, functions: 100 });
+  });
+});
+
+describe('validateTestSettings', () => {
+  it('accepts known settings and explains the rest', () => {
+    assert.deepEqual(validateTestSettings({ command: 'npm test', timeout: 60000 }), []);
+    assert.deepEqual(validateTestSettings({ command: '', timeout: -1, shell: 'bash' }), [
+      'tests.command must be a non-empty string',
+      'tests.timeout must be a positive number of milliseconds',
+      'tests.shell is not a test setting (expected one of: command, timeout, resultsFile, coverageFile)'
+    ]);
+    assert.equal(validateTestSettings('npm test').length, 1);
+  });
+});
@@ -0,0 +1,125 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+import { Workspace } from '../src/workspace.js';
+import { loadRulePacks } from '../src/rule-packs.js';
+import { writeRulesFile } from '../src/rules.js';
+import { SlopWatchServer } from '../src/mcp-server.js';
+import { createTempDir, removeTempDir, writeFiles } from './helpers.js';
+
+const packSource = name => `export default { name: '${name}', rules: [{ name: 'uses-result', triggers: ['result type'], positive: ['Result<'] }] };\n`;
+
+describe('workspace confinement', () => {
+  let parent;
+  let root;
+
+  before(async () => {
+    parent = await createTempDir();
+    root = join(parent, 'project');
+    await writeFiles(parent, {
+      'project/src/app.js': 'export const app = true;\n',
+      'project/rules/pack.mjs': packSource('inside'),
+      'secret.txt': 'outside\n',
+      'outside-pack.mjs': packSource('outside')
+    });
+    await fs.symlink(join(parent, 'secret.txt'), join(root, 'link.txt'));
+    await fs.symlink(join(parent, 'outside-pack.mjs'), join(root, 'rules/linked-pack.mjs'));
+  });
+
+  after(() => removeTempDir(parent));
+
+  describe('Workspace', () => {
+    it('resolves paths inside the root and rejects the rest', () => {
+      const workspace = new Workspace(root);
+
+      assert.equal(workspace.resolvePath('src/app.js'), join(root, 'src/app.js'));
+      for (const path of ['../secret.txt', 'src/../../secret.txt', '/etc/passwd', '.', '']) {
+        assert.throws(() => workspace.resolvePath(path), /outside the workspace root/, path);
+      }
+    });
+
+    it('reads files, null for missing ones, and refuses symlinks that lead outside', async () => {
+      const workspace = new Workspace(root);
+
+      assert.equal(await workspace.readFile('src/app.js'), 'export const app = true;\n');
+      assert.equal(await workspace.readFile('src/missing.js'), null);
+      await assert.rejects(workspace.readFile('link.txt'), /outside the workspace root: link.txt/);
+    });
+
+    it('reports supplied contents that differ from the real files', () => {
+      const workspace = new Workspace(root);
+      const tampering = workspace.findTampering(
+        { 'src/app.js': 'export const app = false;\n', 'src/same.js': 'a\r\n' },
+        { 'src/app.js': 'export const app = true;\n', 'src/same.js': 'a\n' },
+        'updated',
+        'disk'
+      );
+
+      assert.deepEqual(tampering, [{ file: 'src/app.js', side: 'updated', source: 'disk', reason: 'content differs from disk' }]);
+    });
+  });
+
+  describe('server workspace roots', () => {
+    it('accepts the server workspace and directories inside it', () => {
+      const server = new SlopWatchServer({ workspaceRoot: root, store: null });
+
+      assert.equal(server.resolveWorkspaceRoot(undefined), root);
+      assert.equal(server.resolveWorkspaceRoot('src'), resolve(root, 'src'));
+    });
+
+    it('rejects directories outside the server workspace, missing ones and symlinks out', async () => {
+      const server = new SlopWatchServer({ workspaceRoot: root, store: null });
+      await fs.symlink(parent, join(root, 'up'));
+
+      assert.throws(() => server.resolveWorkspaceRoot('..'), /outside the server workspace/);
+      assert.throws(() => server.resolveWorkspaceRoot('/'), /outside the server workspace/);
+      assert.throws(() => server.resolveWorkspaceRoot('up'), /outside the server workspace/);
+      assert.throws(() => server.resolveWorkspaceRoot('no-such-dir'), /does not exist/);
+    });
+
+    it('refuses analyze_claim on a directory outside the workspace', async () => {
+      const server = new SlopWatchServer({ workspaceRoot: root, store: null });
+      const response = await server.handleAnalyzeClaim({ claim: 'Added error handling', workspaceDir: parent });
+
+      assert.match(response.content[0].text, /outside the server workspace/);
+    });
+  });
+
+  describe('rule pack modules', () => {
+    it('loads modules inside the root', async () => {
+      const rules = await loadRulePacks({ root, rulePacks: ['rules/pack.mjs'] });
+      assert.deepEqual(rules.map(rule => `${rule.pack}/${rule.name}`), ['inside/uses-result']);
+    });
+
+    it('refuses modules outside the root, directly or through a symlink', async () => {
+      await assert.rejects(loadRulePacks({ root, rulePacks: ['../outside-pack.mjs'] }), /outside the workspace root/);
+      await assert.rejects(loadRulePacks({ root, rulePacks: ['rules/linked-pack.mjs'] }), /outside the workspace root/);
+    });
+
+    it('skips module paths but keeps inline packs when modules are not allowed', async () => {
+      const inline = { name: 'inline', rules: [{ name: 'has-zod', triggers: ['validation'], positive: ['z\\.object'] }] };
+      const rules = await loadRulePacks({ root, rulePacks: ['../outside-pack.mjs', inline] }, { modules: false });
+      assert.deepEqual(rules.map(rule => `${rule.pack}/${rule.name}`), ['inline/has-zod']);
+    });
+  });
+
+  describe('rules files', () => {
+    it('writes rules inside the project, and refuses symlinks out of it on the file or a directory above it', async () => {
+      const project = join(parent, 'rules-project');
+      await writeFiles(parent, { 'rules-project/README.md': '# Project\n', 'outside/.gitkeep': '' });
+      await fs.symlink(join(parent, 'secret.txt'), join(project, '.cursorrules'));
+      await fs.symlink(join(parent, 'outside'), join(project, '.github'));
+      await fs.symlink(join(parent, 'missing.md'), join(project, 'CLAUDE.md'));
+
+      assert.equal((await writeRulesFile(project, 'windsurf', 'rules')).status, 'created');
+      await assert.rejects(writeRulesFile(project, 'cursor', 'rules'), /outside the project/);
+      await assert.rejects(writeRulesFile(project, 'copilot', 'rules'), /outside the project/);
+      await assert.rejects(writeRulesFile(project, 'claude', 'rules'), /dangling symlink/);
+
+      assert.equal(await fs.readFile(join(parent, 'secret.txt'), 'utf-8'), 'outside\n');
+      await assert.rejects(fs.access(join(parent, 'outside/copilot-instructions.md')));
+      await assert.rejects(fs.access(join(parent, 'missing.md')));
+    });
+  });
+});